@@ -0,0 +1,27 @@
+const { userCacheKey } = require('../src/sleeper');
+const { setCacheHeaders } = require('../src/cache');
+const { resolveRequestWeek } = require('../src/weeks');
+const { computeDashboard } = require('../src/dashboard');
+
+module.exports = async (req, res) => {
+  try {
+    // ?username=a&username=b arrives as an array
+    if (req.query.username !== undefined && typeof req.query.username !== 'string') {
+      return res.status(400).json({ error: 'Invalid username' });
+    }
+    const username = (req.query.username || '').trim();
+    if (!username) return res.status(400).json({ error: 'Missing username' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    const data = await computeDashboard(username, { week });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, { user: userCacheKey(username), state: 'sleeper:state' });
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load dashboard' });
+  }
+};
@@ -0,0 +1,33 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { leagueCacheKeys } = require('../src/rankings');
+const { setCacheHeaders } = require('../src/cache');
+const { parseIdList } = require('../src/trade');
+const { computeDraft } = require('../src/draft');
+
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    // Mock drafts replay picks=key,key,... and let the other teams pick with autopick=1
+    const mock = req.query.mock === '1' || req.query.mock === 'true';
+    const data = await computeDraft(leagueId, {
+      slot: req.query.slot,
+      limit: req.query.limit,
+      seed: req.query.seed,
+      draftId: req.query.draftId,
+      mock,
+      teams: req.query.teams,
+      rounds: req.query.rounds,
+      picks: parseIdList(req.query.picks),
+      autopick: req.query.autopick === '1' || req.query.autopick === 'true',
+    });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId));
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute draft recommendations' });
+  }
+};
@@ -0,0 +1,22 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { takeSnapshot, getHistory } = require('../src/history');
+const { checkWriteAuth } = require('../src/auth');
+
+module.exports = async (req, res) => {
+  try {
+    if (req.method === 'POST') {
+      const denied = checkWriteAuth(req);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+    }
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    // POST records a snapshot now; GET reads the history
+    if (req.method === 'POST') return res.status(201).json(await takeSnapshot(leagueId));
+    res.status(200).json(getHistory(leagueId, req.query.rosterId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: req.method === 'POST' ? 'Failed to record ranking snapshot' : 'Failed to load ranking history' });
+  }
+};
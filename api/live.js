@@ -0,0 +1,21 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { resolveRequestWeek } = require('../src/weeks');
+const { streamLiveScores } = require('../src/live');
+
+// The stream ends when the function hits its time limit; EventSource reconnects on its own
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+    if (!week) return res.status(400).json({ error: 'Live scoring needs a week' });
+
+    streamLiveScores(req, res, leagueId, week);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to start live scoring' });
+  }
+};
@@ -0,0 +1,25 @@
+const { parseProvider, resolveLeagueId, matchupsCacheKey } = require('../src/providers');
+const { leagueCacheKeys } = require('../src/rankings');
+const { setCacheHeaders } = require('../src/cache');
+const { resolveRequestWeek } = require('../src/weeks');
+const { computeMatchups } = require('../src/matchups');
+
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const requested = await resolveRequestWeek(req.query);
+    if (Number.isNaN(requested)) return res.status(400).json({ error: 'Invalid week' });
+    // Matchups are always a single week; outside the season show week 1
+    const week = requested || 1;
+
+    const data = await computeMatchups(leagueId, { week, iterations: req.query.iterations, seed: req.query.seed });
+    setCacheHeaders(res, { ...leagueCacheKeys(leagueId, week), matchups: matchupsCacheKey(leagueId, week) });
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute matchups' });
+  }
+};
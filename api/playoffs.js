@@ -0,0 +1,24 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { leagueCacheKeys } = require('../src/rankings');
+const { setCacheHeaders } = require('../src/cache');
+const { parseForcedResults, computePlayoffOdds } = require('../src/playoffs');
+
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    // What-if toggles: force=week:matchupId:winnerRosterId,...
+    const forced = parseForcedResults(req.query.force);
+    if (!forced) return res.status(400).json({ error: 'Invalid force parameter' });
+
+    const data = await computePlayoffOdds(leagueId, { forced, iterations: req.query.iterations, seed: req.query.seed });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId));
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute playoff odds' });
+  }
+};
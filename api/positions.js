@@ -0,0 +1,5 @@
+const { loadPositions } = require('../src/positions');
+
+module.exports = (req, res) => {
+  res.status(200).json({ positions: loadPositions().map(({ position, slots, match, optional }) => ({ position, slots, match, optional: !!optional })) });
+};
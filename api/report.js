@@ -0,0 +1,4 @@
+const { handleReportRequest } = require('../src/report');
+
+// GET returns the report; POST (or GET ?publish=1 from the cron) posts it to REPORT_WEBHOOK_URL
+module.exports = handleReportRequest;
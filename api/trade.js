@@ -0,0 +1,29 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { leagueCacheKeys } = require('../src/rankings');
+const { setCacheHeaders } = require('../src/cache');
+const { resolveRequestWeek } = require('../src/weeks');
+const { parseIdList, computeTrade } = require('../src/trade');
+
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    const { rosterA, rosterB } = req.query;
+    if (!rosterA || !rosterB) return res.status(400).json({ error: 'Missing rosterA or rosterB' });
+    const trade = { rosterA, rosterB, sendA: parseIdList(req.query.sendA), sendB: parseIdList(req.query.sendB) };
+
+    const data = await computeTrade(leagueId, trade, { week });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to analyze trade' });
+  }
+};
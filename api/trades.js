@@ -0,0 +1,28 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { leagueCacheKeys } = require('../src/rankings');
+const { setCacheHeaders } = require('../src/cache');
+const { resolveRequestWeek } = require('../src/weeks');
+const { findTrades } = require('../src/trade_finder');
+
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    const { rosterId } = req.query;
+    if (!rosterId) return res.status(400).json({ error: 'Missing rosterId' });
+
+    const data = await findTrades(leagueId, rosterId, { week, focus: req.query.focus, limit: req.query.limit });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to find trades' });
+  }
+};
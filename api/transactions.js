@@ -0,0 +1,25 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { leagueCacheKeys } = require('../src/rankings');
+const { setCacheHeaders } = require('../src/cache');
+const { resolveRequestWeek } = require('../src/weeks');
+const { computeTransactions } = require('../src/transactions');
+
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+    if (!week) return res.status(400).json({ error: 'Transactions need a week' });
+
+    const data = await computeTransactions(leagueId, week);
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', String(week));
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load transactions' });
+  }
+};
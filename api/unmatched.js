@@ -0,0 +1,18 @@
+const { parseProvider, resolveLeagueId } = require('../src/providers');
+const { leagueCacheKeys, computeUnmatched } = require('../src/rankings');
+const { setCacheHeaders } = require('../src/cache');
+
+module.exports = async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const data = await computeUnmatched(leagueId);
+    setCacheHeaders(res, leagueCacheKeys(leagueId));
+    res.status(200).json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute unmatched players' });
+  }
+};
@@ -0,0 +1,25 @@
+// Shared secret for the endpoints that write: publishing the weekly report and
+// recording history snapshots. Callers send "Authorization: Bearer <secret>"
+// with CRON_SECRET (Vercel sends it with its cron requests) or REPORT_SECRET.
+// With neither set, those endpoints refuse every request.
+const crypto = require('crypto');
+
+function writeSecret() {
+  return (process.env.CRON_SECRET || process.env.REPORT_SECRET || '').trim();
+}
+
+const digest = value => crypto.createHash('sha256').update(value).digest();
+
+// null when the request may write, else { status, error } to send back
+function checkWriteAuth(req) {
+  const secret = writeSecret();
+  if (!secret) return { status: 403, error: 'Writes are disabled; set CRON_SECRET or REPORT_SECRET' };
+  const header = String((req.headers && req.headers.authorization) || '');
+  const token = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+  if (!token || !crypto.timingSafeEqual(digest(token), digest(secret))) return { status: 401, error: 'Unauthorized' };
+  return null;
+}
+
+module.exports = {
+  checkWriteAuth,
+};
@@ -0,0 +1,192 @@
+// Shared cache for Sleeper responses and parsed projections.
+//
+// Entries live in memory and, with CACHE_BACKEND=file, also on disk under
+// CACHE_DIR (default: the OS temp dir, which is writable on Vercel too).
+// Concurrent loads of the same key share one request, and when a refresh
+// fails an expired entry is served instead of the error.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Default time-to-live per data type
+const TTL = {
+  players: 24 * HOUR,
+  league: HOUR,
+  state: HOUR,
+  users: 10 * MINUTE,
+  rosters: 5 * MINUTE,
+  matchups: MINUTE,
+  drafts: 5 * MINUTE,
+  // Short enough to follow a live draft
+  draftPicks: 10 * 1000,
+};
+
+function createMemoryBackend() {
+  const entries = new Map();
+  return {
+    get: (key) => entries.get(key) || null,
+    set: (key, entry) => { entries.set(key, entry); },
+    delete: (key) => { entries.delete(key); },
+    clear: () => { entries.clear(); },
+  };
+}
+
+function createFileBackend(dir) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  return {
+    get(key) {
+      try {
+        const entry = JSON.parse(fs.readFileSync(fileFor(key), 'utf8'));
+        return entry && entry.key === key ? entry : null;
+      } catch (e) {
+        return null;
+      }
+    },
+    set(key, entry) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(key);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ key, ...entry }));
+        fs.renameSync(tmp, file);
+      } catch (e) {
+        // A read-only or full disk shouldn't break requests; memory still has it
+        console.warn(`cache: failed to persist ${key}: ${e.message}`);
+      }
+    },
+    delete(key) {
+      fs.rmSync(fileFor(key), { force: true });
+    },
+    clear() {
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+function createCache(options = {}) {
+  const memory = createMemoryBackend();
+  const file = options.backend === 'file' ? createFileBackend(options.dir || path.join(os.tmpdir(), 'wup-cache')) : null;
+  const inflight = new Map();
+  // group -> the key last loaded for it
+  const groups = new Map();
+  const now = options.now || (() => Date.now());
+
+  function read(key) {
+    let entry = memory.get(key);
+    if (!entry && file) {
+      entry = file.get(key);
+      if (entry) memory.set(key, entry);
+    }
+    return entry;
+  }
+
+  function write(key, value, ttl, persist) {
+    const storedAt = now();
+    const entry = { value, storedAt, expiresAt: storedAt + ttl, stale: false };
+    memory.set(key, entry);
+    if (file && persist) file.set(key, entry);
+    return entry;
+  }
+
+  // A newer key in the same group replaces the older one, so entries keyed by
+  // file versions don't pile up as the files change
+  function replaceInGroup(group, key) {
+    const previous = groups.get(group);
+    if (previous !== undefined && previous !== key) invalidate(previous);
+    groups.set(group, key);
+  }
+
+  // Resolve `key` from cache or by calling `loader`.
+  // options.ttl: lifetime in ms; options.persist: false keeps the entry in memory only;
+  // options.group: evict the group's previous key once this one loads
+  async function getOrLoad(key, loader, opts = {}) {
+    const ttl = opts.ttl === undefined ? 5 * MINUTE : opts.ttl;
+    const persist = opts.persist !== false;
+    const existing = read(key);
+    if (existing && existing.expiresAt > now()) return existing.value;
+    if (inflight.has(key)) return inflight.get(key);
+
+    const pending = (async () => {
+      try {
+        const value = await loader();
+        const entry = write(key, value, ttl, persist);
+        if (opts.group !== undefined) replaceInGroup(opts.group, key);
+        return entry.value;
+      } catch (err) {
+        if (existing) {
+          console.warn(`cache: serving stale ${key} after error: ${err.message}`);
+          existing.stale = true;
+          return existing.value;
+        }
+        throw err;
+      } finally {
+        inflight.delete(key);
+      }
+    })();
+    inflight.set(key, pending);
+    return pending;
+  }
+
+  // Age and staleness of cached keys, for response headers
+  function describe(key) {
+    const entry = read(key);
+    if (!entry) return null;
+    return { ageMs: Math.max(0, now() - entry.storedAt), stale: !!entry.stale || entry.expiresAt <= now() };
+  }
+
+  function invalidate(key) {
+    memory.delete(key);
+    if (file) file.delete(key);
+  }
+
+  function clear() {
+    memory.clear();
+    if (file) file.clear();
+    inflight.clear();
+    groups.clear();
+  }
+
+  return { getOrLoad, describe, invalidate, clear };
+}
+
+let sharedCache = null;
+
+// Process-wide cache configured from CACHE_BACKEND / CACHE_DIR
+function getCache() {
+  if (!sharedCache) {
+    sharedCache = createCache({
+      backend: (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase(),
+      dir: (process.env.CACHE_DIR || '').trim() || undefined,
+    });
+  }
+  return sharedCache;
+}
+
+// Report how old each piece of data behind a response is.
+// keys: { players: 'sleeper:players', ... }
+function setCacheHeaders(res, keys) {
+  const cache = getCache();
+  const stale = [];
+  let oldest = 0;
+  for (const [name, key] of Object.entries(keys)) {
+    const info = cache.describe(key);
+    if (!info) continue;
+    const seconds = Math.floor(info.ageMs / 1000);
+    oldest = Math.max(oldest, seconds);
+    res.setHeader(`X-Cache-Age-${name[0].toUpperCase()}${name.slice(1)}`, String(seconds));
+    if (info.stale) stale.push(name);
+  }
+  res.setHeader('X-Cache-Age', String(oldest));
+  if (stale.length) res.setHeader('X-Cache-Stale', stale.join(','));
+}
+
+module.exports = {
+  TTL,
+  createCache,
+  getCache,
+  setCacheHeaders,
+};
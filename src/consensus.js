@@ -0,0 +1,175 @@
+// Projection consensus: blends every projection set for a view into one
+// weighted record per player, with the spread between sources.
+// Sets live in data/sources/{source}/QB.csv etc. (data/week/{n}/sources/ for a
+// week); the top-level CSVs count as the source "default". Weights come from
+// data/sources/weights.json ({ "source": weight }), defaulting to 1.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, projectionsDir, parseAllProjections } = require('./projections');
+const { normalizeName } = require('./identity');
+const { loadPositions, matchesByTeam, recordTeam } = require('./positions');
+const { getCache } = require('./cache');
+
+const WEIGHTS_FILE = path.join(DATA_DIR, 'sources', 'weights.json');
+// Sources "strongly disagree" when their spread is this large relative to the consensus
+const DISAGREEMENT_CV = 0.2;
+
+function mtime(file) {
+  try {
+    return fs.statSync(file).mtimeMs;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function loadSourceWeights() {
+  try {
+    return JSON.parse(fs.readFileSync(WEIGHTS_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`consensus: could not read ${WEIGHTS_FILE}: ${e.message}`);
+    return {};
+  }
+}
+
+// [{ source, dir, weight }] for every set with at least one position file
+function listSources(week) {
+  const base = projectionsDir(week);
+  const weights = loadSourceWeights();
+  const hasFiles = dir => loadPositions().some(({ file }) => fs.existsSync(path.join(dir, file)));
+  const sources = [];
+  if (hasFiles(base)) sources.push({ source: 'default', dir: base });
+  const sourcesDir = path.join(base, 'sources');
+  if (fs.existsSync(sourcesDir)) {
+    for (const name of fs.readdirSync(sourcesDir).sort()) {
+      const dir = path.join(sourcesDir, name);
+      if (fs.statSync(dir).isDirectory() && hasFiles(dir)) sources.push({ source: name, dir });
+    }
+  }
+  return sources
+    .map(s => ({ ...s, weight: weights[s.source] === undefined ? 1 : Number(weights[s.source]) }))
+    .filter(s => s.weight > 0)
+    .sort((a, b) => b.weight - a.weight);
+}
+
+// Changes whenever any source file or the weights are rewritten
+function consensusCacheKey(week) {
+  const stamps = listSources(week).map(({ source, dir, weight }) =>
+    [source, weight, ...loadPositions().map(({ file }) => mtime(path.join(dir, file)))].join(':'));
+  return `projections:${week || 'season'}:${mtime(WEIGHTS_FILE)}:${stamps.join('|')}`;
+}
+
+// Same player across sources: team-matched positions by team, everyone else by name
+function playerKey(rec) {
+  if (matchesByTeam(rec.position)) {
+    const abbr = recordTeam(rec);
+    if (abbr) return `${rec.position}:${abbr}`;
+  }
+  return `${rec.position}:${normalizeName(rec.player)}`;
+}
+
+function weightedMean(values) {
+  const total = values.reduce((sum, v) => sum + v.weight, 0);
+  return values.reduce((sum, v) => sum + v.value * v.weight, 0) / total;
+}
+
+// Weighted average of every stat column, each over only the sources that have
+// it: a column one source leaves out is unknown there, not zero. Sources with
+// no stat line still count, as the line scaled by how far their points move
+// the blend, so rescoring the line lands where the `fantasy` blend does.
+function blendStats(entries) {
+  const withStats = entries.filter(e => e.rec.stats);
+  if (!withStats.length) return null;
+  const keys = new Set(withStats.flatMap(e => Object.keys(e.rec.stats)));
+  const stats = {};
+  for (const key of keys) {
+    const values = withStats
+      .filter(e => e.rec.stats[key] !== undefined && e.rec.stats[key] !== null)
+      .map(e => ({ value: Number(e.rec.stats[key]) || 0, weight: e.weight }));
+    if (values.length) stats[key] = weightedMean(values);
+  }
+  if (withStats.length < entries.length) {
+    const pointsOf = list => weightedMean(list.map(e => ({ value: e.rec.fantasy, weight: e.weight })));
+    const withStatsPoints = pointsOf(withStats);
+    if (withStatsPoints > 0) {
+      const scale = pointsOf(entries) / withStatsPoints;
+      for (const key of Object.keys(stats)) stats[key] *= scale;
+    }
+  }
+  return stats;
+}
+
+// entries: [{ source, weight, rec }] for one player, highest weight first
+function blendPlayer(entries) {
+  const values = entries.map(e => ({ value: e.rec.fantasy, weight: e.weight }));
+  const mean = weightedMean(values);
+  const variance = weightedMean(values.map(v => ({ value: (v.value - mean) ** 2, weight: v.weight })));
+  const sd = Math.sqrt(variance);
+  const ratio = x => (mean > 0 ? x / mean : 1);
+  return {
+    ...entries[0].rec,
+    fantasy: Math.round(mean * 100) / 100,
+    stats: blendStats(entries),
+    // Ratios rather than points so the range follows league rescoring and weekly scaling
+    spread: {
+      sources: entries.map(e => ({ source: e.source, fantasy: e.rec.fantasy })),
+      cv: ratio(sd),
+      floorRatio: ratio(Math.max(0, mean - sd)),
+      ceilingRatio: ratio(mean + sd),
+      disagreement: entries.length > 1 && mean > 0 && sd / mean > DISAGREEMENT_CV,
+    },
+  };
+}
+
+// sets: [{ source, weight, projections }] -> one projections object
+function blendSources(sets) {
+  const out = {};
+  for (const { group } of loadPositions()) {
+    const byPlayer = new Map();
+    for (const { source, weight, projections } of sets) {
+      for (const rec of (projections[group] || new Map()).values()) {
+        const key = playerKey(rec);
+        if (!byPlayer.has(key)) byPlayer.set(key, []);
+        byPlayer.get(key).push({ source, weight, rec });
+      }
+    }
+    const blended = new Map();
+    for (const entries of byPlayer.values()) {
+      const rec = blendPlayer(entries);
+      blended.set(rec.player, rec);
+    }
+    out[group] = blended;
+  }
+  return out;
+}
+
+// Blended projections are shared, so callers must treat the maps as read-only
+async function loadConsensusProjections(week) {
+  // Keyed by file times, so each refresh replaces the view's previous entry
+  return getCache().getOrLoad(consensusCacheKey(week), async () => {
+    const sources = listSources(week);
+    const sets = await Promise.all(sources.map(async s => ({ ...s, projections: await parseAllProjections(s.dir) })));
+    return blendSources(sets);
+  }, { ttl: Infinity, persist: false, group: `projections:${week || 'season'}` });
+}
+
+// Absolute range for a (possibly rescored or scaled) consensus record
+function projectionRange(rec, multiplier = 1) {
+  const projected = rec.fantasy * multiplier;
+  const spread = rec.spread || { cv: 0, floorRatio: 1, ceilingRatio: 1, disagreement: false, sources: [] };
+  return {
+    floor: projected * spread.floorRatio,
+    ceiling: projected * spread.ceilingRatio,
+    sd: projected * spread.cv,
+    sourceCount: spread.sources.length,
+    disagreement: spread.disagreement,
+  };
+}
+
+module.exports = {
+  DISAGREEMENT_CV,
+  listSources,
+  consensusCacheKey,
+  blendSources,
+  loadConsensusProjections,
+  projectionRange,
+};
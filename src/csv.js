@@ -0,0 +1,17 @@
+// CSV writing shared by the projections refresh and the report export
+function csvEscape(value) {
+  const s = String(value === undefined || value === null ? '' : value);
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Rows of objects -> CSV with one column per schema key, in schema order
+function toCsv(rows, schema) {
+  const lines = [schema.join(',')];
+  for (const row of rows) lines.push(schema.map(c => csvEscape(row[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {
+  csvEscape,
+  toCsv,
+};
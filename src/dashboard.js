@@ -0,0 +1,99 @@
+// Multi-league dashboard: every Sleeper league a user is in this season, with
+// their team's power rank, projected strength, next matchup and best waiver pickup.
+const { fetchSleeperUser, fetchSleeperUserLeagues } = require('./sleeper');
+const { fetchLeagueRosters } = require('./providers');
+const { computeRankings } = require('./rankings');
+const { computeMatchups } = require('./matchups');
+const { computeWaivers } = require('./waivers');
+const { currentSeason } = require('./weeks');
+const { round1 } = require('./simulation');
+
+// Plenty for a win probability on a summary card
+const MATCHUP_ITERATIONS = 2000;
+
+// The user's game in a week, from their side
+async function nextMatchup(leagueId, rosterId, week) {
+  if (!week) return null;
+  const { matchups } = await computeMatchups(leagueId, { week, iterations: MATCHUP_ITERATIONS });
+  for (const game of matchups) {
+    const i = game.teams.findIndex(t => String(t.rosterId) === String(rosterId));
+    if (i < 0) continue;
+    const mine = game.teams[i];
+    const theirs = game.teams[1 - i];
+    return {
+      week,
+      opponent: theirs.teamName,
+      opponentRosterId: theirs.rosterId,
+      projected: mine.projected,
+      opponentProjected: theirs.projected,
+      winProbability: mine.winProbability,
+    };
+  }
+  return null;
+}
+
+async function bestPickup(leagueId, rosterId, week) {
+  const { moves } = await computeWaivers(leagueId, rosterId, { week, limit: 1 });
+  const [move] = moves || [];
+  return move ? { add: move.add, drop: move.drop, gain: move.gain, bid: move.bid } : null;
+}
+
+async function summarizeLeague(league, userId, week) {
+  const leagueId = String(league.league_id);
+  const base = { leagueId, name: league.name || `League ${leagueId}`, totalRosters: Number(league.total_rosters) || null };
+  const rosters = await fetchLeagueRosters(leagueId);
+  const roster = rosters.find(r => r.ownerId === String(userId));
+  if (!roster) return { ...base, team: null };
+
+  const rankings = await computeRankings(leagueId, { week });
+  const row = rankings.find(r => String(r.rosterId) === String(roster.rosterId));
+  const byStrength = [...rankings].sort((a, b) => b.totalProjected - a.totalProjected);
+  const [matchup, pickup] = await Promise.all([
+    nextMatchup(leagueId, roster.rosterId, week),
+    bestPickup(leagueId, roster.rosterId, week),
+  ]);
+  return {
+    ...base,
+    totalRosters: rankings.length,
+    team: {
+      rosterId: roster.rosterId,
+      teamName: roster.teamName,
+      record: roster.record,
+      powerRank: row.power.rank,
+      powerScore: row.power.score,
+      rankChange: row.power.rankChange,
+      projected: round1(row.totalProjected),
+      projectedRank: byStrength.indexOf(row) + 1,
+    },
+    nextMatchup: matchup,
+    bestPickup: pickup,
+  };
+}
+
+// options.week: the week to project (null for season-long)
+async function computeDashboard(username, options = {}) {
+  const user = await fetchSleeperUser(username);
+  if (!user || !user.user_id) return { error: 'Unknown Sleeper user' };
+  const season = await currentSeason();
+  const week = options.week || null;
+  const leagues = await fetchSleeperUserLeagues(user.user_id, season);
+
+  // One broken league shouldn't blank the whole dashboard
+  const summaries = await Promise.all((leagues || []).map(league =>
+    summarizeLeague(league, user.user_id, week).catch((err) => {
+      console.error(err);
+      return { leagueId: String(league.league_id), name: league.name || null, error: 'Failed to load league' };
+    })));
+  summaries.sort((a, b) => String(a.name).localeCompare(String(b.name)));
+
+  return {
+    user: { userId: String(user.user_id), username: user.username || username, displayName: user.display_name || username },
+    season,
+    week,
+    leagues: summaries,
+  };
+}
+
+module.exports = {
+  computeDashboard,
+};
@@ -0,0 +1,383 @@
+// Draft assistant: follows a league's Sleeper draft, or an offline mock draft
+// on the same projections, and ranks the best available players for any draft
+// slot by value over replacement, the lineup spots the team still has to fill
+// and the chance each player lasts until that team picks again.
+const { DEFAULT_ROSTER_POSITIONS, canFill, optimizeLineup } = require('./lineup');
+const { loadLeagueContext } = require('./rankings');
+const { fetchSleeperPlayers, fetchSleeperDraft, fetchSleeperDraftPicks, fetchSleeperDraftTradedPicks } = require('./sleeper');
+const { fetchLeagueDrafts } = require('./providers');
+const { recordKey } = require('./identity');
+const { fromSleeperPosition } = require('./positions');
+const { freeAgentStatuses, statusMultiplier } = require('./status');
+const { replacementLevels, valueOverReplacement } = require('./vor');
+const { createRng, normal, round1 } = require('./simulation');
+
+const DEFAULT_LIMIT = 15;
+const MAX_LIMIT = 50;
+// Players scored for each recommendation list
+const CANDIDATES = 60;
+// Value a player adds beyond a starting spot counts this much as depth,
+// shrinking with each backup the team already has at his position
+const DEPTH_WEIGHT = 0.4;
+// Real drafts stray from a value board, more so the deeper it goes: a player's
+// draft spot varies by RANK_SD_BASE + RANK_SD_SLOPE * his board rank
+const RANK_SD_BASE = 1.5;
+const RANK_SD_SLOPE = 0.12;
+const SIMULATIONS = 400;
+// Players past this many board spots beyond the horizon are assumed to last
+const SIM_MARGIN = 40;
+// Share of a player's value given up by taking him now when he'd likely come back around
+const WAIT_DISCOUNT = 0.5;
+// Mock teams pick off their own board with this much noise on each value
+const MOCK_NOISE = 0.15;
+// Sleeper draft statuses, most relevant first
+const DRAFT_STATUS_ORDER = ['drafting', 'paused', 'pre_draft', 'complete'];
+
+// Draft slot (1-based) making overall pick pickNo. In snake drafts even
+// rounds run backwards; a reversal round (Sleeper's "3rd round reversal")
+// repeats the previous round's direction and flips every round after it.
+function slotForPick(pickNo, teams, type, reversalRound) {
+  const round = Math.ceil(pickNo / teams);
+  const idx = (pickNo - 1) % teams;
+  if (type === 'linear') return idx + 1;
+  let reversed = round % 2 === 0;
+  if (reversalRound && round >= reversalRound) reversed = !reversed;
+  return reversed ? teams - idx : idx + 1;
+}
+
+// Slot holding overall pick pickNo: its original slot unless the pick was traded
+function pickOwner(pickNo, draft) {
+  const traded = draft.tradedPicks && draft.tradedPicks[pickNo];
+  return traded || slotForPick(pickNo, draft.teams, draft.type, draft.reversalRound);
+}
+
+// Overall pick numbers still to come for a slot
+function upcomingPicks(slot, fromPick, draft) {
+  const picks = [];
+  for (let n = fromPick; n <= draft.teams * draft.rounds; n++) {
+    if (pickOwner(n, draft) === slot) picks.push(n);
+  }
+  return picks;
+}
+
+// Sleeper's traded picks -> { pickNo: slot now holding it }. Trades name
+// rosters; slotToRoster maps each draft slot to its roster.
+function tradedPickSlots(tradedPicks, slotToRoster, draft) {
+  const rosterSlots = new Map(Object.entries(slotToRoster || {}).map(([slot, rosterId]) => [String(rosterId), Number(slot)]));
+  const owners = {};
+  for (const trade of tradedPicks || []) {
+    const from = rosterSlots.get(String(trade.roster_id));
+    const to = rosterSlots.get(String(trade.owner_id));
+    const round = Number(trade.round);
+    if (!from || !to || from === to || !(round >= 1 && round <= draft.rounds)) continue;
+    for (let n = (round - 1) * draft.teams + 1; n <= round * draft.teams; n++) {
+      if (slotForPick(n, draft.teams, draft.type, draft.reversalRound) === from) owners[n] = to;
+    }
+  }
+  return owners;
+}
+
+// Bench spots go to whoever could start in a pinch, so depth is measured
+// against a deeper baseline for QB/RB/WR/TE while K and DST stay put
+function depthRosterPositions(rosterPositions) {
+  const positions = Array.isArray(rosterPositions) && rosterPositions.length ? rosterPositions : DEFAULT_ROSTER_POSITIONS;
+  return positions.map(slot => (slot === 'BN' ? 'SUPER_FLEX' : slot));
+}
+
+// The season-long board: every projected player with his value over
+// replacement (vor) and over the deeper bench baseline (depth)
+function buildPool(projections, levels, depthLevels, statuses) {
+  const pool = [];
+  for (const map of Object.values(projections)) {
+    for (const rec of map.values()) {
+      const key = recordKey(rec);
+      const status = statuses.get(key) || null;
+      const projected = rec.fantasy * statusMultiplier(status, false);
+      const vor = valueOverReplacement(projected, rec.position, levels);
+      const depth = valueOverReplacement(projected, rec.position, depthLevels);
+      pool.push({ key, name: rec.player, position: rec.position, team: rec.team, projected, vor, depth, status });
+    }
+  }
+  return pool.sort((a, b) => b.vor - a.vor);
+}
+
+// For each board index, the chance he's still there after `before` picks and,
+// given that, after `between` more; picks follow the board with rank noise
+function survivalOdds(board, before, between, rng) {
+  const size = Math.min(board.length, before + (Number.isFinite(between) ? between : 0) + SIM_MARGIN);
+  const atPick = new Array(size).fill(0);
+  const atNext = new Array(size).fill(0);
+  const order = [...Array(size).keys()];
+  for (let s = 0; s < SIMULATIONS; s++) {
+    const noisy = order.map(i => i + normal(rng) * (RANK_SD_BASE + RANK_SD_SLOPE * i));
+    const taken = [...order].sort((a, b) => noisy[a] - noisy[b]);
+    taken.forEach((i, spot) => {
+      if (spot >= before) atPick[i]++;
+      if (spot >= before + between) atNext[i]++;
+    });
+  }
+  return idx => {
+    if (idx >= size) return { availability: 1, survival: Number.isFinite(between) ? 1 : 0 };
+    const availability = atPick[idx] / SIMULATIONS;
+    return { availability, survival: atPick[idx] ? atNext[idx] / atPick[idx] : 0 };
+  };
+}
+
+// Lineup spots a team still has to fill, backups per position, and its
+// lineup value over replacement
+function teamNeeds(players, rosterPositions) {
+  const { lineup, bench } = optimizeLineup(players, rosterPositions);
+  const openSlots = lineup.filter(s => !s.player).map(s => s.slot);
+  const backups = {};
+  for (const p of bench) backups[p.position] = (backups[p.position] || 0) + 1;
+  const asValue = players.map(p => ({ ...p, projected: Math.max(0, p.vor) }));
+  return { openSlots, backups, lineupValue: optimizeLineup(asValue, rosterPositions).total };
+}
+
+// What a player is worth to one team: the lineup value he adds over
+// replacement, plus whatever he's worth beyond that as depth
+function valueForTeam(player, players, needs, rosterPositions) {
+  const asValue = [...players, player].map(p => ({ ...p, projected: Math.max(0, p.vor) }));
+  const gain = Math.max(0, optimizeLineup(asValue, rosterPositions).total - needs.lineupValue);
+  const depth = Math.max(0, player.depth - gain) / (1 + (needs.backups[player.position] || 0));
+  return gain + DEPTH_WEIGHT * depth;
+}
+
+// Once a team has no more picks than empty starting spots, only players who fill one count
+function eligibleCandidates(available, needs, remainingPicks) {
+  const fillsNeed = p => needs.openSlots.some(slot => canFill(slot, p.position));
+  const mustFill = needs.openSlots.length > 0 && remainingPicks <= needs.openSlots.length;
+  return available
+    .map((p, idx) => ({ ...p, idx, fillsNeed: fillsNeed(p) }))
+    .filter(p => !mustFill || p.fillsNeed)
+    .slice(0, CANDIDATES);
+}
+
+function recommend(state, slot, options) {
+  const { draft, available, rosterPositions } = state;
+  const currentPick = state.picks.length + 1;
+  const upcoming = upcomingPicks(slot, currentPick, draft);
+  if (!upcoming.length) return { nextPicks: [], needs: null, recommendations: [] };
+  const [target, following] = upcoming;
+  const before = target - currentPick;
+  const between = following ? following - target - 1 : Infinity;
+
+  const players = state.teams[slot - 1].players;
+  const needs = teamNeeds(players, rosterPositions);
+  const odds = survivalOdds(available, before, between, options.rng);
+  const recommendations = eligibleCandidates(available, needs, upcoming.length).map((p) => {
+    const value = valueForTeam(p, players, needs, rosterPositions);
+    const { availability, survival } = odds(p.idx);
+    return {
+      key: p.key,
+      name: p.name,
+      position: p.position,
+      team: p.team,
+      status: p.status,
+      projected: round1(p.projected),
+      vor: round1(p.vor),
+      value: round1(value),
+      fillsNeed: p.fillsNeed,
+      // Chance he's still there at this team's pick, and then at its following one
+      availability: round1(availability * 100),
+      survival: round1(survival * 100),
+      score: round1(value * availability * (1 - WAIT_DISCOUNT * survival)),
+    };
+  });
+  recommendations.sort((a, b) => b.score - a.score);
+  return {
+    nextPicks: upcoming.slice(0, 2),
+    needs: { openSlots: needs.openSlots, remainingPicks: upcoming.length },
+    recommendations: recommendations.slice(0, options.limit),
+  };
+}
+
+// Mock teams take the best player for their roster off a noisy board
+function autoPick(state, slot, rng) {
+  const players = state.teams[slot - 1].players;
+  const needs = teamNeeds(players, state.rosterPositions);
+  const remaining = upcomingPicks(slot, state.picks.length + 1, state.draft).length;
+  let best = null;
+  for (const p of eligibleCandidates(state.available, needs, remaining)) {
+    const score = valueForTeam(p, players, needs, state.rosterPositions) * (1 + MOCK_NOISE * normal(rng));
+    if (!best || score > best.score) best = { player: state.available[p.idx], score };
+  }
+  return best && best.player;
+}
+
+// Board, rosters and pick log; state.add(player) makes the next pick in order,
+// for `slot` when given (a made Sleeper pick knows who made it) or the pick's owner
+function createDraftState(draft, pool, rosterPositions, teamNames) {
+  const state = {
+    draft,
+    rosterPositions,
+    picks: [],
+    available: pool.slice(),
+    teams: Array.from({ length: draft.teams }, (_, i) => ({ slot: i + 1, ...teamNames(i + 1), players: [] })),
+  };
+  state.add = (player, pickSlot) => {
+    const pickNo = state.picks.length + 1;
+    const slot = pickSlot || pickOwner(pickNo, draft);
+    state.available = state.available.filter(p => p.key !== player.key);
+    state.teams[slot - 1].players.push(player);
+    state.picks.push({ pickNo, round: Math.ceil(pickNo / draft.teams), slot, player });
+  };
+  return state;
+}
+
+function summarizeState(state) {
+  const { draft } = state;
+  const pickNo = state.picks.length + 1;
+  const complete = pickNo > draft.teams * draft.rounds;
+  const summarizePlayer = p => ({ key: p.key, name: p.name, position: p.position, team: p.team, projected: round1(p.projected) });
+  return {
+    draft,
+    currentPick: complete ? null : { pickNo, round: Math.ceil(pickNo / draft.teams), slot: pickOwner(pickNo, draft) },
+    picks: state.picks.map(p => ({ pickNo: p.pickNo, round: p.round, slot: p.slot, ...summarizePlayer(p.player) })),
+    teams: state.teams.map(t => ({
+      slot: t.slot,
+      rosterId: t.rosterId,
+      teamName: t.teamName,
+      projected: round1(optimizeLineup(t.players, state.rosterPositions).total),
+      players: t.players.map(summarizePlayer),
+    })),
+  };
+}
+
+// The draft to follow: the requested one, else the live one, else the next or last
+function chooseDraft(drafts, draftId) {
+  if (draftId) return drafts.find(d => String(d.draft_id) === String(draftId)) || null;
+  const rank = d => {
+    const idx = DRAFT_STATUS_ORDER.indexOf(d.status);
+    return idx < 0 ? DRAFT_STATUS_ORDER.length : idx;
+  };
+  return [...drafts].sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+// Sleeper pick -> pool entry, or a stub for players without projections
+function resolvePick(pick, sleeperPlayers, resolver, poolByKey) {
+  const p = sleeperPlayers[pick.player_id] || {};
+  const meta = pick.metadata || {};
+  const rawPosition = p.position || meta.position;
+  const position = fromSleeperPosition(rawPosition) || rawPosition;
+  const name = [p.first_name || meta.first_name, p.last_name || meta.last_name].filter(Boolean).join(' ').trim() || String(pick.player_id);
+  const team = p.team || meta.team || null;
+  const match = resolver.resolve({ id: String(pick.player_id), name, position, team, fantasyPositions: p.fantasy_positions || [] });
+  const entry = match && poolByKey.get(recordKey(match.record));
+  return entry || { key: `sleeper:${pick.player_id}`, name, position, team, projected: 0, vor: 0, depth: 0, status: null };
+}
+
+// options: { slot, limit, seed } plus, for a mock draft,
+// { mock: true, teams, rounds, picks: [recordKeys], autopick: true }
+// where autopick lets mock teams draft until `slot` is on the clock
+async function computeDraft(leagueId, options = {}) {
+  const [{ league, rosters, projections, resolver }, sleeperPlayers] = await Promise.all([
+    loadLeagueContext(leagueId),
+    fetchSleeperPlayers(),
+  ]);
+  const rosterPositions = league.roster_positions;
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(options.limit) || DEFAULT_LIMIT));
+
+  let draft;
+  let sleeperPicks = [];
+  let teamNames;
+  let rosterSlot;
+  if (options.mock) {
+    const teams = Number(options.teams) || Number(league.total_rosters) || rosters.length;
+    const rounds = Number(options.rounds) || (Array.isArray(rosterPositions) ? rosterPositions.length : 0) || 15;
+    if (!Number.isInteger(teams) || teams < 2 || teams > 32) return { error: 'Invalid teams' };
+    if (!Number.isInteger(rounds) || rounds < 1 || rounds > 40) return { error: 'Invalid rounds' };
+    draft = { id: null, mode: 'mock', status: 'drafting', type: 'snake', teams, rounds, reversalRound: null, tradedPicks: {} };
+    teamNames = slot => ({ rosterId: null, teamName: `Team ${slot}` });
+  } else {
+    const chosen = chooseDraft(await fetchLeagueDrafts(leagueId), options.draftId);
+    if (!chosen) return { error: 'No draft found for this league' };
+    const [details, picks, tradedPicks] = await Promise.all([
+      fetchSleeperDraft(chosen.draft_id),
+      fetchSleeperDraftPicks(chosen.draft_id),
+      fetchSleeperDraftTradedPicks(chosen.draft_id),
+    ]);
+    const settings = details.settings || chosen.settings || {};
+    const type = details.type || chosen.type;
+    if (type === 'auction') return { error: 'Auction drafts are not supported' };
+    draft = {
+      id: String(chosen.draft_id),
+      mode: 'live',
+      status: details.status || chosen.status,
+      type,
+      teams: Number(settings.teams) || Number(league.total_rosters) || rosters.length,
+      rounds: Number(settings.rounds) || 0,
+      reversalRound: Number(settings.reversal_round) || null,
+    };
+    sleeperPicks = [...picks].sort((a, b) => a.pick_no - b.pick_no);
+    const slotToRoster = details.slot_to_roster_id || {};
+    draft.tradedPicks = tradedPickSlots(tradedPicks, slotToRoster, draft);
+    rosterSlot = (rosterId) => {
+      const entry = Object.entries(slotToRoster).find(([, id]) => String(id) === String(rosterId));
+      return entry ? Number(entry[0]) : null;
+    };
+    teamNames = (slot) => {
+      const rosterId = slotToRoster[slot] != null ? slotToRoster[slot] : null;
+      const roster = rosters.find(r => rosterId != null && String(r.rosterId) === String(rosterId));
+      return { rosterId, teamName: roster ? roster.teamName : `Slot ${slot}` };
+    };
+  }
+
+  const slot = options.slot === undefined || options.slot === null || options.slot === '' ? null : Number(options.slot);
+  if (slot !== null && (!Number.isInteger(slot) || slot < 1 || slot > draft.teams)) return { error: 'Invalid slot' };
+
+  const { levels } = replacementLevels(projections, rosterPositions, draft.teams);
+  const depthLevels = replacementLevels(projections, depthRosterPositions(rosterPositions), draft.teams).levels;
+  const pool = buildPool(projections, levels, depthLevels, freeAgentStatuses(sleeperPlayers, [], projections, resolver));
+  const poolByKey = new Map(pool.map(p => [p.key, p]));
+  const state = createDraftState(draft, pool, rosterPositions, teamNames);
+  // Seeded by default so polling the same pick gives the same odds
+  const rng = createRng(options.seed === undefined || options.seed === null || options.seed === '' ? (options.picks || []).length + sleeperPicks.length + 1 : options.seed);
+
+  if (options.mock) {
+    const seen = new Set();
+    for (const key of options.picks || []) {
+      if (!poolByKey.has(key)) return { error: `Unknown player in picks: ${key}` };
+      if (seen.has(key)) return { error: `Player picked twice: ${key}` };
+      if (state.picks.length >= draft.teams * draft.rounds) return { error: 'More picks than the draft holds' };
+      seen.add(key);
+      state.add(poolByKey.get(key));
+    }
+    if (options.autopick && slot !== null) {
+      const total = draft.teams * draft.rounds;
+      while (state.picks.length < total) {
+        const onClock = pickOwner(state.picks.length + 1, draft);
+        if (onClock === slot) break;
+        const player = autoPick(state, onClock, rng);
+        if (!player) break;
+        state.add(player);
+      }
+    }
+  } else {
+    // Whoever made the pick, which for a traded one isn't its original slot;
+    // draft_slot is the pick's place on the board, so it's only the last resort
+    for (const pick of sleeperPicks) {
+      const madeBy = rosterSlot(pick.roster_id) || draft.tradedPicks[pick.pick_no] || Number(pick.draft_slot) || null;
+      state.add(resolvePick(pick, sleeperPlayers, resolver, poolByKey), madeBy);
+    }
+  }
+  resolver.save();
+
+  const summary = summarizeState(state);
+  // Default to whoever is on the clock
+  const forSlot = slot || (summary.currentPick ? summary.currentPick.slot : 1);
+  return {
+    ...summary,
+    slot: forSlot,
+    teamName: state.teams[forSlot - 1].teamName,
+    ...recommend(state, forSlot, { rng, limit }),
+  };
+}
+
+module.exports = {
+  slotForPick,
+  pickOwner,
+  upcomingPicks,
+  tradedPickSlots,
+  computeDraft,
+};
@@ -0,0 +1,289 @@
+// Dynasty and keeper valuation: ages each player's projection along his
+// position's curve into a multi-year value, values owned draft picks, ranks
+// teams for the long run and suggests keepers under the league's round costs.
+// Curves, horizon, pick and keeper rules live in data/dynasty.json (or DYNASTY_FILE).
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./projections');
+const { optimizeLineup } = require('./lineup');
+const { loadLeagueContext, estimateTeamPoints, valueRoster, rankByPower } = require('./rankings');
+const { fetchSleeperDraftPicks } = require('./sleeper');
+const { fetchLeagueDrafts, fetchTradedPicks } = require('./providers');
+const { round1 } = require('./simulation');
+
+const DYNASTY_FILE = (process.env.DYNASTY_FILE || '').trim() || path.join(DATA_DIR, 'dynasty.json');
+
+// Used for anything the file leaves out
+const DEFAULT_CONFIG = {
+  years: 3,
+  yearlyDiscount: 0.85,
+  ageCurves: {
+    QB: { peakStart: 26, peakEnd: 33, growth: 0.04, decline: 0.08 },
+    RB: { peakStart: 23, peakEnd: 26, growth: 0.08, decline: 0.15 },
+    WR: { peakStart: 24, peakEnd: 29, growth: 0.08, decline: 0.1 },
+    TE: { peakStart: 25, peakEnd: 30, growth: 0.1, decline: 0.1 },
+    K: { peakStart: 26, peakEnd: 36, growth: 0, decline: 0.03 },
+  },
+  // Rookie-draft picks land players worth less than the same spot in a full draft
+  picks: { seasons: 3, rounds: 4, valueShare: 0.6 },
+  // A keeper costs the round he was drafted in minus roundPenalty; undrafted
+  // players cost undraftedRound (null: the last round)
+  keepers: { count: 2, roundPenalty: 1, undraftedRound: null, uniqueRounds: true },
+};
+// Age for players Sleeper has experience but no age for
+const ROOKIE_AGE = 22;
+// Bench players matter more over several seasons than in one week
+const BENCH_WEIGHT = 0.5;
+
+let config = null;
+
+function loadDynastyConfig() {
+  if (config) return config;
+  let fromFile = {};
+  try {
+    fromFile = JSON.parse(fs.readFileSync(DYNASTY_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`dynasty: could not read ${DYNASTY_FILE}: ${e.message}`);
+  }
+  config = {
+    ...DEFAULT_CONFIG,
+    ...fromFile,
+    ageCurves: { ...DEFAULT_CONFIG.ageCurves, ...(fromFile.ageCurves || {}) },
+    picks: { ...DEFAULT_CONFIG.picks, ...(fromFile.picks || {}) },
+    keepers: { ...DEFAULT_CONFIG.keepers, ...(fromFile.keepers || {}) },
+  };
+  return config;
+}
+
+function playerAge(entry) {
+  if (entry.age) return entry.age;
+  return entry.yearsExp == null ? null : ROOKIE_AGE + entry.yearsExp;
+}
+
+// Production at an age relative to the position's peak (1 across the peak)
+function ageMultiplier(curve, age) {
+  if (!curve || !age) return 1;
+  if (age < curve.peakStart) return (1 - curve.growth) ** (curve.peakStart - age);
+  if (age > curve.peakEnd) return (1 - curve.decline) ** (age - curve.peakEnd);
+  return 1;
+}
+
+// Projected points and value over replacement for each season ahead. This
+// season keeps the injury discount; later seasons start from the healthy projection.
+function projectSeasons(player, age, levels, years, cfg) {
+  const curve = cfg.ageCurves[player.position];
+  const now = ageMultiplier(curve, age);
+  const level = levels[player.position] || 0;
+  const seasons = [];
+  for (let y = 0; y < years; y++) {
+    const base = y === 0 ? player.projected : player.healthy;
+    const projected = now > 0 ? base * ageMultiplier(curve, age && age + y) / now : 0;
+    seasons.push({ projected, vor: projected - level });
+  }
+  return seasons;
+}
+
+function discountedValue(seasons, discount) {
+  return seasons.reduce((sum, s, y) => sum + discount ** y * Math.max(0, s.vor), 0);
+}
+
+// Every projected player's value over replacement this season, best first:
+// what a draft slot is worth
+function draftBoard(projections, levels) {
+  const values = [];
+  for (const map of Object.values(projections)) {
+    for (const rec of map.values()) values.push(rec.fantasy - (levels[rec.position] || 0));
+  }
+  return values.sort((a, b) => b - a);
+}
+
+function slotValue(board, round, slot, teams) {
+  return Math.max(0, board[(round - 1) * teams + slot - 1] || 0);
+}
+
+// Draft slot a team is likely to pick from: the worst team picks first
+function expectedSlot(currentRank, teams) {
+  return teams - currentRank + 1;
+}
+
+// Pick ownership for the coming seasons after trades:
+// [{ season, round, originalRosterId, ownerRosterId }]
+function pickInventory(rosters, tradedPicks, firstSeason, seasons, rounds) {
+  const owners = new Map();
+  for (const t of tradedPicks) owners.set(`${t.season}:${t.round}:${t.roster_id}`, t.owner_id);
+  const picks = [];
+  for (let s = firstSeason; s < firstSeason + seasons; s++) {
+    for (let round = 1; round <= rounds; round++) {
+      for (const r of rosters) {
+        const owner = owners.get(`${s}:${round}:${r.rosterId}`);
+        picks.push({ season: s, round, originalRosterId: r.rosterId, ownerRosterId: owner == null ? r.rosterId : owner });
+      }
+    }
+  }
+  return picks;
+}
+
+// player_id -> round in the league's completed draft for a season
+async function draftedRounds(leagueId, season) {
+  const drafts = await fetchLeagueDrafts(leagueId);
+  const draft = drafts.find(d => String(d.season) === String(season) && d.status === 'complete');
+  if (!draft) return { rounds: new Map(), draftRounds: null };
+  const picks = await fetchSleeperDraftPicks(draft.draft_id);
+  return {
+    rounds: new Map(picks.map(p => [String(p.player_id), Number(p.round)])),
+    draftRounds: Number((draft.settings || {}).rounds) || null,
+  };
+}
+
+// Best keepers by surplus: next season's value over what their round usually yields.
+// With uniqueRounds two keepers can't share a round, so the later one moves up.
+function suggestKeepers(players, rules, roundValue, lastRound) {
+  const costOf = p => (p.draftedRound
+    ? Math.max(1, p.draftedRound - rules.roundPenalty)
+    : Math.min(lastRound, rules.undraftedRound || lastRound));
+  const candidates = players
+    .map(p => ({ ...p, round: costOf(p) }))
+    .map(p => ({ ...p, surplus: p.keepValue - roundValue(p.round) }))
+    .filter(p => p.surplus > 0)
+    .sort((a, b) => b.surplus - a.surplus);
+
+  const used = new Set();
+  const keepers = [];
+  for (const p of candidates) {
+    if (keepers.length >= rules.count) break;
+    let round = p.round;
+    if (rules.uniqueRounds) {
+      while (round >= 1 && used.has(round)) round--;
+      if (round < 1) continue;
+    }
+    const surplus = p.keepValue - roundValue(round);
+    if (surplus <= 0) continue;
+    used.add(round);
+    keepers.push({
+      id: p.id,
+      name: p.name,
+      position: p.position,
+      age: p.age,
+      draftedRound: p.draftedRound || null,
+      round,
+      keepValue: round1(p.keepValue),
+      roundValue: round1(roundValue(round)),
+      surplus: round1(surplus),
+    });
+  }
+  return keepers;
+}
+
+// options.keepers overrides the configured keeper count
+async function computeDynasty(leagueId, options = {}) {
+  const cfg = loadDynastyConfig();
+  const rules = { ...cfg.keepers };
+  if (options.keepers !== undefined && options.keepers !== null && options.keepers !== '') {
+    const count = Number(options.keepers);
+    if (!Number.isInteger(count) || count < 0 || count > 20) return { error: 'Invalid keepers' };
+    rules.count = count;
+  }
+
+  const { league, rosters, projections, resolver, replacement } = await loadLeagueContext(leagueId);
+  const rosterPositions = league.roster_positions;
+  const levels = replacement.levels;
+  const season = Number(league.season) || new Date().getFullYear();
+  // Before this season's draft its picks are still in play and keepers count for it
+  const preDraft = ['pre_draft', 'drafting'].includes(league.status);
+  const nextSeason = preDraft ? season : season + 1;
+  const keepYear = nextSeason - season;
+  const years = Math.max(cfg.years, keepYear + 1);
+
+  const [tradedPicks, drafted] = await Promise.all([
+    fetchTradedPicks(leagueId),
+    draftedRounds(leagueId, preDraft ? season - 1 : season),
+  ]);
+  const teams = rosters.length;
+  const board = draftBoard(projections, levels);
+  const pickRounds = Number((league.settings || {}).draft_rounds) || cfg.picks.rounds;
+  const lastRound = drafted.draftRounds || pickRounds;
+
+  // Today's standing is the power ranking, the same one /api/rankings shows
+  const current = rosters.map(r => valueRoster(r, rosterPositions, resolver, levels));
+  const power = await rankByPower(leagueId, league, rosters, { valued: current });
+  const currentRank = id => power.get(String(id)).rank;
+
+  const picks = pickInventory(rosters, tradedPicks, nextSeason, cfg.picks.seasons, pickRounds).map((p) => {
+    const yearsOut = p.season - season;
+    // Only next season's order follows today's standings; later ones could land anywhere
+    const slot = p.season === nextSeason ? expectedSlot(currentRank(p.originalRosterId), teams) : (teams + 1) / 2;
+    const value = slotValue(board, p.round, Math.round(slot), teams) * cfg.picks.valueShare * cfg.yearlyDiscount ** yearsOut;
+    return { ...p, value };
+  });
+
+  const results = rosters.map((roster) => {
+    const entries = new Map(roster.entries.map(e => [String(e.id), e]));
+    const players = estimateTeamPoints(roster, resolver, levels).details.map((p) => {
+      const entry = entries.get(String(p.id)) || {};
+      const age = playerAge(entry);
+      const multiplier = entry.statusMultiplier === undefined ? 1 : entry.statusMultiplier;
+      const healthy = multiplier > 0 ? p.projected / multiplier : 0;
+      const seasons = projectSeasons({ ...p, healthy }, age, levels, years, cfg);
+      return {
+        ...p,
+        age,
+        value: discountedValue(seasons.slice(0, cfg.years), cfg.yearlyDiscount),
+        keepValue: Math.max(0, seasons[keepYear].vor),
+        draftedRound: drafted.rounds.get(String(p.id)) || null,
+      };
+    });
+
+    // Long-run lineup: IR stints are temporary, so everyone is eligible
+    const lineup = optimizeLineup(players.map(p => ({ ...p, rosterSlot: null, projected: p.value })), rosterPositions);
+    const benchValue = lineup.bench.reduce((sum, p) => sum + p.projected, 0);
+    const owned = picks.filter(p => String(p.ownerRosterId) === String(roster.rosterId));
+    const pickValue = owned.reduce((sum, p) => sum + p.value, 0);
+    const playerValue = lineup.total + BENCH_WEIGHT * benchValue;
+    const nextSlot = expectedSlot(currentRank(roster.rosterId), teams);
+    const teamName = id => (rosters.find(r => String(r.rosterId) === String(id)) || {}).teamName || `Team ${id}`;
+
+    return {
+      rosterId: roster.rosterId,
+      teamName: roster.teamName,
+      currentRank: currentRank(roster.rosterId),
+      currentProjected: round1(current[rosters.indexOf(roster)].totalProjected),
+      value: round1(playerValue + pickValue),
+      playerValue: round1(playerValue),
+      pickValue: round1(pickValue),
+      players: players
+        .map(p => ({ id: p.id, name: p.name, position: p.position, age: p.age, projected: round1(p.projected), value: round1(p.value), status: p.status }))
+        .sort((a, b) => b.value - a.value),
+      picks: owned.map(p => ({
+        season: p.season,
+        round: p.round,
+        originalRosterId: p.originalRosterId,
+        from: String(p.originalRosterId) === String(roster.rosterId) ? null : teamName(p.originalRosterId),
+        value: round1(p.value),
+      })),
+      keepers: rules.count ? suggestKeepers(players, rules, round => slotValue(board, round, nextSlot, teams), lastRound) : [],
+    };
+  });
+  resolver.save();
+
+  results.sort((a, b) => b.value - a.value);
+  return {
+    season,
+    keeperSeason: nextSeason,
+    years: cfg.years,
+    keeperRules: rules,
+    teams: results.map((r, idx) => ({
+      rank: idx + 1,
+      // Positive when the long-run outlook beats the current ranking
+      rankChange: r.currentRank - (idx + 1),
+      ...r,
+    })),
+  };
+}
+
+module.exports = {
+  loadDynastyConfig,
+  ageMultiplier,
+  pickInventory,
+  suggestKeepers,
+  computeDynasty,
+};
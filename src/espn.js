@@ -0,0 +1,247 @@
+// ESPN adapter: reads a league from ESPN's fantasy API (v3) and translates it
+// into the Sleeper shapes the rest of the app reads (see providers.js).
+//
+// Private leagues need the espn_s2 and SWID cookies from a logged-in browser,
+// set as ESPN_S2 and ESPN_SWID. The normalize* functions make no requests, so
+// recorded ESPN responses can be run through them offline.
+const axios = require('axios');
+const { TTL, getCache } = require('./cache');
+const { orderStarters } = require('./lineup');
+const { currentSeason } = require('./weeks');
+
+const ESPN_API = 'https://lm-api-reads.fantasy.espn.com/apis/v3/games/ffl';
+
+// lineupSlotId -> Sleeper roster slot; IDP and other slots are left out
+const LINEUP_SLOTS = {
+  0: 'QB', 2: 'RB', 3: 'WRRB_FLEX', 4: 'WR', 5: 'REC_FLEX', 6: 'TE', 7: 'SUPER_FLEX',
+  16: 'DEF', 17: 'K', 20: 'BN', 21: 'IR', 23: 'FLEX',
+};
+// Order the league's slots are listed in, like Sleeper's roster_positions
+const SLOT_ORDER = [0, 2, 4, 6, 23, 3, 5, 7, 17, 16, 20];
+
+// defaultPositionId -> position
+const POSITIONS = { 1: 'QB', 2: 'RB', 3: 'WR', 4: 'TE', 5: 'K', 16: 'DST' };
+
+// proTeamId -> Sleeper abbreviation
+const PRO_TEAMS = {
+  1: 'ATL', 2: 'BUF', 3: 'CHI', 4: 'CIN', 5: 'CLE', 6: 'DAL', 7: 'DEN', 8: 'DET',
+  9: 'GB', 10: 'TEN', 11: 'IND', 12: 'KC', 13: 'LV', 14: 'LAR', 15: 'MIA', 16: 'MIN',
+  17: 'NE', 18: 'NO', 19: 'NYG', 20: 'NYJ', 21: 'PHI', 22: 'ARI', 23: 'PIT', 24: 'LAC',
+  25: 'SF', 26: 'SEA', 27: 'TB', 28: 'WAS', 29: 'CAR', 30: 'JAX', 33: 'BAL', 34: 'HOU',
+};
+
+const INJURY_STATUSES = {
+  QUESTIONABLE: 'Questionable',
+  DOUBTFUL: 'Doubtful',
+  OUT: 'Out',
+  INJURY_RESERVE: 'IR',
+  SUSPENSION: 'Suspended',
+};
+
+// Scoring statId -> Sleeper scoring_settings keys. ESPN's points-allowed tiers
+// don't line up with Sleeper's, so each maps to the closest one.
+const SCORING_STATS = {
+  0: ['pass_att'], 1: ['pass_cmp'], 2: ['pass_inc'], 3: ['pass_yd'], 4: ['pass_td'], 20: ['pass_int'],
+  23: ['rush_att'], 24: ['rush_yd'], 25: ['rush_td'],
+  42: ['rec_yd'], 43: ['rec_td'], 53: ['rec'], 58: ['rec_tgt'],
+  74: ['fgm_50p'], 77: ['fgm_40_49'], 80: ['fgm_0_19', 'fgm_20_29', 'fgm_30_39'],
+  83: ['fgm'], 85: ['fgmiss'], 86: ['xpm'], 88: ['xpmiss'],
+  89: ['pts_allow_0'], 90: ['pts_allow_1_6'], 91: ['pts_allow_7_13'], 92: ['pts_allow_14_20'],
+  122: ['pts_allow_21_27'], 123: ['pts_allow_28_34'], 124: ['pts_allow_35p'],
+  95: ['int'], 96: ['fum_rec'], 99: ['sack'], 103: ['def_td'], 104: ['def_td'],
+  128: ['yds_allow_0_100'], 129: ['yds_allow_100_199'], 130: ['yds_allow_200_299'],
+  131: ['yds_allow_300_349'], 132: ['yds_allow_350_399'], 133: ['yds_allow_400_449'],
+  134: ['yds_allow_450_499'], 135: ['yds_allow_500_549'], 136: ['yds_allow_550p'],
+};
+
+function espnCacheKeys(leagueId) {
+  // League settings, members and rosters come back in one response
+  const league = `espn:league:${leagueId}`;
+  return { league, users: league, rosters: league };
+}
+
+function espnMatchupsCacheKey(leagueId, week) {
+  return `espn:matchups:${leagueId}:${week}`;
+}
+
+function requestConfig() {
+  const s2 = (process.env.ESPN_S2 || '').trim();
+  const swid = (process.env.ESPN_SWID || '').trim();
+  return s2 && swid ? { headers: { Cookie: `espn_s2=${s2}; SWID=${swid}` } } : {};
+}
+
+async function getCached(key, url, ttl) {
+  return getCache().getOrLoad(key, async () => {
+    const res = await axios.get(url, requestConfig());
+    return res.data || {};
+  }, { ttl });
+}
+
+async function leagueUrl(leagueId, views, params = '') {
+  const season = await currentSeason();
+  const query = views.map(v => `view=${v}`).join('&');
+  return `${ESPN_API}/seasons/${season}/segments/0/leagues/${leagueId}?${query}${params}`;
+}
+
+async function fetchEspnRaw(leagueId) {
+  const url = await leagueUrl(leagueId, ['mSettings', 'mStatus', 'mTeam', 'mRoster']);
+  return getCached(espnCacheKeys(leagueId).league, url, TTL.rosters);
+}
+
+async function fetchEspnLeague(leagueId) {
+  return normalizeEspnLeague(await fetchEspnRaw(leagueId));
+}
+
+async function fetchEspnLeagueRosters(leagueId) {
+  return normalizeEspnRosters(await fetchEspnRaw(leagueId));
+}
+
+async function fetchEspnMatchups(leagueId, week) {
+  const url = await leagueUrl(leagueId, ['mSettings', 'mMatchupScore', 'mBoxscore'], `&scoringPeriodId=${week}`);
+  return normalizeEspnMatchups(await getCached(espnMatchupsCacheKey(leagueId, week), url, TTL.matchups), week);
+}
+
+function translateScoring(items) {
+  const scoring = {};
+  for (const item of items || []) {
+    for (const key of SCORING_STATS[item.statId] || []) {
+      if (scoring[key] === undefined) scoring[key] = Number(item.points) || 0;
+    }
+  }
+  return scoring;
+}
+
+function rosterPositions(settings) {
+  const counts = (settings.rosterSettings || {}).lineupSlotCounts || {};
+  return SLOT_ORDER.flatMap(id => new Array(Number(counts[id]) || 0).fill(LINEUP_SLOTS[id]));
+}
+
+// ESPN league response -> Sleeper league object
+function normalizeEspnLeague(raw) {
+  const settings = raw.settings || {};
+  const schedule = settings.scheduleSettings || {};
+  const acquisition = settings.acquisitionSettings || {};
+  const regularSeasonWeeks = Number(schedule.matchupPeriodCount) || 14;
+  const currentPeriod = Number((raw.status || {}).currentMatchupPeriod) || 1;
+  return {
+    league_id: String(raw.id),
+    name: settings.name || `ESPN league ${raw.id}`,
+    season: String(raw.seasonId || ''),
+    status: currentPeriod > regularSeasonWeeks ? 'post_season' : 'in_season',
+    total_rosters: Number(settings.size) || (raw.teams || []).length,
+    roster_positions: rosterPositions(settings),
+    scoring_settings: translateScoring((settings.scoringSettings || {}).scoringItems),
+    settings: {
+      playoff_week_start: regularSeasonWeeks + 1,
+      playoff_teams: Number(schedule.playoffTeamCount) || 0,
+      waiver_type: acquisition.isUsingAcquisitionBudget ? 2 : 0,
+      waiver_budget: Number(acquisition.acquisitionBudget) || 0,
+    },
+  };
+}
+
+function normalizeEspnUsers(raw) {
+  const teamByOwner = new Map();
+  for (const team of raw.teams || []) {
+    for (const owner of team.owners || []) teamByOwner.set(String(owner), teamName(team));
+  }
+  return (raw.members || []).map(m => ({
+    userId: String(m.id),
+    displayName: m.displayName || null,
+    teamName: teamByOwner.get(String(m.id)) || m.displayName || null,
+  }));
+}
+
+function teamName(team) {
+  return team.name || [team.location, team.nickname].filter(Boolean).join(' ').trim() || team.abbrev || `Team ${team.id}`;
+}
+
+function playerEntry(entry, starters) {
+  const player = (entry.playerPoolEntry || {}).player || {};
+  const id = `espn:${entry.playerId}`;
+  const position = POSITIONS[player.defaultPositionId] || 'FLEX';
+  const team = PRO_TEAMS[player.proTeamId] || null;
+  const slot = LINEUP_SLOTS[entry.lineupSlotId] || null;
+  const isStarter = !!slot && slot !== 'BN' && slot !== 'IR';
+  if (isStarter) starters.push({ id, slot, position });
+  return {
+    id,
+    name: player.fullName || [player.firstName, player.lastName].filter(Boolean).join(' ') || id,
+    position,
+    team,
+    fantasyPositions: [position],
+    isStarter,
+    status: INJURY_STATUSES[entry.injuryStatus || player.injuryStatus] || (team ? null : 'No Team'),
+    rosterSlot: slot === 'IR' ? 'IR' : null,
+    age: null,
+    yearsExp: null,
+  };
+}
+
+// ESPN league response -> the app's roster shape
+function normalizeEspnRosters(raw) {
+  const positions = rosterPositions(raw.settings || {});
+  return (raw.teams || []).map((team) => {
+    const starters = [];
+    const entries = ((team.roster || {}).entries || []).map(e => playerEntry(e, starters));
+    const overall = (team.record || {}).overall || {};
+    const owner = team.primaryOwner || (team.owners || [])[0];
+    return {
+      rosterId: team.id,
+      ownerId: owner ? String(owner) : null,
+      teamName: teamName(team),
+      starters: orderStarters(starters, positions),
+      entries,
+      record: {
+        wins: Number(overall.wins) || 0,
+        losses: Number(overall.losses) || 0,
+        ties: Number(overall.ties) || 0,
+        pointsFor: Number(overall.pointsFor) || 0,
+        pointsAgainst: Number(overall.pointsAgainst) || 0,
+      },
+      waiverBudgetUsed: Number((team.transactionCounter || {}).acquisitionBudgetSpent) || 0,
+    };
+  });
+}
+
+// ESPN schedule -> Sleeper matchups for one week: [{ roster_id, matchup_id, points, starters, players_points }]
+function normalizeEspnMatchups(raw, week) {
+  const positions = rosterPositions(raw.settings || {});
+  const matchups = [];
+  for (const game of raw.schedule || []) {
+    if (Number(game.matchupPeriodId) !== Number(week)) continue;
+    const sides = [game.home, game.away].filter(Boolean);
+    for (const side of sides) {
+      const roster = side.rosterForCurrentScoringPeriod || side.rosterForMatchupPeriod || {};
+      const starters = [];
+      const playersPoints = {};
+      for (const e of roster.entries || []) {
+        const entry = playerEntry(e, starters);
+        playersPoints[entry.id] = Number((e.playerPoolEntry || {}).appliedStatTotal) || 0;
+      }
+      matchups.push({
+        roster_id: side.teamId,
+        // A lone side is a bye
+        matchup_id: sides.length === 2 ? game.id : null,
+        points: Number(side.totalPoints) || 0,
+        starters: starters.length ? orderStarters(starters, positions) : [],
+        players: Object.keys(playersPoints),
+        players_points: playersPoints,
+      });
+    }
+  }
+  return matchups;
+}
+
+module.exports = {
+  ESPN_API,
+  espnCacheKeys,
+  espnMatchupsCacheKey,
+  fetchEspnLeague,
+  fetchEspnLeagueRosters,
+  fetchEspnMatchups,
+  normalizeEspnLeague,
+  normalizeEspnUsers,
+  normalizeEspnRosters,
+  normalizeEspnMatchups,
+};
@@ -0,0 +1,304 @@
+// Projections refresh pipeline (`npm run refresh`).
+//
+// Pulls each position from a source adapter (see src/sources), normalizes the
+// rows into the column schema of data/*.csv, validates them and swaps the new
+// files in atomically after backing up the old ones.
+//
+//   node src/fetch_projections.js --source html --url 'https://example.com/projections/{position}'
+//   node src/fetch_projections.js --source json --fixtures test/fixtures/projections --positions QB --dry-run
+//   node src/fetch_projections.js --source json --fixtures ./fixtures --positions DL,LB,DB
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { parse } = require('csv-parse/sync');
+require('dotenv').config({ quiet: true });
+
+const { DATA_DIR } = require('./projections');
+const { loadPositions } = require('./positions');
+const { getSource } = require('./sources');
+const { toCsv } = require('./csv');
+
+const BACKUP_DIR = path.join(__dirname, '..', 'backups', 'projections');
+
+const OFFENSE_COLUMNS = [
+  'player', 'team', 'gameInfo', 'salary', 'value', 'completionsAttempts', 'passingYards', 'passingTouchdowns',
+  'interceptionsThrown', 'rushingAttempts', 'rushingYards', 'rushingTouchdowns', 'receptions', 'targets',
+  'receivingYards', 'receivingTouchdowns', 'fantasy', 'positionRank', 'overallRank', 'opponentDefensiveRank',
+];
+
+// Column order for each kind of stat line, matching the files in the repo
+const SCHEMA_COLUMNS = {
+  offense: OFFENSE_COLUMNS,
+  kicker: [
+    'player', 'team', 'gameInfo', 'salary', 'value', 'extraPointsAttempted', 'extraPointsMade', 'fieldGoalsAttempted',
+    'fieldGoalsMade', 'fieldGoalsMade0To19', 'fieldGoalsMade20To29', 'fieldGoalsMade30To39', 'fieldGoalsMade40To49',
+    'fieldGoalsMade50Plus', 'fantasy', 'positionRank', 'opponentDefensiveRank',
+  ],
+  defense: [
+    'player', 'team', 'gameInfo', 'salary', 'value', 'pointsAllowed', 'yardsAllowed', 'sacks', 'interceptions',
+    'fumblesRecovered', 'touchdowns', 'fantasy', 'positionRank', 'opponentOffensiveRank',
+  ],
+  idp: [
+    'player', 'team', 'gameInfo', 'salary', 'value', 'soloTackles', 'assistedTackles', 'tacklesForLoss', 'qbHits',
+    'sacks', 'interceptions', 'forcedFumbles', 'fumblesRecovered', 'passesDefended', 'touchdowns', 'safeties',
+    'fantasy', 'positionRank', 'opponentDefensiveRank',
+  ],
+};
+
+// Column order for each data/{POSITION}.csv, by the position's scoring in the registry
+const SCHEMAS = Object.fromEntries(loadPositions().map(p => [p.position, SCHEMA_COLUMNS[p.scoring] || OFFENSE_COLUMNS]));
+
+const REQUIRED_COLUMNS = ['player', 'team', 'fantasy'];
+const TEXT_COLUMNS = new Set(['player', 'team', 'gameInfo', 'salary', 'value', 'completionsAttempts']);
+// Columns left blank rather than zero-filled when a source doesn't provide them
+const OPTIONAL_COLUMNS = new Set(['overallRank', 'opponentDefensiveRank', 'opponentOffensiveRank']);
+
+// Plausible season-long [min, max] per stat; rows outside these are rejected
+const VALUE_RANGES = {
+  passingYards: [0, 6500],
+  passingTouchdowns: [0, 60],
+  interceptionsThrown: [0, 35],
+  rushingAttempts: [0, 450],
+  rushingYards: [-50, 2500],
+  rushingTouchdowns: [0, 30],
+  receptions: [0, 160],
+  targets: [0, 220],
+  receivingYards: [-50, 2200],
+  receivingTouchdowns: [0, 25],
+  extraPointsAttempted: [0, 80],
+  extraPointsMade: [0, 80],
+  fieldGoalsAttempted: [0, 60],
+  fieldGoalsMade: [0, 60],
+  fieldGoalsMade0To19: [0, 10],
+  fieldGoalsMade20To29: [0, 30],
+  fieldGoalsMade30To39: [0, 30],
+  fieldGoalsMade40To49: [0, 30],
+  fieldGoalsMade50Plus: [0, 20],
+  pointsAllowed: [0, 700],
+  yardsAllowed: [0, 8000],
+  sacks: [0, 90],
+  interceptions: [0, 40],
+  fumblesRecovered: [0, 30],
+  touchdowns: [0, 15],
+  soloTackles: [0, 200],
+  assistedTackles: [0, 120],
+  tacklesForLoss: [0, 40],
+  qbHits: [0, 60],
+  forcedFumbles: [0, 12],
+  passesDefended: [0, 30],
+  safeties: [0, 3],
+  fantasy: [-50, 600],
+};
+
+// Refuse to write a file that lost most of its players
+const MIN_ROWS = 10;
+
+function toNumber(value) {
+  const n = parseFloat(String(value).replace(/,/g, ''));
+  return Number.isNaN(n) ? null : n;
+}
+
+// Shape one adapter row into the position's schema. Returns { row, errors }.
+function normalizeRow(raw, position) {
+  const schema = SCHEMAS[position];
+  const errors = [];
+  const row = {};
+
+  // Some sources split completions/attempts into two columns
+  if (raw.completionsAttempts === undefined && (raw.completions !== undefined || raw.passingAttempts !== undefined)) {
+    const cmp = toNumber(raw.completions) || 0;
+    const att = toNumber(raw.passingAttempts) || 0;
+    raw = { ...raw, completionsAttempts: `${cmp}/${att}` };
+  }
+
+  for (const column of schema) {
+    const value = raw[column] === undefined || raw[column] === null ? '' : String(raw[column]).trim();
+    if (TEXT_COLUMNS.has(column)) {
+      row[column] = value;
+      continue;
+    }
+    if (value === '' || value === '-') {
+      row[column] = OPTIONAL_COLUMNS.has(column) || column === 'positionRank' ? '' : '0';
+      continue;
+    }
+    const n = toNumber(value);
+    if (n === null) {
+      errors.push(`${column}="${value}" is not a number`);
+      continue;
+    }
+    const range = VALUE_RANGES[column];
+    if (range && (n < range[0] || n > range[1])) {
+      errors.push(`${column}=${n} outside ${range[0]}..${range[1]}`);
+    }
+    row[column] = String(n);
+  }
+
+  if (!row.salary) row.salary = 'N/A';
+  if (!row.value) row.value = 'N/A';
+  if (schema.includes('completionsAttempts') && !row.completionsAttempts) row.completionsAttempts = '0.0/0.0';
+  if (position === 'DST' && row.player && !/d\/st/i.test(row.player)) row.player = `${row.player} D/ST`;
+  for (const column of REQUIRED_COLUMNS) {
+    if (!row[column]) errors.push(`missing ${column}`);
+  }
+  return { row, errors };
+}
+
+// Normalize and validate a whole position. Throws when the set is unusable.
+function normalizePosition(rawRows, position) {
+  const rejected = [];
+  const seen = new Set();
+  const rows = [];
+  for (const raw of rawRows) {
+    const { row, errors } = normalizeRow(raw, position);
+    if (errors.length) {
+      rejected.push({ player: row.player || '(unnamed)', errors });
+      continue;
+    }
+    if (seen.has(row.player)) continue;
+    seen.add(row.player);
+    rows.push(row);
+  }
+  if (rows.length < MIN_ROWS) {
+    const sample = rejected.slice(0, 3).map(r => `${r.player}: ${r.errors.join(', ')}`).join('; ');
+    throw new Error(`${position}: only ${rows.length} valid rows (${rejected.length} rejected)${sample ? ` - ${sample}` : ''}`);
+  }
+
+  // Re-rank by projected points when the source didn't rank players
+  rows.sort((a, b) => Number(b.fantasy) - Number(a.fantasy));
+  rows.forEach((row, idx) => {
+    if (!row.positionRank) row.positionRank = String(idx + 1);
+  });
+  return { rows, rejected };
+}
+
+function readExisting(file) {
+  if (!fs.existsSync(file)) return [];
+  return parse(fs.readFileSync(file, 'utf8'), { columns: true, skip_empty_lines: true });
+}
+
+// What changed between the current file and the new rows
+function diffRows(before, after) {
+  const prev = new Map(before.map(r => [r.player, parseFloat(r.fantasy) || 0]));
+  const next = new Map(after.map(r => [r.player, parseFloat(r.fantasy) || 0]));
+  const added = [...next.keys()].filter(p => !prev.has(p));
+  const removed = [...prev.keys()].filter(p => !next.has(p));
+  const movers = [...next.entries()]
+    .filter(([p]) => prev.has(p))
+    .map(([player, fantasy]) => ({ player, from: prev.get(player), to: fantasy, delta: fantasy - prev.get(player) }))
+    .filter(m => Math.abs(m.delta) >= 0.01)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta));
+  return { before: before.length, after: after.length, added, removed, changed: movers.length, movers: movers.slice(0, 5) };
+}
+
+function timestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Write every file to a temp path first, back up the originals, then rename
+// the temp files into place so readers never see a half-written CSV.
+function writeAtomically(outputs, { dataDir, backupDir }) {
+  const stamp = timestamp();
+  const backupPath = path.join(backupDir, stamp);
+  const staged = [];
+  try {
+    for (const { file, csv } of outputs) {
+      const target = path.join(dataDir, file);
+      const tmp = `${target}.tmp-${process.pid}`;
+      fs.writeFileSync(tmp, csv);
+      staged.push({ target, tmp, file });
+    }
+  } catch (err) {
+    for (const { tmp } of staged) fs.rmSync(tmp, { force: true });
+    throw err;
+  }
+
+  fs.mkdirSync(backupPath, { recursive: true });
+  for (const { target, file } of staged) {
+    if (fs.existsSync(target)) fs.copyFileSync(target, path.join(backupPath, file));
+  }
+  for (const { target, tmp } of staged) fs.renameSync(tmp, target);
+  return backupPath;
+}
+
+async function refreshProjections(options = {}) {
+  const source = getSource(options.source || 'html');
+  const dataDir = options.dataDir || DATA_DIR;
+  // Optional positions (IDP) only when asked for by name
+  const positions = options.positions && options.positions.length
+    ? options.positions
+    : loadPositions().filter(p => !p.optional).map(p => p.position);
+
+  const outputs = [];
+  const summary = [];
+  for (const position of positions) {
+    if (!SCHEMAS[position]) throw new Error(`Unknown position ${position}`);
+    const rawRows = await source.fetchPosition(position, options);
+    const { rows, rejected } = normalizePosition(rawRows, position);
+    const file = `${position}.csv`;
+    outputs.push({ file, csv: toCsv(rows, SCHEMAS[position]) });
+    summary.push({ position, file, rejected, ...diffRows(readExisting(path.join(dataDir, file)), rows) });
+  }
+
+  let backupPath = null;
+  if (!options.dryRun) {
+    backupPath = writeAtomically(outputs, { dataDir, backupDir: options.backupDir || BACKUP_DIR });
+  }
+  return { source: source.name, dryRun: !!options.dryRun, backupPath, summary };
+}
+
+function printSummary(result) {
+  console.log(`Projections refresh from "${result.source}"${result.dryRun ? ' (dry run, nothing written)' : ''}`);
+  for (const s of result.summary) {
+    console.log(`\n${s.file}: ${s.before} -> ${s.after} players, ${s.changed} changed, +${s.added.length} / -${s.removed.length}`);
+    if (s.added.length) console.log(`  added: ${s.added.slice(0, 10).join(', ')}${s.added.length > 10 ? ', ...' : ''}`);
+    if (s.removed.length) console.log(`  removed: ${s.removed.slice(0, 10).join(', ')}${s.removed.length > 10 ? ', ...' : ''}`);
+    for (const m of s.movers) {
+      console.log(`  ${m.player}: ${m.from.toFixed(1)} -> ${m.to.toFixed(1)} (${m.delta > 0 ? '+' : ''}${m.delta.toFixed(1)})`);
+    }
+    if (s.rejected.length) console.log(`  rejected ${s.rejected.length} rows, e.g. ${s.rejected[0].player}: ${s.rejected[0].errors.join(', ')}`);
+  }
+  if (result.backupPath) console.log(`\nPrevious files backed up to ${result.backupPath}`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      source: { type: 'string', default: process.env.PROJECTIONS_SOURCE || 'html' },
+      url: { type: 'string', default: process.env.PROJECTIONS_URL || '' },
+      selector: { type: 'string' },
+      fixtures: { type: 'string' },
+      positions: { type: 'string' },
+      'data-dir': { type: 'string' },
+      'backup-dir': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+    },
+  });
+  const result = await refreshProjections({
+    source: values.source,
+    url: values.url,
+    selector: values.selector,
+    fixturesDir: values.fixtures,
+    positions: values.positions ? values.positions.split(',').map(p => p.trim().toUpperCase()) : null,
+    dataDir: values['data-dir'],
+    backupDir: values['backup-dir'],
+    dryRun: values['dry-run'],
+  });
+  printSummary(result);
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`Refresh failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  SCHEMAS,
+  VALUE_RANGES,
+  normalizeRow,
+  normalizePosition,
+  diffRows,
+  writeAtomically,
+  refreshProjections,
+};
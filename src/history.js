@@ -0,0 +1,156 @@
+// Ranking history: snapshots of each team's rank, projected totals and best
+// lineup, so trends survive past a single request.
+//
+// HISTORY_BACKEND=file (default) keeps one JSON file per league under
+// HISTORY_DIR (default: history/ in the repo, which works offline; point it at
+// a writable dir such as /tmp on Vercel); memory keeps them for the process.
+// SNAPSHOT_CADENCE is weekly (default), daily or manual: rankings requests
+// record a snapshot whenever one is due, and POST /api/history takes one on demand
+// for callers with the write secret (see auth.js).
+const fs = require('fs');
+const path = require('path');
+const { computeRankings } = require('./rankings');
+const { fetchLeague } = require('./providers');
+const { resolveRequestWeek } = require('./weeks');
+const { round1 } = require('./simulation');
+
+const DAY = 24 * 60 * 60 * 1000;
+const CADENCES = { weekly: 7 * DAY, daily: DAY, manual: Infinity };
+// Oldest snapshots are dropped past this many per league
+const MAX_SNAPSHOTS = 500;
+
+function createMemoryStore() {
+  const leagues = new Map();
+  return {
+    list: leagueId => (leagues.get(String(leagueId)) || []).slice(),
+    save: (leagueId, snapshots) => { leagues.set(String(leagueId), snapshots.slice()); },
+  };
+}
+
+function createFileStore(dir) {
+  const fileFor = leagueId => path.join(dir, `${String(leagueId).replace(/[^\w-]/g, '_')}.json`);
+  return {
+    list(leagueId) {
+      try {
+        return JSON.parse(fs.readFileSync(fileFor(leagueId), 'utf8'));
+      } catch (e) {
+        if (e.code !== 'ENOENT') console.warn(`history: could not read ${fileFor(leagueId)}: ${e.message}`);
+        return [];
+      }
+    },
+    save(leagueId, snapshots) {
+      try {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(leagueId);
+        const tmp = `${file}.${process.pid}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(snapshots));
+        fs.renameSync(tmp, file);
+      } catch (e) {
+        // A read-only disk shouldn't break rankings; the snapshot is just lost
+        console.warn(`history: failed to save ${leagueId}: ${e.message}`);
+      }
+    },
+  };
+}
+
+let sharedStore = null;
+
+function getHistoryStore() {
+  if (!sharedStore) {
+    const backend = (process.env.HISTORY_BACKEND || 'file').trim().toLowerCase();
+    const dir = (process.env.HISTORY_DIR || '').trim() || path.join(__dirname, '..', 'history');
+    sharedStore = backend === 'memory' ? createMemoryStore() : createFileStore(dir);
+  }
+  return sharedStore;
+}
+
+function snapshotCadence() {
+  const cadence = (process.env.SNAPSHOT_CADENCE || 'weekly').trim().toLowerCase();
+  return CADENCES[cadence] === undefined ? 'weekly' : cadence;
+}
+
+// Rankings rows -> one stored snapshot
+function buildSnapshot(rankings, { season, week, trigger }) {
+  return {
+    takenAt: new Date().toISOString(),
+    season: season || null,
+    week: week || null,
+    trigger,
+    teams: rankings.map(r => ({
+      rosterId: r.rosterId,
+      teamName: r.teamName,
+      rank: r.rank,
+      powerScore: r.powerScore,
+      totalProjected: round1(r.totalProjected),
+      floorProjected: round1(r.floorProjected),
+      ceilingProjected: round1(r.ceilingProjected),
+      vorProjected: r.vorProjected === null ? null : round1(r.vorProjected),
+      lineup: r.optimalLineup.map(s => ({ slot: s.slot, id: s.id, name: s.name, position: s.position, projected: round1(s.projected) })),
+    })),
+  };
+}
+
+function appendSnapshot(leagueId, snapshot) {
+  const store = getHistoryStore();
+  const snapshots = [...store.list(leagueId), snapshot].slice(-MAX_SNAPSHOTS);
+  store.save(leagueId, snapshots);
+  return snapshot;
+}
+
+// A new week always gets a snapshot; otherwise wait out the cadence
+function isSnapshotDue(snapshots, { season, week }, cadence, now = Date.now()) {
+  if (cadence === 'manual') return false;
+  const last = snapshots[snapshots.length - 1];
+  if (!last) return true;
+  if (String(last.season) !== String(season) || last.week !== (week || null)) return true;
+  return now - Date.parse(last.takenAt) >= CADENCES[cadence];
+}
+
+// Called with the default (power-sorted, current-week) rankings a request just computed
+async function recordSnapshotIfDue(leagueId, rankings, week) {
+  const league = await fetchLeague(leagueId);
+  const view = { season: league.season, week };
+  if (!isSnapshotDue(getHistoryStore().list(leagueId), view, snapshotCadence())) return null;
+  return appendSnapshot(leagueId, buildSnapshot(rankings, { ...view, trigger: 'scheduled' }));
+}
+
+// On-demand snapshot of the current week's power rankings
+async function takeSnapshot(leagueId) {
+  const [week, league] = await Promise.all([resolveRequestWeek({}), fetchLeague(leagueId)]);
+  const rankings = await computeRankings(leagueId, { week, sort: 'power' });
+  return appendSnapshot(leagueId, buildSnapshot(rankings, { season: league.season, week, trigger: 'manual' }));
+}
+
+// League history without lineups, or one team's series with its lineups when rosterId is given
+function getHistory(leagueId, rosterId) {
+  const snapshots = getHistoryStore().list(leagueId);
+  if (rosterId === undefined || rosterId === null || rosterId === '') {
+    return {
+      leagueId: String(leagueId),
+      snapshots: snapshots.map(s => ({
+        ...s,
+        teams: s.teams.map(({ lineup, ...team }) => team),
+      })),
+    };
+  }
+  const points = [];
+  let teamName = null;
+  for (const s of snapshots) {
+    const team = s.teams.find(t => String(t.rosterId) === String(rosterId));
+    if (!team) continue;
+    teamName = team.teamName;
+    points.push({ takenAt: s.takenAt, season: s.season, week: s.week, trigger: s.trigger, ...team });
+  }
+  return { leagueId: String(leagueId), rosterId: String(rosterId), teamName, points };
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  getHistoryStore,
+  buildSnapshot,
+  isSnapshotDue,
+  recordSnapshotIfDue,
+  takeSnapshot,
+  getHistory,
+};
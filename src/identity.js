@@ -0,0 +1,275 @@
+// Identity resolution: ties a Sleeper player to a row in the projections.
+//
+// Order of attempts for each rostered player:
+//   1. the crosswalk (provider player ID -> projection row) saved from earlier runs
+//   2. exact normalized name (or an alias from data/name_aliases.json) at the
+//      same position, preferring the row whose NFL team matches
+//   3. team-matched positions (team defenses) by NFL team
+//   4. fuzzy name match at the same position, with a confidence score
+//
+// New matches are written back to the crosswalk (CROSSWALK_FILE, default
+// data/crosswalk.json, which is gitignored). To pin a match by hand, edit its
+// entry and set "manual": true; manual entries are never overwritten.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./projections');
+const { toTeamAbbr } = require('./nfl_teams');
+const { fromSleeperPosition, matchesByTeam, recordTeam } = require('./positions');
+
+const ALIASES_FILE = path.join(DATA_DIR, 'name_aliases.json');
+const CROSSWALK_FILE = (process.env.CROSSWALK_FILE || '').trim() || path.join(DATA_DIR, 'crosswalk.json');
+
+// Fuzzy matches below this are discarded; below LOW_CONFIDENCE they are reported
+const MIN_CONFIDENCE = 0.75;
+const LOW_CONFIDENCE = 0.9;
+// A fuzzy match this close to a different row's score is a coin flip, so neither is taken
+const AMBIGUOUS_MARGIN = 0.05;
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/'/g, '')
+    .replace(/-/g, ' ')
+    // strip common suffixes
+    .replace(/\b(jr|sr|ii|iii|iv|v)\b/g, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function recordKey(rec) {
+  return `${rec.position}:${rec.player}`;
+}
+
+// Alias groups: every name in a group is treated as the same player
+function loadAliases(file = ALIASES_FILE) {
+  const aliases = new Map();
+  let groups = [];
+  try {
+    groups = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`identity: could not read ${file}: ${e.message}`);
+  }
+  for (const group of groups) {
+    const names = group.map(normalizeName).filter(Boolean);
+    for (const name of names) {
+      if (!aliases.has(name)) aliases.set(name, new Set());
+      for (const other of names) if (other !== name) aliases.get(name).add(other);
+    }
+  }
+  return aliases;
+}
+
+// Crosswalk key for a player id: "provider:id", so an ESPN or MFL id can never
+// pick up a Sleeper player's match. The ESPN and MFL adapters already prefix
+// their ids ("espn:1234"); bare ids are Sleeper's.
+function crosswalkKey(id) {
+  const s = String(id);
+  return /^[a-z]+:/.test(s) ? s : `sleeper:${s}`;
+}
+
+let crosswalk = null;
+
+function loadCrosswalk() {
+  if (crosswalk) return crosswalk;
+  let saved = {};
+  try {
+    saved = JSON.parse(fs.readFileSync(CROSSWALK_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`identity: could not read ${CROSSWALK_FILE}: ${e.message}`);
+  }
+  // Files from before keys carried their provider are all Sleeper ids
+  const entries = {};
+  let dirty = false;
+  for (const [id, entry] of Object.entries(saved || {})) {
+    const key = crosswalkKey(id);
+    if (key !== id) dirty = true;
+    if (!entries[key] || entry.manual) entries[key] = entry;
+  }
+  crosswalk = { entries, dirty, writable: true };
+  return crosswalk;
+}
+
+function saveCrosswalk() {
+  const cw = loadCrosswalk();
+  if (!cw.dirty || !cw.writable) return;
+  try {
+    const tmp = `${CROSSWALK_FILE}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cw.entries, null, 2) + '\n');
+    fs.renameSync(tmp, CROSSWALK_FILE);
+    cw.dirty = false;
+  } catch (e) {
+    // Read-only deployments (Vercel) keep the crosswalk in memory only
+    cw.writable = false;
+    console.warn(`identity: crosswalk not saved: ${e.message}`);
+  }
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+function similarity(a, b) {
+  const len = Math.max(a.length, b.length);
+  return len ? 1 - levenshtein(a, b) / len : 1;
+}
+
+// 0..1 score for two normalized names. A shared last name only clears
+// MIN_CONFIDENCE with a first name that mostly agrees: a shortened one
+// ("josh" / "joshua") scores high, a bare initial ("j" / "jaylen") or a
+// different name with the same initial ("jamaal" / "javonte") does not.
+function nameScore(a, b) {
+  const ta = a.split(' ');
+  const tb = b.split(' ');
+  const lastA = ta[ta.length - 1];
+  const lastB = tb[tb.length - 1];
+  if (ta.length > 1 && tb.length > 1 && lastA === lastB) {
+    const firstA = ta.slice(0, -1).join(' ');
+    const firstB = tb.slice(0, -1).join(' ');
+    const [shorter, longer] = firstA.length <= firstB.length ? [firstA, firstB] : [firstB, firstA];
+    let first = similarity(firstA, firstB);
+    if (shorter.length > 1 && longer.startsWith(shorter)) first = Math.max(first, 0.8);
+    return 0.5 + 0.5 * first;
+  }
+  return 0.9 * similarity(a, b);
+}
+
+function teamFactor(entryTeam, rec) {
+  const recTeam = toTeamAbbr(rec.team);
+  if (!entryTeam || !recTeam) return 1;
+  return entryTeam === recTeam ? 1 : 0.85;
+}
+
+// Positions a Sleeper player may be projected at
+function entryPositions(entry) {
+  const positions = new Set([entry.position]);
+  for (const p of entry.fantasyPositions || []) positions.add(fromSleeperPosition(p) || p);
+  return positions;
+}
+
+// projections: { qbs: Map, rbs: Map, ... } as returned by loadConsensusProjections
+function createResolver(projections, options = {}) {
+  const aliases = options.aliases || loadAliases();
+  const cw = options.crosswalk === false ? null : loadCrosswalk();
+  const byKey = new Map();
+  const byName = new Map();
+  const byPosition = new Map();
+  // position -> NFL team -> row, for positions matched by team
+  const byTeam = new Map();
+
+  for (const map of Object.values(projections)) {
+    for (const rec of map.values()) {
+      const key = recordKey(rec);
+      const name = normalizeName(rec.player);
+      const indexed = { rec, key, name };
+      byKey.set(key, indexed);
+      for (const n of [name, ...(aliases.get(name) || [])]) {
+        if (!byName.has(n)) byName.set(n, []);
+        byName.get(n).push(indexed);
+      }
+      if (!byPosition.has(rec.position)) byPosition.set(rec.position, []);
+      byPosition.get(rec.position).push(indexed);
+      if (matchesByTeam(rec.position)) {
+        const abbr = recordTeam(rec);
+        if (!byTeam.has(rec.position)) byTeam.set(rec.position, new Map());
+        if (abbr) byTeam.get(rec.position).set(abbr, indexed);
+      }
+    }
+  }
+
+  function fuzzyCandidates(entry, positions) {
+    const name = normalizeName(entry.name);
+    const team = toTeamAbbr(entry.team);
+    const scored = [];
+    for (const position of positions) {
+      for (const indexed of byPosition.get(position) || []) {
+        const score = Math.min(1, nameScore(name, indexed.name) * teamFactor(team, indexed.rec));
+        scored.push({ ...indexed, score });
+      }
+    }
+    return scored.sort((a, b) => b.score - a.score);
+  }
+
+  function match(entry) {
+    const positions = entryPositions(entry);
+    const team = toTeamAbbr(entry.team);
+
+    for (const position of positions) {
+      if (!byTeam.has(position)) continue;
+      // Sleeper keys team defenses by abbreviation
+      const indexed = byTeam.get(position).get(toTeamAbbr(entry.id) || team);
+      if (indexed) return { indexed, confidence: 1, method: 'team' };
+    }
+
+    const name = normalizeName(entry.name);
+    const exact = (byName.get(name) || []).filter(i => positions.has(i.rec.position));
+    if (exact.length) {
+      // Prefer the primary position, then a matching NFL team
+      exact.sort((a, b) =>
+        (b.rec.position === entry.position) - (a.rec.position === entry.position) ||
+        teamFactor(team, b.rec) - teamFactor(team, a.rec));
+      const best = exact[0];
+      const method = best.name === name ? 'exact' : 'alias';
+      return { indexed: best, confidence: teamFactor(team, best.rec) < 1 ? 0.9 : 1, method };
+    }
+
+    const [best, next] = fuzzyCandidates(entry, positions);
+    if (next && next.key !== best.key && best.score - next.score < AMBIGUOUS_MARGIN) return null;
+    if (best && best.score >= MIN_CONFIDENCE) {
+      return { indexed: best, confidence: Math.round(best.score * 100) / 100, method: 'fuzzy' };
+    }
+    return null;
+  }
+
+  // Returns { record, confidence, method } or null when nothing plausible exists
+  function resolve(entry) {
+    const id = crosswalkKey(entry.id);
+    const saved = cw && cw.entries[id];
+    if (saved && byKey.has(saved.key)) {
+      return { record: byKey.get(saved.key).rec, confidence: saved.manual ? 1 : saved.confidence, method: saved.manual ? 'manual' : 'crosswalk' };
+    }
+    const found = match(entry);
+    if (!found) return null;
+    if (cw && !(saved && saved.manual)) {
+      cw.entries[id] = { key: found.indexed.key, name: entry.name, confidence: found.confidence, method: found.method };
+      cw.dirty = true;
+    }
+    return { record: found.indexed.rec, confidence: found.confidence, method: found.method };
+  }
+
+  // The row the crosswalk already holds for a player id, or null; never matches or saves
+  function saved(id) {
+    const entry = cw && cw.entries[crosswalkKey(id)];
+    return entry && byKey.has(entry.key) ? byKey.get(entry.key).rec : null;
+  }
+
+  // Closest projection rows for a player, to help fix a bad or missing match
+  function suggest(entry, limit = 3) {
+    return fuzzyCandidates(entry, entryPositions(entry))
+      .slice(0, limit)
+      .map(c => ({ player: c.rec.player, position: c.rec.position, team: c.rec.team, score: Math.round(c.score * 100) / 100 }));
+  }
+
+  return { resolve, saved, suggest, save: saveCrosswalk };
+}
+
+module.exports = {
+  MIN_CONFIDENCE,
+  LOW_CONFIDENCE,
+  normalizeName,
+  recordKey,
+  crosswalkKey,
+  loadAliases,
+  createResolver,
+};
@@ -0,0 +1,153 @@
+// Lineup optimizer: fills a league's starting slots from a roster so that
+// projected starter points are as high as possible.
+const { slotEligibility } = require('./positions');
+
+// Which player positions can fill each Sleeper roster slot, from the position registry
+const SLOT_ELIGIBILITY = slotEligibility();
+
+// Used when the league record has no roster_positions
+const DEFAULT_ROSTER_POSITIONS = ['QB', 'RB', 'RB', 'WR', 'WR', 'TE', 'FLEX', 'K', 'DEF', 'BN', 'BN', 'BN', 'BN', 'BN'];
+
+function isStartingSlot(slot) {
+  return Object.prototype.hasOwnProperty.call(SLOT_ELIGIBILITY, slot);
+}
+
+function getStartingSlots(rosterPositions) {
+  const positions = Array.isArray(rosterPositions) && rosterPositions.length ? rosterPositions : DEFAULT_ROSTER_POSITIONS;
+  return positions.filter(isStartingSlot);
+}
+
+function canFill(slot, position) {
+  return (SLOT_ELIGIBILITY[slot] || []).includes(position);
+}
+
+// Hungarian algorithm (minimization) for an n x m cost matrix with n <= m.
+// Returns, for each row, the column assigned to it.
+function solveAssignment(cost) {
+  const n = cost.length;
+  const m = n ? cost[0].length : 0;
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(m + 1).fill(0);
+  const p = new Array(m + 1).fill(0);
+  const way = new Array(m + 1).fill(0);
+  for (let i = 1; i <= n; i++) {
+    p[0] = i;
+    let j0 = 0;
+    const minv = new Array(m + 1).fill(Infinity);
+    const used = new Array(m + 1).fill(false);
+    do {
+      used[j0] = true;
+      const i0 = p[j0];
+      let delta = Infinity;
+      let j1 = 0;
+      for (let j = 1; j <= m; j++) {
+        if (used[j]) continue;
+        const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+        if (cur < minv[j]) {
+          minv[j] = cur;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+      for (let j = 0; j <= m; j++) {
+        if (used[j]) {
+          u[p[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (p[j0] !== 0);
+    do {
+      const j1 = way[j0];
+      p[j0] = p[j1];
+      j0 = j1;
+    } while (j0);
+  }
+  const assignment = new Array(n).fill(-1);
+  for (let j = 1; j <= m; j++) {
+    if (p[j]) assignment[p[j] - 1] = j - 1;
+  }
+  return assignment;
+}
+
+// players: [{ id, name, position, projected, rosterSlot, ... }]
+// Returns { lineup: [{ slot, player }], bench: [player], total }
+function optimizeLineup(players, rosterPositions) {
+  const slots = getStartingSlots(rosterPositions);
+  const pool = players || [];
+  if (!slots.length) {
+    return { lineup: [], bench: pool.slice(), total: 0 };
+  }
+
+  // One dummy column per slot lets a slot stay empty when nobody eligible is left
+  const BLOCKED = 1e9;
+  const width = pool.length + slots.length;
+  const cost = slots.map((slot) => {
+    const row = new Array(width).fill(0);
+    pool.forEach((p, j) => {
+      // Players in IR or taxi slots stay on the bench
+      row[j] = canFill(slot, p.position) && !p.rosterSlot ? -(Number(p.projected) || 0) : BLOCKED;
+    });
+    return row;
+  });
+
+  const assignment = solveAssignment(cost);
+  const startingIdx = new Set();
+  let total = 0;
+  const lineup = slots.map((slot, i) => {
+    const j = assignment[i];
+    if (j < 0 || j >= pool.length) return { slot, player: null };
+    startingIdx.add(j);
+    total += Number(pool[j].projected) || 0;
+    return { slot, player: pool[j] };
+  });
+  const bench = pool.filter((_, j) => !startingIdx.has(j));
+  return { lineup, bench, total };
+}
+
+// Pair Sleeper's ordered `starters` ids with the league's starting slots
+function buildActualLineup(starterIds, players, rosterPositions) {
+  const slots = getStartingSlots(rosterPositions);
+  const byId = new Map((players || []).map((p) => [String(p.id), p]));
+  let total = 0;
+  const lineup = slots.map((slot, i) => {
+    const id = starterIds && starterIds[i] != null ? String(starterIds[i]) : '0';
+    const player = byId.get(id) || null;
+    if (player) total += Number(player.projected) || 0;
+    return { slot, player };
+  });
+  return { lineup, total };
+}
+
+// Sleeper-style `starters` for other platforms: one id per starting slot in
+// roster_positions order, '0' where a slot is empty. assigned: [{ id, slot, position }];
+// starters without a slot (or one the league doesn't have) go to the first slot they can fill.
+function orderStarters(assigned, rosterPositions) {
+  const slots = getStartingSlots(rosterPositions);
+  const remaining = [...(assigned || [])];
+  const take = (test) => {
+    const i = remaining.findIndex(test);
+    return i < 0 ? null : remaining.splice(i, 1)[0];
+  };
+  const filled = slots.map(slot => take(a => a.slot === slot));
+  return slots.map((slot, i) => {
+    const starter = filled[i] || take(a => canFill(slot, a.position));
+    return starter ? String(starter.id) : '0';
+  });
+}
+
+module.exports = {
+  SLOT_ELIGIBILITY,
+  DEFAULT_ROSTER_POSITIONS,
+  isStartingSlot,
+  getStartingSlots,
+  canFill,
+  optimizeLineup,
+  buildActualLineup,
+  orderStarters,
+};
@@ -0,0 +1,183 @@
+// Live game-day scoring: polls a league's matchups for the points already
+// scored and blends them with the projections of starters who haven't played,
+// then pushes every change to the connected pages over server-sent events.
+//
+// Clients watching the same league and week share one poller, so open tabs
+// don't multiply requests to the provider.
+const { fetchMatchups, matchupsCacheKey } = require('./providers');
+const { fetchSleeperNflSchedule, scheduleCacheKey } = require('./sleeper');
+const { loadLeagueContext, estimateTeamPoints } = require('./rankings');
+const { getCache } = require('./cache');
+const { currentSeason } = require('./weeks');
+const { toTeamAbbr } = require('./nfl_teams');
+const { round1 } = require('./simulation');
+
+const DEFAULT_POLL_SECONDS = 30;
+const MIN_POLL_SECONDS = 10;
+// How long an EventSource waits before reconnecting
+const RETRY_MS = 5000;
+// There's no game clock to go on, so a game in progress counts as half played
+const IN_PROGRESS_REMAINING = 0.5;
+
+function pollInterval() {
+  const seconds = Number(process.env.LIVE_POLL_SECONDS) || DEFAULT_POLL_SECONDS;
+  return Math.max(MIN_POLL_SECONDS, seconds) * 1000;
+}
+
+// NFL team -> game status for one week; empty when the schedule can't be read
+async function gameStatuses(season, week) {
+  const statuses = new Map();
+  const games = await fetchSleeperNflSchedule(season).catch((err) => {
+    console.warn(`live: no NFL schedule for ${season}: ${err.message}`);
+    return [];
+  });
+  for (const game of games || []) {
+    if (Number(game.week) !== Number(week)) continue;
+    for (const team of [game.home, game.away]) {
+      const abbr = toTeamAbbr(team);
+      if (abbr) statuses.set(abbr, game.status);
+    }
+  }
+  return statuses;
+}
+
+// Without a schedule, a player who has scored is taken to be playing
+function playerGameStatus(team, actual, statuses) {
+  if (statuses.size) return statuses.get(toTeamAbbr(team)) || 'bye';
+  return actual ? 'in_progress' : 'pre_game';
+}
+
+function remainingProjection(status, actual, projected) {
+  if (status === 'complete' || status === 'bye') return 0;
+  if (status === 'in_progress') return Math.max(0, projected - actual) * IN_PROGRESS_REMAINING;
+  return projected;
+}
+
+// One team's week: points on the board plus what its starters still project to add
+function scoreSide(matchup, roster, resolver, statuses) {
+  const { details } = roster ? estimateTeamPoints(roster, resolver) : { details: [] };
+  const byId = new Map(details.map(p => [String(p.id), p]));
+  const teams = new Map((roster ? roster.entries : []).map(e => [String(e.id), e.team]));
+  const points = matchup.players_points || {};
+
+  const starters = (matchup.starters || []).filter(id => id && String(id) !== '0').map((id) => {
+    const p = byId.get(String(id));
+    const actual = Number(points[id]) || 0;
+    const projected = p ? p.projected : 0;
+    const status = playerGameStatus(teams.get(String(id)), actual, statuses);
+    const remaining = remainingProjection(status, actual, projected);
+    return {
+      id: String(id),
+      name: p ? p.name : String(id),
+      position: p ? p.position : null,
+      gameStatus: status,
+      actual: round1(actual),
+      projected: round1(projected),
+      remaining: round1(remaining),
+      live: round1(actual + remaining),
+    };
+  });
+
+  const scored = Number(matchup.points) || starters.reduce((sum, p) => sum + p.actual, 0);
+  const remaining = starters.reduce((sum, p) => sum + p.remaining, 0);
+  return {
+    rosterId: matchup.roster_id,
+    teamName: roster ? roster.teamName : `Team ${matchup.roster_id}`,
+    matchupId: matchup.matchup_id ?? null,
+    points: round1(scored),
+    remaining: round1(remaining),
+    live: round1(scored + remaining),
+    projected: round1(starters.reduce((sum, p) => sum + p.projected, 0)),
+    yetToPlay: starters.filter(p => p.gameStatus === 'pre_game').length,
+    playing: starters.filter(p => p.gameStatus === 'in_progress').length,
+    starters,
+  };
+}
+
+// Every team's live score for a week, ranked on points scored plus remaining projection
+async function computeLiveScores(leagueId, week) {
+  const [context, matchups] = await Promise.all([
+    loadLeagueContext(leagueId, { week }),
+    fetchMatchups(leagueId, week),
+  ]);
+  const { rosters, resolver } = context;
+  const statuses = await gameStatuses(await currentSeason(), week);
+  const rosterById = new Map(rosters.map(r => [String(r.rosterId), r]));
+
+  const teams = matchups.map(m => scoreSide(m, rosterById.get(String(m.roster_id)), resolver, statuses));
+  resolver.save();
+
+  const projectedRanks = new Map([...teams]
+    .sort((a, b) => b.projected - a.projected)
+    .map((t, i) => [String(t.rosterId), i + 1]));
+  teams.sort((a, b) => b.live - a.live);
+  return {
+    week,
+    teams: teams.map((t, i) => ({ rank: i + 1, projectedRank: projectedRanks.get(String(t.rosterId)), ...t })),
+  };
+}
+
+// `${leagueId}:${week}` -> { leagueId, week, clients, last, lastBody, timer }
+const channels = new Map();
+
+async function poll(key, channel) {
+  try {
+    // The poll interval is the freshness that matters here, not the cache's
+    getCache().invalidate(matchupsCacheKey(channel.leagueId, channel.week));
+    getCache().invalidate(scheduleCacheKey(await currentSeason()));
+    const scores = await computeLiveScores(channel.leagueId, channel.week);
+    const body = JSON.stringify(scores.teams);
+    if (body !== channel.lastBody) {
+      channel.lastBody = body;
+      channel.last = `event: scores\ndata: ${JSON.stringify({ ...scores, updatedAt: new Date().toISOString() })}\n\n`;
+      for (const res of channel.clients) res.write(channel.last);
+    } else {
+      // Keeps proxies from closing an idle stream
+      for (const res of channel.clients) res.write(': no change\n\n');
+    }
+  } catch (err) {
+    console.error(err);
+  }
+  if (channels.get(key) === channel) channel.timer = setTimeout(() => poll(key, channel), pollInterval());
+}
+
+// Streams live scores to `res` until the client disconnects
+function streamLiveScores(req, res, leagueId, week) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const key = `${leagueId}:${week}`;
+  let channel = channels.get(key);
+  if (!channel) {
+    channel = { leagueId, week, clients: new Set(), last: null, lastBody: null, timer: null };
+    channels.set(key, channel);
+    channel.clients.add(res);
+    poll(key, channel);
+  } else {
+    channel.clients.add(res);
+    if (channel.last) res.write(channel.last);
+  }
+
+  // Either side can report the disconnect first, and some only report it on one
+  let closed = false;
+  const leave = () => {
+    if (closed) return;
+    closed = true;
+    channel.clients.delete(res);
+    if (channel.clients.size) return;
+    clearTimeout(channel.timer);
+    if (channels.get(key) === channel) channels.delete(key);
+  };
+  req.on('close', leave);
+  res.on('close', leave);
+}
+
+module.exports = {
+  computeLiveScores,
+  streamLiveScores,
+};
@@ -0,0 +1,146 @@
+// Head-to-head matchup projections: pairs teams by the league's matchup_id and
+// simulates each game to get win probability, margin and score range.
+const { fetchMatchups } = require('./providers');
+const { optimizeLineup } = require('./lineup');
+const { loadLeagueContext, estimateTeamPoints } = require('./rankings');
+const { playerSd, createRng, normal, quantile, round1 } = require('./simulation');
+
+const DEFAULT_ITERATIONS = 10000;
+const MAX_ITERATIONS = 50000;
+const SWING_PLAYERS = 3;
+
+// Projected starters for one side: the lineup the team has set for the week,
+// else the roster's best lineup
+function projectSide(roster, starterIds, rosterPositions, resolver) {
+  const { details } = estimateTeamPoints(roster, resolver);
+  const byId = new Map(details.map(p => [String(p.id), p]));
+  let starters = (starterIds || []).map(id => byId.get(String(id))).filter(Boolean);
+  if (!starters.length) {
+    starters = optimizeLineup(details, rosterPositions).lineup.map(s => s.player).filter(Boolean);
+  }
+  return starters.map(p => ({
+    id: p.id,
+    name: p.name,
+    position: p.position,
+    projected: p.projected,
+    sd: p.projected > 0 ? playerSd(p.position, p.projected) : 0,
+    onBye: p.onBye,
+  }));
+}
+
+// Simulates one game between two lists of starters
+function simulateGame(home, away, options = {}) {
+  const iterations = options.iterations || DEFAULT_ITERATIONS;
+  const rng = options.rng || createRng(options.seed);
+  const homeScores = new Float64Array(iterations);
+  const awayScores = new Float64Array(iterations);
+  let homeWins = 0;
+  let ties = 0;
+
+  const draw = (players) => {
+    let total = 0;
+    for (const p of players) {
+      if (!p.sd) {
+        total += p.projected;
+        continue;
+      }
+      // Kickers and defenses can go slightly negative, everyone else bottoms out at 0
+      const floor = p.position === 'DST' || p.position === 'K' ? -5 : 0;
+      total += Math.max(floor, p.projected + normal(rng) * p.sd);
+    }
+    return total;
+  };
+
+  for (let i = 0; i < iterations; i++) {
+    const h = draw(home);
+    const a = draw(away);
+    homeScores[i] = h;
+    awayScores[i] = a;
+    if (Math.abs(h - a) < 0.05) ties++;
+    else if (h > a) homeWins++;
+  }
+
+  const summarize = (scores) => {
+    const sorted = Array.from(scores).sort((x, y) => x - y);
+    return { low: round1(quantile(sorted, 0.1)), median: round1(quantile(sorted, 0.5)), high: round1(quantile(sorted, 0.9)) };
+  };
+  return {
+    homeWinProbability: homeWins / iterations,
+    awayWinProbability: (iterations - homeWins - ties) / iterations,
+    tieProbability: ties / iterations,
+    homeRange: summarize(homeScores),
+    awayRange: summarize(awayScores),
+  };
+}
+
+// Starters with the widest outcome range decide close games
+function swingPlayers(starters) {
+  return starters
+    .filter(p => p.sd > 0)
+    .sort((a, b) => b.sd - a.sd)
+    .slice(0, SWING_PLAYERS)
+    .map(p => ({ id: p.id, name: p.name, position: p.position, projected: round1(p.projected), sd: round1(p.sd) }));
+}
+
+async function computeMatchups(leagueId, options = {}) {
+  const week = options.week;
+  const iterations = Math.min(MAX_ITERATIONS, Math.max(100, Number(options.iterations) || DEFAULT_ITERATIONS));
+  const [context, matchups] = await Promise.all([
+    loadLeagueContext(leagueId, { week }),
+    fetchMatchups(leagueId, week),
+  ]);
+  const { league, rosters, resolver } = context;
+  const rosterById = new Map(rosters.map(r => [String(r.rosterId), r]));
+  const rng = createRng(options.seed);
+
+  // matchup_id -> both sides; null ids are byes in Sleeper's schedule
+  const games = new Map();
+  for (const m of matchups) {
+    if (m.matchup_id === null || m.matchup_id === undefined) continue;
+    if (!games.has(m.matchup_id)) games.set(m.matchup_id, []);
+    games.get(m.matchup_id).push(m);
+  }
+
+  const results = [];
+  for (const [matchupId, sides] of games) {
+    if (sides.length !== 2) continue;
+    const [home, away] = sides.map((m) => {
+      const roster = rosterById.get(String(m.roster_id));
+      const starters = roster ? projectSide(roster, m.starters, league.roster_positions, resolver) : [];
+      return {
+        rosterId: m.roster_id,
+        teamName: roster ? roster.teamName : `Team ${m.roster_id}`,
+        projected: starters.reduce((sum, p) => sum + p.projected, 0),
+        starters,
+      };
+    });
+    const sim = simulateGame(home.starters, away.starters, { iterations, rng });
+    const side = (team, winProbability, range) => ({
+      rosterId: team.rosterId,
+      teamName: team.teamName,
+      projected: round1(team.projected),
+      winProbability,
+      range,
+      swingPlayers: swingPlayers(team.starters),
+      starters: team.starters.map(p => ({ ...p, projected: round1(p.projected), sd: round1(p.sd) })),
+    });
+    results.push({
+      matchupId,
+      projectedMargin: round1(home.projected - away.projected),
+      tieProbability: sim.tieProbability,
+      teams: [
+        side(home, sim.homeWinProbability, sim.homeRange),
+        side(away, sim.awayWinProbability, sim.awayRange),
+      ],
+    });
+  }
+
+  results.sort((a, b) => a.matchupId - b.matchupId);
+  return { week, iterations, matchups: results };
+}
+
+module.exports = {
+  projectSide,
+  simulateGame,
+  computeMatchups,
+};
@@ -0,0 +1,335 @@
+// MyFantasyLeague adapter: reads a league from MFL's export API and translates
+// it into the Sleeper shapes the rest of the app reads (see providers.js).
+//
+// Private leagues need an API key from the league's Help > Developer API page,
+// set as MFL_API_KEY. The normalize* functions make no requests, so recorded
+// MFL exports can be run through them offline.
+const axios = require('axios');
+const { TTL, getCache } = require('./cache');
+const { orderStarters } = require('./lineup');
+const { fetchSleeperState } = require('./sleeper');
+const { currentSeason } = require('./weeks');
+const { toTeamAbbr } = require('./nfl_teams');
+
+const MFL_API = 'https://api.myfantasyleague.com';
+
+const POSITIONS = { QB: 'QB', RB: 'RB', WR: 'WR', TE: 'TE', PK: 'K', Def: 'DST' };
+// Starting slot for each position; anything else (IDP) is left out
+const POSITION_SLOTS = { QB: 'QB', RB: 'RB', WR: 'WR', TE: 'TE', K: 'K', DST: 'DEF' };
+
+const INJURY_STATUSES = {
+  Questionable: 'Questionable',
+  Doubtful: 'Doubtful',
+  Out: 'Out',
+  IR: 'IR',
+  'IR-R': 'IR',
+  'IR-NFI': 'IR',
+  'IR-PUP': 'PUP',
+  Suspended: 'Suspended',
+};
+
+const ROSTER_SLOTS = { INJURED_RESERVE: 'IR', TAXI_SQUAD: 'TAXI' };
+
+// Scoring event -> Sleeper scoring key, for the per-unit rules MFL leagues
+// commonly use. Anything else scores zero, like an unset Sleeper setting.
+const SCORING_EVENTS = {
+  '#P': 'pass_td', PY: 'pass_yd', IN: 'pass_int',
+  '#R': 'rush_td', RY: 'rush_yd', RA: 'rush_att',
+  '#C': 'rec_td', CY: 'rec_yd', CC: 'rec',
+  EP: 'xpm', SK: 'sack', IC: 'int', FC: 'fum_rec',
+};
+const FIELD_GOAL_BUCKETS = [[0, 19, 'fgm_0_19'], [20, 29, 'fgm_20_29'], [30, 39, 'fgm_30_39'], [40, 49, 'fgm_40_49'], [50, 99, 'fgm_50p']];
+// Team defense points-allowed tiers, by their lower bound
+const POINTS_ALLOWED_TIERS = { 0: 'pts_allow_0', 1: 'pts_allow_1_6', 7: 'pts_allow_7_13', 14: 'pts_allow_14_20', 21: 'pts_allow_21_27', 28: 'pts_allow_28_34', 35: 'pts_allow_35p' };
+
+function mflCacheKeys(leagueId) {
+  const league = `mfl:league:${leagueId}`;
+  return { league, users: league, rosters: `mfl:rosters:${leagueId}` };
+}
+
+function mflMatchupsCacheKey(leagueId, week) {
+  return `mfl:results:${leagueId}:${week}`;
+}
+
+function exportUrl(season, type, params = {}) {
+  const query = new URLSearchParams({ TYPE: type, ...params, JSON: '1' });
+  const apiKey = (process.env.MFL_API_KEY || '').trim();
+  if (apiKey) query.set('APIKEY', apiKey);
+  return `${MFL_API}/${season}/export?${query}`;
+}
+
+async function getCached(key, url, ttl) {
+  return getCache().getOrLoad(key, async () => {
+    const res = await axios.get(url);
+    return res.data || {};
+  }, { ttl });
+}
+
+async function mflLoaders(leagueId, week) {
+  const season = await currentSeason();
+  const league = { L: leagueId };
+  const load = {
+    league: () => getCached(mflCacheKeys(leagueId).league, exportUrl(season, 'league', league), TTL.league),
+    rules: () => getCached(`mfl:rules:${leagueId}`, exportUrl(season, 'rules', league), TTL.league),
+    rosters: () => getCached(mflCacheKeys(leagueId).rosters, exportUrl(season, 'rosters', league), TTL.rosters),
+    standings: () => getCached(`mfl:standings:${leagueId}`, exportUrl(season, 'leagueStandings', league), TTL.rosters),
+    players: () => getCached(`mfl:players:${season}`, exportUrl(season, 'players', { DETAILS: '1' }), TTL.players),
+    injuries: () => getCached(`mfl:injuries:${season}`, exportUrl(season, 'injuries'), TTL.rosters),
+    schedule: () => getCached(`mfl:schedule:${leagueId}:${week}`, exportUrl(season, 'schedule', { ...league, W: week }), TTL.league),
+    results: () => getCached(mflMatchupsCacheKey(leagueId, week), exportUrl(season, 'weeklyResults', { ...league, W: week }), TTL.matchups),
+  };
+  return { season, load };
+}
+
+async function fetchMflLeague(leagueId) {
+  const { season, load } = await mflLoaders(leagueId);
+  const [league, rules] = await Promise.all([load.league(), load.rules()]);
+  return normalizeMflLeague({ season, league, rules });
+}
+
+async function fetchMflLeagueRosters(leagueId) {
+  // Lineups are only in the weekly results, so starters are this week's
+  const state = await fetchSleeperState();
+  const week = state.season_type === 'regular' ? Number(state.week) || null : null;
+  const { season, load } = await mflLoaders(leagueId, week);
+  const [league, rosters, standings, players, injuries, results] = await Promise.all([
+    load.league(), load.rosters(), load.standings(), load.players(), load.injuries(),
+    week ? load.results() : {},
+  ]);
+  return normalizeMflRosters({ season, league, rosters, standings, players, injuries, results });
+}
+
+async function fetchMflMatchups(leagueId, week) {
+  const { load } = await mflLoaders(leagueId, week);
+  const [league, players, schedule, results] = await Promise.all([load.league(), load.players(), load.schedule(), load.results()]);
+  return normalizeMflMatchups({ league, players, schedule, results });
+}
+
+// MFL's JSON turns one-element lists into a bare object and wraps some text as { $t }
+function asList(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function text(value) {
+  return value && typeof value === 'object' ? value.$t : value;
+}
+
+function parseRange(range) {
+  const match = /^(-?\d+)-(-?\d+)$/.exec(String(text(range) || '').trim());
+  return match ? [Number(match[1]), Number(match[2])] : [0, Infinity];
+}
+
+// "*0.04" and "1/25" are per unit; a bare number is per occurrence
+function parseRate(points, perUnitOnly) {
+  const raw = String(text(points) || '').trim();
+  if (raw.startsWith('*')) return Number(raw.slice(1));
+  const per = /^(-?[\d.]+)\/([\d.]+)$/.exec(raw);
+  if (per) return Number(per[1]) / Number(per[2]);
+  return perUnitOnly ? NaN : Number(raw);
+}
+
+function translateScoring(rules) {
+  const scoring = {};
+  const set = (key, value) => {
+    if (Number.isFinite(value) && scoring[key] === undefined) scoring[key] = value;
+  };
+  for (const group of asList((rules.rules || {}).positionRules)) {
+    for (const rule of asList(group.rule)) {
+      const event = String(text(rule.event) || '').trim();
+      const [low, high] = parseRange(rule.range);
+      if (event === '#F') {
+        for (const [from, to, key] of FIELD_GOAL_BUCKETS) {
+          if (from >= low && to <= high) set(key, parseRate(rule.points, false));
+        }
+      } else if (event === 'PA' && String(text(group.positions)).split('|').includes('Def')) {
+        if (POINTS_ALLOWED_TIERS[low]) set(POINTS_ALLOWED_TIERS[low], parseRate(rule.points, false));
+      } else if (SCORING_EVENTS[event] && low <= 1) {
+        // Yardage rules without a per-unit rate are bonuses for reaching a range
+        set(SCORING_EVENTS[event], parseRate(rule.points, /Y$/.test(event)));
+      }
+    }
+  }
+  return scoring;
+}
+
+// Starters: { count, position: [{ name, limit: "1" | "1-3" }] }. Each position's
+// minimum becomes fixed slots; the rest of the count is a flex over the
+// positions allowed more than their minimum.
+function rosterPositions(league) {
+  const starters = league.starters || {};
+  const limits = asList(starters.position)
+    .map((p) => {
+      const [min, max] = String(p.limit || '0').split('-').map(Number);
+      return { position: POSITIONS[p.name], min: min || 0, max: max || min || 0 };
+    })
+    .filter(l => POSITION_SLOTS[l.position]);
+  const slots = limits.flatMap(l => new Array(l.min).fill(POSITION_SLOTS[l.position]));
+  const flexible = new Set(limits.filter(l => l.max > l.min).map(l => l.position));
+  let flexSlot = 'FLEX';
+  if (flexible.has('QB')) flexSlot = 'SUPER_FLEX';
+  else if (!flexible.has('RB') && flexible.has('WR') && flexible.has('TE')) flexSlot = 'REC_FLEX';
+  else if (!flexible.has('TE') && flexible.has('WR') && flexible.has('RB')) flexSlot = 'WRRB_FLEX';
+  const flexCount = Math.max(0, (Number(starters.count) || slots.length) - slots.length);
+  const benchCount = Math.max(0, (Number(league.rosterSize) || 0) - slots.length - flexCount);
+  return [...slots, ...new Array(flexCount).fill(flexSlot), ...new Array(benchCount).fill('BN')];
+}
+
+function franchises(league) {
+  return asList((league.franchises || {}).franchise);
+}
+
+// MFL league + rules exports -> Sleeper league object
+function normalizeMflLeague({ season, league: raw, rules }) {
+  const league = raw.league || {};
+  const lastRegularWeek = Number(league.lastRegularSeasonWeek) || 14;
+  const budgets = franchises(league).map(f => Number(f.bbidAvailableBalance)).filter(Number.isFinite);
+  return {
+    league_id: String(league.id || ''),
+    name: league.name || `MFL league ${league.id}`,
+    season: String(season || ''),
+    status: 'in_season',
+    total_rosters: franchises(league).length,
+    roster_positions: rosterPositions(league),
+    scoring_settings: translateScoring(rules || {}),
+    settings: {
+      playoff_week_start: lastRegularWeek + 1,
+      waiver_type: budgets.length ? 2 : 0,
+      waiver_budget: Number(league.bbidSeasonLimit) || (budgets.length ? Math.max(...budgets) : 0),
+    },
+  };
+}
+
+function normalizeMflUsers({ league: raw }) {
+  return franchises((raw || {}).league || {}).map(f => ({
+    userId: String(f.id),
+    displayName: f.owner_name || null,
+    teamName: f.name || null,
+  }));
+}
+
+// "Mahomes, Patrick" -> "Patrick Mahomes"; defenses read "Chiefs, Kansas City"
+function displayName(name) {
+  const [last, first] = String(name || '').split(',').map(s => s.trim());
+  return first ? `${first} ${last}` : last;
+}
+
+function playersById(players) {
+  return new Map(asList(((players || {}).players || {}).player).map(p => [String(p.id), p]));
+}
+
+// Starter ids per franchise from a weeklyResults export
+function resultsByFranchise(results) {
+  const weekly = (results || {}).weeklyResults || {};
+  const sides = [...asList(weekly.matchup).flatMap(m => asList(m.franchise)), ...asList(weekly.franchise)];
+  return new Map(sides.map(f => [String(f.id), f]));
+}
+
+function starterList(side, byId, positions) {
+  const ids = String((side && side.starters) || '').split(',').filter(Boolean);
+  const assigned = ids.map((id) => {
+    const p = byId.get(id);
+    return { id: `mfl:${id}`, slot: null, position: p ? POSITIONS[p.position] : null };
+  });
+  return assigned.length ? orderStarters(assigned, positions) : [];
+}
+
+// MFL exports -> the app's roster shape
+function normalizeMflRosters({ season, league: rawLeague, rosters, standings, players, injuries, results }) {
+  const league = (rawLeague || {}).league || {};
+  const positions = rosterPositions(league);
+  const byId = playersById(players);
+  const injuryById = new Map(asList(((injuries || {}).injuries || {}).injury).map(i => [String(i.id), i.status]));
+  const standingById = new Map(asList(((standings || {}).leagueStandings || {}).franchise).map(f => [String(f.id), f]));
+  const franchiseById = new Map(franchises(league).map(f => [String(f.id), f]));
+  const lineups = resultsByFranchise(results);
+  const budget = Number(league.bbidSeasonLimit) || 0;
+
+  return asList(((rosters || {}).rosters || {}).franchise).map((r) => {
+    const id = String(r.id);
+    const franchise = franchiseById.get(id) || {};
+    const starters = starterList(lineups.get(id), byId, positions);
+    const startersSet = new Set(starters);
+    const entries = [];
+    for (const slot of asList(r.player)) {
+      const p = byId.get(String(slot.id));
+      if (!p) continue;
+      const position = POSITIONS[p.position] || 'FLEX';
+      const team = toTeamAbbr(p.team);
+      const entryId = `mfl:${p.id}`;
+      const birthdate = Number(p.birthdate);
+      entries.push({
+        id: entryId,
+        name: displayName(p.name),
+        position,
+        team,
+        fantasyPositions: [position],
+        isStarter: startersSet.has(entryId),
+        status: INJURY_STATUSES[injuryById.get(String(p.id))] || (team || position === 'DST' ? null : 'No Team'),
+        rosterSlot: ROSTER_SLOTS[slot.status] || null,
+        age: birthdate ? Math.floor((Date.now() / 1000 - birthdate) / (365.25 * 24 * 3600)) : null,
+        yearsExp: Number(p.draft_year) ? Math.max(0, Number(season) - Number(p.draft_year)) : null,
+      });
+    }
+    const standing = standingById.get(id) || {};
+    const available = Number(franchise.bbidAvailableBalance);
+    return {
+      rosterId: id,
+      ownerId: id,
+      teamName: franchise.name || `Team ${id}`,
+      starters,
+      entries,
+      record: {
+        wins: Number(text(standing.h2hw)) || 0,
+        losses: Number(text(standing.h2hl)) || 0,
+        ties: Number(text(standing.h2ht)) || 0,
+        pointsFor: Number(text(standing.pf)) || 0,
+        pointsAgainst: Number(text(standing.pa)) || 0,
+      },
+      waiverBudgetUsed: budget && Number.isFinite(available) ? Math.max(0, budget - available) : 0,
+    };
+  });
+}
+
+// MFL schedule + weekly results -> Sleeper matchups for one week. MFL has no
+// matchup ids, so games are numbered in schedule order.
+function normalizeMflMatchups({ league: rawLeague, players, schedule, results }) {
+  const positions = rosterPositions((rawLeague || {}).league || {});
+  const byId = playersById(players);
+  const lineups = resultsByFranchise(results);
+  const weekly = asList(((schedule || {}).schedule || {}).weeklySchedule)[0] || {};
+  const scheduled = asList(weekly.matchup).map(m => asList(m.franchise));
+  // Past weeks may only be in the results
+  const games = scheduled.length ? scheduled : asList(((results || {}).weeklyResults || {}).matchup).map(m => asList(m.franchise));
+
+  const matchups = [];
+  games.forEach((sides, i) => {
+    for (const side of sides) {
+      const result = lineups.get(String(side.id)) || {};
+      const playersPoints = {};
+      for (const p of asList(result.player)) playersPoints[`mfl:${p.id}`] = Number(p.score) || 0;
+      matchups.push({
+        roster_id: String(side.id),
+        matchup_id: sides.length === 2 ? i + 1 : null,
+        points: Number(result.score) || 0,
+        starters: starterList(result, byId, positions),
+        players: Object.keys(playersPoints),
+        players_points: playersPoints,
+      });
+    }
+  });
+  return matchups;
+}
+
+module.exports = {
+  MFL_API,
+  mflCacheKeys,
+  mflMatchupsCacheKey,
+  fetchMflLeague,
+  fetchMflLeagueRosters,
+  fetchMflMatchups,
+  normalizeMflLeague,
+  normalizeMflUsers,
+  normalizeMflRosters,
+  normalizeMflMatchups,
+};
@@ -0,0 +1,59 @@
+// NFL teams keyed by Sleeper's abbreviation, with the full names used in data/*.csv
+const NFL_TEAMS = {
+  ARI: 'Arizona Cardinals',
+  ATL: 'Atlanta Falcons',
+  BAL: 'Baltimore Ravens',
+  BUF: 'Buffalo Bills',
+  CAR: 'Carolina Panthers',
+  CHI: 'Chicago Bears',
+  CIN: 'Cincinnati Bengals',
+  CLE: 'Cleveland Browns',
+  DAL: 'Dallas Cowboys',
+  DEN: 'Denver Broncos',
+  DET: 'Detroit Lions',
+  GB: 'Green Bay Packers',
+  HOU: 'Houston Texans',
+  IND: 'Indianapolis Colts',
+  JAX: 'Jacksonville Jaguars',
+  KC: 'Kansas City Chiefs',
+  LAC: 'Los Angeles Chargers',
+  LAR: 'Los Angeles Rams',
+  LV: 'Las Vegas Raiders',
+  MIA: 'Miami Dolphins',
+  MIN: 'Minnesota Vikings',
+  NE: 'New England Patriots',
+  NO: 'New Orleans Saints',
+  NYG: 'New York Giants',
+  NYJ: 'New York Jets',
+  PHI: 'Philadelphia Eagles',
+  PIT: 'Pittsburgh Steelers',
+  SEA: 'Seattle Seahawks',
+  SF: 'San Francisco 49ers',
+  TB: 'Tampa Bay Buccaneers',
+  TEN: 'Tennessee Titans',
+  WAS: 'Washington Commanders',
+};
+
+// Other abbreviations seen in feeds
+const ABBR_ALIASES = {
+  JAC: 'JAX', LA: 'LAR', WSH: 'WAS', OAK: 'LV', SD: 'LAC', STL: 'LAR', GNB: 'GB', KAN: 'KC', NWE: 'NE', NOR: 'NO', SFO: 'SF', TAM: 'TB',
+  // MyFantasyLeague
+  KCC: 'KC', GBP: 'GB', NEP: 'NE', NOS: 'NO', TBB: 'TB', LVR: 'LV',
+};
+
+const ABBR_BY_NAME = new Map(Object.entries(NFL_TEAMS).map(([abbr, name]) => [name.toLowerCase(), abbr]));
+
+// Accepts an abbreviation or a full team name; returns Sleeper's abbreviation or null
+function toTeamAbbr(team) {
+  const raw = String(team || '').trim();
+  if (!raw) return null;
+  const upper = raw.toUpperCase();
+  if (NFL_TEAMS[upper]) return upper;
+  if (ABBR_ALIASES[upper]) return ABBR_ALIASES[upper];
+  return ABBR_BY_NAME.get(raw.toLowerCase()) || null;
+}
+
+module.exports = {
+  NFL_TEAMS,
+  toTeamAbbr,
+};
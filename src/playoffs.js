@@ -0,0 +1,191 @@
+// Rest-of-season simulator: plays out the remaining schedule many times using
+// each team's projected weekly strength and reports playoff, bye and title odds.
+const { fetchSleeperState } = require('./sleeper');
+const { fetchMatchups } = require('./providers');
+const { loadLeagueContext, valueRoster } = require('./rankings');
+const { SEASON_GAMES } = require('./scoring');
+const { firstRemainingWeek } = require('./weeks');
+const { playerSd, createRng, normal, round1 } = require('./simulation');
+
+const DEFAULT_ITERATIONS = 5000;
+const MAX_ITERATIONS = 20000;
+
+// "week:matchupId:winnerRosterId,..." -> [{ week, matchupId, winner }], or null if malformed
+function parseForcedResults(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return [];
+  const forced = [];
+  for (const part of raw.split(',')) {
+    const [week, matchupId, winner] = part.split(':').map(Number);
+    if (![week, matchupId, winner].every(Number.isInteger)) return null;
+    forced.push({ week, matchupId, winner });
+  }
+  return forced;
+}
+
+// Team's expected weekly score and spread from its best lineup
+function teamStrength(team) {
+  const starters = team.optimalLineup.filter(s => s.id);
+  const mean = team.totalProjected / SEASON_GAMES;
+  const variance = starters.reduce((sum, s) => {
+    const sd = playerSd(s.position, s.projected / SEASON_GAMES);
+    return sum + sd * sd;
+  }, 0);
+  return { mean, sd: Math.sqrt(variance) || 1 };
+}
+
+// Seed order for a fixed single-elimination bracket, e.g. 8 -> [1, 8, 4, 5, 2, 7, 3, 6]
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(seed => [seed, n + 1 - seed]);
+  }
+  return order;
+}
+
+async function computePlayoffOdds(leagueId, options = {}) {
+  const iterations = Math.min(MAX_ITERATIONS, Math.max(100, Number(options.iterations) || DEFAULT_ITERATIONS));
+  const forced = options.forced || [];
+  const [context, state] = await Promise.all([loadLeagueContext(leagueId), fetchSleeperState()]);
+  const { league, rosters, resolver } = context;
+  const settings = league.settings || {};
+  const playoffStart = Number(settings.playoff_week_start) || 15;
+  const playoffTeams = Math.min(rosters.length, Number(settings.playoff_teams) || 6);
+  const medianGames = Number(settings.league_average_match) === 1;
+
+  const startWeek = firstRemainingWeek(league, state, playoffStart);
+  const weeks = [];
+  for (let w = startWeek; w < playoffStart; w++) weeks.push(w);
+  const weeklyMatchups = await Promise.all(weeks.map(w => fetchMatchups(leagueId, w)));
+
+  const teams = rosters.map((roster) => {
+    const valued = valueRoster(roster, league.roster_positions, resolver);
+    return { rosterId: roster.rosterId, teamName: roster.teamName, record: roster.record, strength: teamStrength(valued) };
+  });
+  const teamIndex = new Map(teams.map((t, i) => [String(t.rosterId), i]));
+
+  // Remaining schedule: [{ week, matchupId, a, b }] with a/b as team indexes
+  const schedule = [];
+  weeks.forEach((week, wi) => {
+    const byMatchup = new Map();
+    for (const m of weeklyMatchups[wi] || []) {
+      if (m.matchup_id === null || m.matchup_id === undefined) continue;
+      if (!byMatchup.has(m.matchup_id)) byMatchup.set(m.matchup_id, []);
+      byMatchup.get(m.matchup_id).push(teamIndex.get(String(m.roster_id)));
+    }
+    for (const [matchupId, sides] of byMatchup) {
+      if (sides.length !== 2 || sides.some(i => i === undefined)) continue;
+      const force = forced.find(f => f.week === week && f.matchupId === Number(matchupId));
+      const winner = force ? teamIndex.get(String(force.winner)) : undefined;
+      schedule.push({ week, matchupId: Number(matchupId), a: sides[0], b: sides[1], winner });
+    }
+  });
+
+  // A what-if that matches no remaining game would silently change nothing
+  for (const f of forced) {
+    const game = schedule.find(g => g.week === f.week && g.matchupId === f.matchupId);
+    if (!game) return { error: `No remaining matchup ${f.matchupId} in week ${f.week}` };
+    if (game.winner !== game.a && game.winner !== game.b) return { error: `Roster ${f.winner} is not in matchup ${f.matchupId} of week ${f.week}` };
+  }
+
+  const rng = createRng(options.seed);
+  const n = teams.length;
+  const draw = (i) => Math.max(0, teams[i].strength.mean + normal(rng) * teams[i].strength.sd);
+  const playoffCount = new Array(n).fill(0);
+  const byeCount = new Array(n).fill(0);
+  const titleCount = new Array(n).fill(0);
+  const seedSum = new Array(n).fill(0);
+  const seedCounts = teams.map(() => new Array(n).fill(0));
+  const bracketSize = 2 ** Math.ceil(Math.log2(Math.max(2, playoffTeams)));
+  const byes = bracketSize - playoffTeams;
+  const order = bracketOrder(bracketSize);
+
+  for (let it = 0; it < iterations; it++) {
+    const wins = teams.map(t => t.record.wins + t.record.ties / 2);
+    const points = teams.map(t => t.record.pointsFor);
+    let weekScores = null;
+    let currentWeek = null;
+    const settleMedian = () => {
+      if (!weekScores) return;
+      const scored = [...weekScores.entries()].sort((x, y) => y[1] - x[1]);
+      scored.slice(0, Math.floor(scored.length / 2)).forEach(([i]) => { wins[i] += 1; });
+    };
+
+    for (const game of schedule) {
+      if (medianGames && game.week !== currentWeek) {
+        settleMedian();
+        weekScores = new Map();
+        currentWeek = game.week;
+      }
+      let sa = draw(game.a);
+      let sb = draw(game.b);
+      // A forced result keeps the simulated scores but hands the win to the chosen side
+      if ((game.winner === game.a && sa < sb) || (game.winner === game.b && sb < sa)) [sa, sb] = [sb, sa];
+      points[game.a] += sa;
+      points[game.b] += sb;
+      if (sa > sb) wins[game.a] += 1;
+      else if (sb > sa) wins[game.b] += 1;
+      else { wins[game.a] += 0.5; wins[game.b] += 0.5; }
+      if (weekScores) {
+        weekScores.set(game.a, sa);
+        weekScores.set(game.b, sb);
+      }
+    }
+    settleMedian();
+
+    const standings = teams.map((_, i) => i).sort((x, y) => wins[y] - wins[x] || points[y] - points[x]);
+    standings.forEach((i, seedIdx) => {
+      seedSum[i] += seedIdx + 1;
+      seedCounts[i][seedIdx] += 1;
+      if (seedIdx < playoffTeams) playoffCount[i] += 1;
+      if (seedIdx < byes) byeCount[i] += 1;
+    });
+
+    // Fixed bracket: seeds past the playoff field are byes
+    let round = order.map(seed => (seed <= playoffTeams ? standings[seed - 1] : null));
+    while (round.length > 1) {
+      const next = [];
+      for (let k = 0; k < round.length; k += 2) {
+        const [x, y] = [round[k], round[k + 1]];
+        if (x === null || y === null) next.push(x === null ? y : x);
+        else next.push(draw(x) >= draw(y) ? x : y);
+      }
+      round = next;
+    }
+    if (round[0] !== null) titleCount[round[0]] += 1;
+  }
+
+  const results = teams.map((t, i) => ({
+    rosterId: t.rosterId,
+    teamName: t.teamName,
+    record: t.record,
+    weeklyProjection: round1(t.strength.mean),
+    playoffOdds: playoffCount[i] / iterations,
+    byeOdds: byeCount[i] / iterations,
+    championshipOdds: titleCount[i] / iterations,
+    expectedSeed: round1(seedSum[i] / iterations),
+    seedOdds: seedCounts[i].map(c => c / iterations),
+  }));
+  results.sort((a, b) => a.expectedSeed - b.expectedSeed);
+
+  return {
+    iterations,
+    playoffTeams,
+    byeTeams: byes,
+    playoffWeekStart: playoffStart,
+    remainingGames: schedule.map(g => ({
+      week: g.week,
+      matchupId: g.matchupId,
+      teams: [teams[g.a], teams[g.b]].map(t => ({ rosterId: t.rosterId, teamName: t.teamName })),
+      forcedWinner: g.winner === undefined ? null : teams[g.winner].rosterId,
+    })),
+    teams: results,
+  };
+}
+
+module.exports = {
+  parseForcedResults,
+  bracketOrder,
+  computePlayoffOdds,
+};
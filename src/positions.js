@@ -0,0 +1,94 @@
+// Position registry: every position the app projects, where its projections
+// come from, how rostered players are tied to them and which lineup slots
+// they can fill.
+//
+// Each entry:
+//   position  our code, also the projections file name (data/{position}.csv)
+//   sleeper   Sleeper `position` / `fantasy_positions` codes that mean this position
+//   match     'name' to match players by name, 'team' for one row per NFL team
+//   scoring   stat line scorer: offense, kicker, defense or idp
+//   slots     Sleeper roster slots the position can start in
+//   optional  leagues without its slots don't need the file, and the refresh
+//             pipeline skips it unless asked for by name
+//
+// data/positions.json (or POSITIONS_FILE) is a list of entries: one with a
+// known position replaces the fields it sets, a new position is added.
+const fs = require('fs');
+const path = require('path');
+const { toTeamAbbr } = require('./nfl_teams');
+
+const POSITIONS_FILE = (process.env.POSITIONS_FILE || '').trim() || path.join(__dirname, '..', 'data', 'positions.json');
+
+const DEFAULT_POSITIONS = [
+  { position: 'QB', sleeper: ['QB'], match: 'name', scoring: 'offense', slots: ['QB', 'SUPER_FLEX'] },
+  { position: 'RB', sleeper: ['RB'], match: 'name', scoring: 'offense', slots: ['RB', 'FLEX', 'SUPER_FLEX', 'WRRB_FLEX'] },
+  { position: 'WR', sleeper: ['WR'], match: 'name', scoring: 'offense', slots: ['WR', 'FLEX', 'SUPER_FLEX', 'REC_FLEX', 'WRRB_FLEX'] },
+  { position: 'TE', sleeper: ['TE'], match: 'name', scoring: 'offense', slots: ['TE', 'FLEX', 'SUPER_FLEX', 'REC_FLEX'] },
+  { position: 'K', sleeper: ['K'], match: 'name', scoring: 'kicker', slots: ['K'] },
+  { position: 'DST', sleeper: ['DEF'], match: 'team', scoring: 'defense', slots: ['DEF'] },
+  { position: 'DL', sleeper: ['DL', 'DE', 'DT'], match: 'name', scoring: 'idp', slots: ['DL', 'IDP_FLEX'], optional: true },
+  { position: 'LB', sleeper: ['LB'], match: 'name', scoring: 'idp', slots: ['LB', 'IDP_FLEX'], optional: true },
+  { position: 'DB', sleeper: ['DB', 'CB', 'S'], match: 'name', scoring: 'idp', slots: ['DB', 'IDP_FLEX'], optional: true },
+];
+
+let positions = null;
+
+function loadPositions() {
+  if (positions) return positions;
+  let fromFile = [];
+  try {
+    fromFile = JSON.parse(fs.readFileSync(POSITIONS_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`positions: could not read ${POSITIONS_FILE}: ${e.message}`);
+  }
+  const byPosition = new Map(DEFAULT_POSITIONS.map(p => [p.position, p]));
+  for (const entry of Array.isArray(fromFile) ? fromFile : []) {
+    if (!entry || !entry.position) continue;
+    byPosition.set(entry.position, { match: 'name', scoring: 'offense', sleeper: [entry.position], slots: [], ...byPosition.get(entry.position), ...entry });
+  }
+  positions = [...byPosition.values()].map(p => ({ ...p, file: `${p.position}.csv`, group: `${p.position.toLowerCase()}s` }));
+  return positions;
+}
+
+function getPosition(position) {
+  return loadPositions().find(p => p.position === position) || null;
+}
+
+// Sleeper code ("DEF", "CB", ...) -> our position, or null when we don't project it
+function fromSleeperPosition(code) {
+  const entry = loadPositions().find(p => p.sleeper.includes(code));
+  return entry ? entry.position : null;
+}
+
+function matchesByTeam(position) {
+  const entry = getPosition(position);
+  return !!entry && entry.match === 'team';
+}
+
+// The NFL team a team-matched row stands for: its team column, else its name
+// without a "D/ST" suffix
+function recordTeam(rec) {
+  return toTeamAbbr(rec.team) || toTeamAbbr(String(rec.player || '').replace(/\s*d\/st$/i, ''));
+}
+
+// Sleeper roster slot -> positions that can fill it, in registry order
+function slotEligibility() {
+  const slots = {};
+  for (const { position, slots: fills } of loadPositions()) {
+    for (const slot of fills) {
+      if (!slots[slot]) slots[slot] = [];
+      slots[slot].push(position);
+    }
+  }
+  return slots;
+}
+
+module.exports = {
+  DEFAULT_POSITIONS,
+  loadPositions,
+  getPosition,
+  fromSleeperPosition,
+  matchesByTeam,
+  recordTeam,
+  slotEligibility,
+};
@@ -0,0 +1,203 @@
+// Composite power ranking: blends each team's actual record, points for and
+// all-play record with its projected rest-of-season strength. Weights live in
+// data/power_weights.json (or POWER_WEIGHTS_FILE) and can be overridden per request.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./projections');
+const { fetchSleeperState } = require('./sleeper');
+const { fetchMatchups } = require('./providers');
+const { firstRemainingWeek } = require('./weeks');
+const { round1 } = require('./simulation');
+
+const POWER_WEIGHTS_FILE = (process.env.POWER_WEIGHTS_FILE || '').trim() || path.join(DATA_DIR, 'power_weights.json');
+const COMPONENTS = ['record', 'pointsFor', 'allPlay', 'projected'];
+// Used for anything the file leaves out
+const DEFAULT_WEIGHTS = { record: 0.25, pointsFor: 0.2, allPlay: 0.25, projected: 0.3 };
+// Results only count fully once this many weeks are in; until then projections carry the ranking
+const DEFAULT_RAMP_WEEKS = 4;
+
+let config = null;
+
+// { weights: { record, pointsFor, allPlay, projected }, rampWeeks }
+function loadPowerWeights() {
+  if (config) return config;
+  let fromFile = {};
+  try {
+    fromFile = JSON.parse(fs.readFileSync(POWER_WEIGHTS_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`power: could not read ${POWER_WEIGHTS_FILE}: ${e.message}`);
+  }
+  const { rampWeeks, ...weights } = fromFile;
+  config = {
+    weights: { ...DEFAULT_WEIGHTS, ...weights },
+    rampWeeks: rampWeeks === undefined ? DEFAULT_RAMP_WEEKS : Number(rampWeeks) || 0,
+  };
+  return config;
+}
+
+// "record:1,projected:2" -> { record: 1, projected: 2 }, or null if malformed
+function parseWeights(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return {};
+  const parsed = {};
+  for (const part of raw.split(',')) {
+    const [name, weight] = part.split(':');
+    const n = Number(weight);
+    if (!COMPONENTS.includes(name) || weight === undefined || !Number.isFinite(n) || n < 0) return null;
+    parsed[name] = n;
+  }
+  return parsed;
+}
+
+// Regular-season weeks already played
+function completedWeeks(league, state) {
+  const playoffStart = Number((league.settings || {}).playoff_week_start) || 15;
+  const weeks = [];
+  for (let w = 1; w < firstRemainingWeek(league, state, playoffStart); w++) weeks.push(w);
+  return weeks;
+}
+
+function addResult(counts, mine, theirs) {
+  if (mine > theirs) counts.wins++;
+  else if (mine < theirs) counts.losses++;
+  else counts.ties++;
+}
+
+// Record, points for and all-play record from weekly matchups. Median games
+// add a win for the top half of each week's scores and a loss for the rest.
+function resultStats(weeklyMatchups, rosterIds, medianGames) {
+  const stats = new Map(rosterIds.map(id => [String(id), {
+    record: { wins: 0, losses: 0, ties: 0 },
+    allPlay: { wins: 0, losses: 0, ties: 0 },
+    pointsFor: 0,
+  }]));
+  for (const matchups of weeklyMatchups) {
+    const scores = new Map();
+    const pairs = new Map();
+    for (const m of matchups || []) {
+      const id = String(m.roster_id);
+      if (!stats.has(id)) continue;
+      scores.set(id, Number(m.points) || 0);
+      if (m.matchup_id === null || m.matchup_id === undefined) continue;
+      if (!pairs.has(m.matchup_id)) pairs.set(m.matchup_id, []);
+      pairs.get(m.matchup_id).push(id);
+    }
+    for (const [id, points] of scores) {
+      const s = stats.get(id);
+      s.pointsFor += points;
+      for (const [other, theirs] of scores) {
+        if (other !== id) addResult(s.allPlay, points, theirs);
+      }
+    }
+    for (const sides of pairs.values()) {
+      if (sides.length !== 2) continue;
+      const [a, b] = sides;
+      addResult(stats.get(a).record, scores.get(a), scores.get(b));
+      addResult(stats.get(b).record, scores.get(b), scores.get(a));
+    }
+    if (medianGames && scores.size > 1) {
+      const ranked = [...scores.entries()].sort((x, y) => y[1] - x[1]);
+      ranked.forEach(([id], i) => {
+        const record = stats.get(id).record;
+        if (i < Math.floor(ranked.length / 2)) record.wins++;
+        else record.losses++;
+      });
+    }
+  }
+  return stats;
+}
+
+function winPct({ wins, losses, ties }) {
+  const games = wins + losses + ties;
+  return games ? (wins + ties / 2) / games : 0;
+}
+
+// Values -> 0..1 across the league; all equal -> 0.5
+function scaleValues(values) {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(v => (max > min ? (v - min) / (max - min) : 0.5));
+}
+
+// teams: [{ rosterId, projected }] -> [{ rosterId, score, components }] where
+// score is 0-100 and each component is { value, score, weight }
+function compositeScores(teams, stats, weights, weeksPlayed, rampWeeks) {
+  const values = {
+    record: teams.map(t => winPct(stats.get(String(t.rosterId)).record)),
+    pointsFor: teams.map(t => stats.get(String(t.rosterId)).pointsFor),
+    allPlay: teams.map(t => winPct(stats.get(String(t.rosterId)).allPlay)),
+    projected: teams.map(t => t.projected),
+  };
+  const ramp = rampWeeks > 0 ? Math.min(1, weeksPlayed / rampWeeks) : (weeksPlayed > 0 ? 1 : 0);
+  const effective = {};
+  for (const name of COMPONENTS) effective[name] = (Number(weights[name]) || 0) * (name === 'projected' ? 1 : ramp);
+  const totalWeight = COMPONENTS.reduce((sum, name) => sum + effective[name], 0);
+  const scaled = Object.fromEntries(COMPONENTS.map(name => [name, scaleValues(values[name])]));
+
+  return teams.map((t, i) => {
+    const components = {};
+    let score = 0;
+    for (const name of COMPONENTS) {
+      const weight = totalWeight ? effective[name] / totalWeight : 0;
+      const value = name === 'record' || name === 'allPlay' ? Math.round(values[name][i] * 1000) / 1000 : round1(values[name][i]);
+      components[name] = { value, score: round1(scaled[name][i] * 100), weight: round1(weight * 100) };
+      score += weight * scaled[name][i];
+    }
+    return { rosterId: t.rosterId, score: score * 100, components };
+  });
+}
+
+function rankByScore(scored) {
+  const order = [...scored].sort((a, b) => b.score - a.score);
+  return new Map(order.map((s, i) => [String(s.rosterId), i + 1]));
+}
+
+// teams: [{ rosterId, projected }] with projected as rest-of-season strength.
+// Returns rosterId -> { score, rank, previousRank, rankChange, weeksPlayed, components }.
+// Previous ranks replay the same formula without the latest week's results.
+async function computePowerScores(leagueId, league, teams, options = {}) {
+  const { weights: fileWeights, rampWeeks } = loadPowerWeights();
+  const weights = { ...fileWeights, ...(options.weights || {}) };
+  const state = await fetchSleeperState();
+  const weeks = completedWeeks(league, state);
+  const weeklyMatchups = await Promise.all(weeks.map(w => fetchMatchups(leagueId, w)));
+  const medianGames = Number((league.settings || {}).league_average_match) === 1;
+  const rosterIds = teams.map(t => t.rosterId);
+
+  const scoreThrough = (count) => {
+    const stats = resultStats(weeklyMatchups.slice(0, count), rosterIds, medianGames);
+    return { stats, scored: compositeScores(teams, stats, weights, count, rampWeeks) };
+  };
+  const { stats, scored } = scoreThrough(weeks.length);
+  const ranks = rankByScore(scored);
+  const previousRanks = weeks.length ? rankByScore(scoreThrough(weeks.length - 1).scored) : null;
+
+  const byRoster = new Map();
+  for (const s of scored) {
+    const id = String(s.rosterId);
+    const rank = ranks.get(id);
+    const previousRank = previousRanks ? previousRanks.get(id) : null;
+    const { record, allPlay } = stats.get(id);
+    byRoster.set(id, {
+      score: round1(s.score),
+      rank,
+      previousRank,
+      // Positive means moving up since last week
+      rankChange: previousRank ? previousRank - rank : null,
+      weeksPlayed: weeks.length,
+      record,
+      allPlay,
+      components: s.components,
+    });
+  }
+  return byRoster;
+}
+
+module.exports = {
+  COMPONENTS,
+  loadPowerWeights,
+  parseWeights,
+  resultStats,
+  compositeScores,
+  computePowerScores,
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const path = require('path');
+const { parse } = require('csv-parse');
+const { extractStats } = require('./scoring');
+const { loadPositions } = require('./positions');
+
+// Location of CSV data in the repository (read-only on Vercel)
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+// Weekly sets live in data/week/{n}/ with the same file layout
+function projectionsDir(week) {
+  return week ? path.join(DATA_DIR, 'week', String(week)) : DATA_DIR;
+}
+
+// A week counts as projected when it has its own files or a sources/ folder of sets
+function hasWeeklyProjections(week) {
+  if (!week) return false;
+  const dir = projectionsDir(week);
+  return fs.existsSync(path.join(dir, 'QB.csv')) || fs.existsSync(path.join(dir, 'sources'));
+}
+
+function loadCsvProjections(filename, position, dir = DATA_DIR) {
+  return new Promise((resolve, reject) => {
+    const records = new Map();
+    fs.createReadStream(path.join(dir, filename))
+      .pipe(parse({ columns: true, skip_empty_lines: true }))
+      .on('data', (row) => {
+        const player = (row.player || '').trim();
+        const fantasy = parseFloat(row.fantasy || row.FPTS || row.points || '0');
+        if (player && !Number.isNaN(fantasy)) {
+          // Preserve team when available (team-matched positions like DST need it)
+          const team = (row.team || '').trim();
+          const gameInfo = (row.gameInfo || '').trim();
+          // Rank of the week's opponent for this position (DST files rank offenses); 1 is the hardest
+          const opponentRank = parseInt(row.opponentDefensiveRank || row.opponentOffensiveRank || '', 10) || null;
+          // Keep the raw stat line so leagues can re-score it with their own rules
+          const stats = extractStats(row);
+          records.set(player, { player, position, fantasy, team, gameInfo, opponentRank, stats });
+        }
+      })
+      .on('error', reject)
+      .on('end', () => resolve(records));
+  });
+}
+
+// { qbs: Map, rbs: Map, ... }: one map per registered position, empty when its file is missing
+async function parseAllProjections(dir) {
+  const registry = loadPositions();
+  const maps = await Promise.all(registry.map(({ file, position }) =>
+    (fs.existsSync(path.join(dir, file)) ? loadCsvProjections(file, position, dir) : new Map())));
+  return Object.fromEntries(registry.map(({ group }, i) => [group, maps[i]]));
+}
+
+// Copy of the projection maps with `fn` applied to every record
+function mapProjections(projections, fn) {
+  const out = {};
+  for (const [group, map] of Object.entries(projections)) {
+    const next = new Map();
+    for (const [key, rec] of map.entries()) next.set(key, fn(rec));
+    out[group] = next;
+  }
+  return out;
+}
+
+module.exports = {
+  DATA_DIR,
+  projectionsDir,
+  hasWeeklyProjections,
+  loadCsvProjections,
+  parseAllProjections,
+  mapProjections,
+};
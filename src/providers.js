@@ -0,0 +1,145 @@
+// League providers: Sleeper, ESPN and MyFantasyLeague leagues are all read
+// through adapters with the same calls (league settings, rosters with starters,
+// weekly matchups), so the rest of the app never asks where a league lives.
+//
+// Adapters return Sleeper's shapes, which everything downstream already reads:
+// the league object (roster_positions, scoring_settings, settings.playoff_week_start, ...),
+// rosters as fetchSleeperLeagueRosters builds them, and matchups as
+// [{ roster_id, matchup_id, points, starters, players_points }].
+//
+// League ids other than Sleeper's carry their provider ("espn:123456"), so
+// caches, the crosswalk and ranking history never mix platforms. The NFL
+// calendar and free-agent injury tags still come from Sleeper for every league.
+const sleeper = require('./sleeper');
+const espn = require('./espn');
+const mfl = require('./mfl');
+
+const PROVIDERS = {
+  sleeper: {
+    cacheKeys: sleeper.sleeperCacheKeys,
+    matchupsCacheKey: sleeper.matchupsCacheKey,
+    fetchLeague: sleeper.fetchSleeperLeague,
+    fetchRosters: sleeper.fetchSleeperLeagueRosters,
+    fetchMatchups: sleeper.fetchSleeperMatchups,
+    fetchDrafts: sleeper.fetchSleeperDrafts,
+    fetchTradedPicks: sleeper.fetchSleeperTradedPicks,
+    fetchTransactions: sleeper.fetchSleeperTransactions,
+  },
+  espn: {
+    cacheKeys: espn.espnCacheKeys,
+    matchupsCacheKey: espn.espnMatchupsCacheKey,
+    fetchLeague: espn.fetchEspnLeague,
+    fetchRosters: espn.fetchEspnLeagueRosters,
+    fetchMatchups: espn.fetchEspnMatchups,
+  },
+  mfl: {
+    cacheKeys: mfl.mflCacheKeys,
+    matchupsCacheKey: mfl.mflMatchupsCacheKey,
+    fetchLeague: mfl.fetchMflLeague,
+    fetchRosters: mfl.fetchMflLeagueRosters,
+    fetchMatchups: mfl.fetchMflMatchups,
+  },
+};
+
+// LEAGUE_PROVIDER picks the provider for LEAGUE_ID and requests that don't name one
+function defaultProvider() {
+  const name = (process.env.LEAGUE_PROVIDER || '').trim().toLowerCase();
+  return PROVIDERS[name] ? name : 'sleeper';
+}
+
+// "espn:123456" -> { provider: 'espn', id: '123456' }; bare ids are Sleeper's
+function splitLeagueId(leagueId) {
+  const raw = String(leagueId);
+  const i = raw.indexOf(':');
+  if (i > 0 && PROVIDERS[raw.slice(0, i)]) return { provider: raw.slice(0, i), id: raw.slice(i + 1) };
+  return { provider: 'sleeper', id: raw };
+}
+
+function qualifyLeagueId(provider, id) {
+  return provider === 'sleeper' ? String(id) : `${provider}:${id}`;
+}
+
+// The `provider` query parameter, else a qualified leagueId's prefix, else the
+// default; null for a provider we don't have
+function parseProvider(query) {
+  const raw = query && query.provider ? String(query.provider).trim().toLowerCase() : '';
+  if (raw) return PROVIDERS[raw] ? raw : null;
+  const leagueId = query && query.leagueId ? String(query.leagueId).trim() : '';
+  if (leagueId.includes(':')) return splitLeagueId(leagueId).provider;
+  return defaultProvider();
+}
+
+// Qualified league id for a request, or '' when there's none to use
+function resolveLeagueId(query) {
+  const provider = parseProvider(query);
+  if (!provider) return '';
+  let id = query && query.leagueId ? String(query.leagueId).trim() : '';
+  if (id.startsWith(`${provider}:`)) id = id.slice(provider.length + 1);
+  if (!id && provider === defaultProvider()) id = (process.env.LEAGUE_ID || '').trim();
+  if (!id && provider === 'sleeper') id = sleeper.DEFAULT_LEAGUE_ID;
+  return id ? qualifyLeagueId(provider, id) : '';
+}
+
+function adapterFor(leagueId) {
+  const { provider, id } = splitLeagueId(leagueId);
+  return { adapter: PROVIDERS[provider], id };
+}
+
+// Cache keys for the provider payloads behind a league's responses
+function providerCacheKeys(leagueId) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.cacheKeys(id);
+}
+
+function matchupsCacheKey(leagueId, week) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.matchupsCacheKey(id, week);
+}
+
+async function fetchLeague(leagueId) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.fetchLeague(id);
+}
+
+async function fetchLeagueRosters(leagueId) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.fetchRosters(id);
+}
+
+async function fetchMatchups(leagueId, week) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.fetchMatchups(id, week);
+}
+
+// Drafts, traded picks and transactions are Sleeper's; other providers report none
+async function fetchLeagueDrafts(leagueId) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.fetchDrafts ? adapter.fetchDrafts(id) : [];
+}
+
+async function fetchTradedPicks(leagueId) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.fetchTradedPicks ? adapter.fetchTradedPicks(id) : [];
+}
+
+// Sleeper transaction objects for one week
+async function fetchTransactions(leagueId, week) {
+  const { adapter, id } = adapterFor(leagueId);
+  return adapter.fetchTransactions ? adapter.fetchTransactions(id, week) : [];
+}
+
+module.exports = {
+  PROVIDERS,
+  parseProvider,
+  resolveLeagueId,
+  splitLeagueId,
+  qualifyLeagueId,
+  providerCacheKeys,
+  matchupsCacheKey,
+  fetchLeague,
+  fetchLeagueRosters,
+  fetchMatchups,
+  fetchLeagueDrafts,
+  fetchTradedPicks,
+  fetchTransactions,
+};
@@ -0,0 +1,300 @@
+const { hasWeeklyProjections } = require('./projections');
+const { loadConsensusProjections, consensusCacheKey, projectionRange } = require('./consensus');
+const { fetchSleeperPlayers, fetchSleeperState } = require('./sleeper');
+const { providerCacheKeys, fetchLeague, fetchLeagueRosters } = require('./providers');
+const { optimizeLineup, buildActualLineup } = require('./lineup');
+const { SEASON_GAMES, rescoreProjections } = require('./scoring');
+const { applyWeek } = require('./weeks');
+const { LOW_CONFIDENCE, recordKey, createResolver } = require('./identity');
+const { statusMultiplier, freeAgentStatuses } = require('./status');
+const { replacementLevels, valueOverReplacement } = require('./vor');
+const { computePowerScores } = require('./power');
+const { loadSeasonSchedule, applySchedule, lineupSchedule } = require('./sos');
+
+// levels: replacement points per position, to add each player's VOR
+function estimateTeamPoints(roster, resolver, levels) {
+  let total = 0;
+  const details = [];
+  for (const entry of roster.entries) {
+    const match = resolver.resolve(entry);
+    const multiplier = entry.statusMultiplier === undefined ? 1 : entry.statusMultiplier;
+    const projected = match ? match.record.fantasy * multiplier : 0;
+    const range = match ? projectionRange(match.record, multiplier) : { floor: 0, ceiling: 0, disagreement: false };
+    const schedule = match ? match.record.schedule : null;
+    total += projected;
+    details.push({
+      id: entry.id,
+      name: entry.name,
+      position: entry.position,
+      projected,
+      floor: range.floor,
+      ceiling: range.ceiling,
+      sourcesDisagree: range.disagreement,
+      vor: levels && match ? valueOverReplacement(projected, entry.position, levels) : null,
+      scheduleProjected: projected * (schedule ? schedule.multiplier : 1),
+      playoffProjected: projected * (schedule && schedule.playoffs ? schedule.playoffs.multiplier : 1),
+      schedule: schedule ? { restOfSeason: schedule.restOfSeason, playoffs: schedule.playoffs } : null,
+      isStarter: !!entry.isStarter,
+      onBye: !!(match && match.record.onBye),
+      status: entry.status || null,
+      rosterSlot: entry.rosterSlot || null,
+      matchConfidence: match ? match.confidence : 0,
+    });
+  }
+  return { total, details };
+}
+
+// Injury discounts depend on the view: a Questionable tag matters far more for one week
+function applyStatus(rosters, weekly) {
+  return rosters.map(r => ({
+    ...r,
+    entries: r.entries.map(e => ({ ...e, statusMultiplier: statusMultiplier(e.status, weekly) })),
+  }));
+}
+
+// Everything a league view needs: the provider's league + rosters, projections
+// scored with the league's rules, and a resolver from rostered players to projections.
+// options.week: project a single week (null or omitted for season-long)
+async function loadLeagueContext(leagueId, options = {}) {
+  const week = options.week || null;
+  const weekly = hasWeeklyProjections(week);
+  const [rawProjections, league, leagueRosters, state] = await Promise.all([
+    loadConsensusProjections(weekly ? week : null),
+    fetchLeague(leagueId),
+    fetchLeagueRosters(leagueId),
+    fetchSleeperState(),
+  ]);
+  let projections = rescoreProjections(rawProjections, league.scoring_settings, { games: weekly ? 1 : SEASON_GAMES });
+  let byeTeams = new Set();
+  if (week) {
+    const schedule = await loadSeasonSchedule(league.season);
+    ({ projections, byeTeams } = applyWeek(projections, { week, weekly, season: league.season, schedule }));
+  }
+  projections = await applySchedule(projections, { league, state, week });
+  const rosters = applyStatus(leagueRosters, !!week);
+  const resolver = createResolver(projections);
+  const teamCount = Number(league.total_rosters) || rosters.length;
+  const replacement = replacementLevels(projections, league.roster_positions, teamCount);
+  return { league, rosters, projections, resolver, week, byeTeams, replacement };
+}
+
+function toLineupRow({ slot, player }) {
+  return player
+    ? { slot, id: player.id, name: player.name, position: player.position, projected: player.projected, floor: player.floor, ceiling: player.ceiling, sourcesDisagree: player.sourcesDisagree, vor: player.vor, onBye: player.onBye, status: player.status }
+    : { slot, id: null, name: null, position: null, projected: 0, floor: 0, ceiling: 0, sourcesDisagree: false, vor: null, onBye: false, status: null };
+}
+
+// Value a single roster: projections for every player plus its best and actual lineups
+function valueRoster(roster, rosterPositions, resolver, levels) {
+  const { total: rosterTotal, details } = estimateTeamPoints(roster, resolver, levels);
+  const optimal = optimizeLineup(details, rosterPositions);
+  const actual = buildActualLineup(roster.starters, details, rosterPositions);
+  const starters = optimal.lineup.filter(s => s.player).map(s => s.player);
+  const optimalIds = new Set(starters.map(p => p.id));
+  return {
+    rosterId: roster.rosterId,
+    teamName: roster.teamName,
+    totalProjected: optimal.total,
+    // Range of the same lineup when every starter hits his floor or ceiling
+    floorProjected: starters.reduce((sum, p) => sum + p.floor, 0),
+    ceilingProjected: starters.reduce((sum, p) => sum + p.ceiling, 0),
+    // Points the lineup scores above replacement-level starters; anyone below
+    // replacement counts as zero since one can be picked up for free
+    vorProjected: levels ? starters.reduce((sum, p) => sum + Math.max(0, p.vor || 0), 0) : null,
+    // The same lineup adjusted for its opponents: the week's, or the rest of
+    // the season's; and again for the playoff weeks'
+    scheduleProjected: starters.reduce((sum, p) => sum + p.scheduleProjected, 0),
+    playoffProjected: starters.reduce((sum, p) => sum + p.playoffProjected, 0),
+    schedule: lineupSchedule(starters),
+    rosterProjected: rosterTotal,
+    actualProjected: actual.total,
+    lineupGap: optimal.total - actual.total,
+    optimalLineup: optimal.lineup.map(toLineupRow),
+    actualLineup: actual.lineup.map(toLineupRow),
+    bench: optimal.bench.map(p => ({
+      id: p.id,
+      name: p.name,
+      position: p.position,
+      projected: p.projected,
+      floor: p.floor,
+      ceiling: p.ceiling,
+      sourcesDisagree: p.sourcesDisagree,
+      vor: p.vor,
+      onBye: p.onBye,
+      status: p.status,
+      rosterSlot: p.rosterSlot,
+    })),
+    startersOnBye: actual.lineup.filter(s => s.player && s.player.onBye).map(s => s.player.name),
+    players: details.map(p => ({ ...p, isOptimal: optimalIds.has(p.id) })),
+  };
+}
+
+// What rankings can be ordered by: the composite power score, the consensus
+// lineup total, its floor/ceiling, its value over replacement, or the total
+// adjusted for strength of schedule (overall or in the playoff weeks)
+const RANKING_SORTS = {
+  power: 'powerScore',
+  consensus: 'totalProjected',
+  floor: 'floorProjected',
+  ceiling: 'ceilingProjected',
+  vor: 'vorProjected',
+  schedule: 'scheduleProjected',
+  playoffs: 'playoffProjected',
+};
+
+// What free agents can be ordered by
+const AVAILABLE_SORTS = {
+  vor: 'vor',
+  projected: 'projected',
+  schedule: 'scheduleProjected',
+  playoffs: 'playoffProjected',
+};
+
+// Power scores and ranks for a set of the league's rosters, the default order
+// of the rankings; anything that reports a team's rank goes through here.
+// options.valued: the rosters valued for the view being shown
+// options.season: a season-long context from loadLeagueContext(leagueId) when
+//   they were valued for one week, since the composite's projection component
+//   is rest-of-season strength whatever week is shown
+// Returns rosterId -> { score, rank, ... } as computePowerScores does
+async function rankByPower(leagueId, league, rosters, options = {}) {
+  const { valued, season } = options;
+  const totals = season
+    ? applyStatus(rosters, false).map(r => valueRoster(r, league.roster_positions, season.resolver).totalProjected)
+    : valued.map(v => v.totalProjected);
+  const teams = rosters.map((r, i) => ({ rosterId: r.rosterId, projected: totals[i] }));
+  return computePowerScores(leagueId, league, teams, { weights: options.weights });
+}
+
+// options.weights overrides the power-ranking weights for this request
+async function computeRankings(leagueId, options = {}) {
+  const { league, rosters, resolver, replacement } = await loadLeagueContext(leagueId, options);
+  const rosterPositions = league.roster_positions;
+  const sortKey = RANKING_SORTS[options.sort] || RANKING_SORTS.power;
+
+  const results = rosters.map((roster) => valueRoster(roster, rosterPositions, resolver, replacement.levels));
+  resolver.save();
+
+  const season = options.week ? await loadLeagueContext(leagueId) : null;
+  const power = await rankByPower(leagueId, league, rosters, { valued: results, season, weights: options.weights });
+  if (season) season.resolver.save();
+  for (const r of results) {
+    r.power = power.get(String(r.rosterId));
+    r.powerScore = r.power.score;
+  }
+
+  // Rank on the best legal starting lineup, not the whole roster. Power ranks
+  // come from the unrounded score, so ties fall the same way everywhere.
+  if (sortKey === RANKING_SORTS.power) results.sort((a, b) => a.power.rank - b.power.rank);
+  else results.sort((a, b) => b[sortKey] - a[sortKey]);
+  return results.map((r, idx) => ({ rank: idx + 1, ...r }));
+}
+
+// Projection rows that no rostered player resolves to.
+// options.statuses (recordKey -> status) discounts free agents the same way as
+// rostered players; options.levels adds each one's VOR.
+function listAvailable(rosters, projections, resolver, options = {}) {
+  const { statuses = new Map(), weekly = false, levels } = options;
+  const taken = new Set();
+  for (const r of rosters) {
+    for (const entry of r.entries) {
+      const match = resolver.resolve(entry);
+      if (match) taken.add(recordKey(match.record));
+    }
+  }
+
+  const available = [];
+  for (const map of Object.values(projections)) {
+    for (const rec of map.values()) {
+      if (taken.has(recordKey(rec))) continue;
+      const { player, position, fantasy, team, onBye, schedule } = rec;
+      const status = statuses.get(recordKey(rec)) || null;
+      const multiplier = statusMultiplier(status, weekly);
+      const { floor, ceiling, disagreement } = projectionRange(rec, multiplier);
+      const projected = fantasy * multiplier;
+      const vor = levels ? valueOverReplacement(projected, position, levels) : null;
+      available.push({
+        player,
+        position,
+        projected,
+        vor,
+        scheduleProjected: projected * (schedule ? schedule.multiplier : 1),
+        playoffProjected: projected * (schedule && schedule.playoffs ? schedule.playoffs.multiplier : 1),
+        schedule: schedule ? { restOfSeason: schedule.restOfSeason, playoffs: schedule.playoffs } : null,
+        floor,
+        ceiling,
+        sourcesDisagree: disagreement,
+        team,
+        onBye: !!onBye,
+        status,
+      });
+    }
+  }
+
+  available.sort((a, b) => b.projected - a.projected);
+  return available;
+}
+
+async function computeAvailable(leagueId, options = {}) {
+  const [{ rosters, projections, resolver, week, replacement }, players] = await Promise.all([
+    loadLeagueContext(leagueId, options),
+    fetchSleeperPlayers(),
+  ]);
+  const statuses = freeAgentStatuses(players, rosters, projections, resolver);
+  const available = listAvailable(rosters, projections, resolver, { statuses, weekly: !!week, levels: replacement.levels });
+  resolver.save();
+
+  // VOR by default: it puts a 120-point RB above a 150-point kicker
+  const sortKey = AVAILABLE_SORTS[options.sort] || AVAILABLE_SORTS.vor;
+  available.sort((a, b) => b[sortKey] - a[sortKey]);
+  return { count: available.length, replacement, available };
+}
+
+// Every cached input behind a league's rankings, for cache-age headers
+function leagueCacheKeys(leagueId, week) {
+  const projections = consensusCacheKey(hasWeeklyProjections(week) ? week : null);
+  return { ...providerCacheKeys(leagueId), state: 'sleeper:state', projections };
+}
+
+// Rostered players with no projection, or only a low-confidence one
+async function computeUnmatched(leagueId) {
+  const { rosters, resolver } = await loadLeagueContext(leagueId);
+
+  const unmatched = [];
+  const lowConfidence = [];
+  for (const r of rosters) {
+    for (const entry of r.entries) {
+      const match = resolver.resolve(entry);
+      const base = { teamName: r.teamName, id: entry.id, name: entry.name, position: entry.position, nflTeam: entry.team, isStarter: !!entry.isStarter };
+      if (!match) {
+        unmatched.push({ ...base, suggestions: resolver.suggest(entry) });
+      } else if (match.confidence < LOW_CONFIDENCE) {
+        lowConfidence.push({
+          ...base,
+          matchedTo: { player: match.record.player, position: match.record.position, team: match.record.team, projected: match.record.fantasy },
+          confidence: match.confidence,
+          method: match.method,
+          suggestions: resolver.suggest(entry),
+        });
+      }
+    }
+  }
+  resolver.save();
+
+  const byConfidence = (a, b) => a.confidence - b.confidence;
+  return { unmatchedCount: unmatched.length, lowConfidenceCount: lowConfidence.length, unmatched, lowConfidence: lowConfidence.sort(byConfidence) };
+}
+
+module.exports = {
+  RANKING_SORTS,
+  AVAILABLE_SORTS,
+  leagueCacheKeys,
+  loadLeagueContext,
+  estimateTeamPoints,
+  valueRoster,
+  rankByPower,
+  listAvailable,
+  computeRankings,
+  computeAvailable,
+  computeUnmatched,
+};
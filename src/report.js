@@ -0,0 +1,325 @@
+// Weekly power-rankings report (`npm run report`): the rankings as Markdown,
+// CSV or JSON with a templated blurb per team, optionally posted to a Discord
+// or Slack-compatible incoming webhook.
+//
+// REPORT_WEBHOOK_URL is where reports are published; REPORT_WEBHOOK_TYPE
+// (discord or slack) is taken from the URL when unset. Blurb templates come
+// from data/report_templates.json (or REPORT_TEMPLATES_FILE), falling back to
+// DEFAULT_TEMPLATES for any situation the file leaves out.
+//
+//   node src/report.js --league 1257482024906657792 --format markdown
+//   node src/report.js --week 6 --publish
+//
+// Over HTTP, GET /api/report returns the report and POST /api/report publishes
+// it; publishing needs the write secret (see auth.js). Vercel's cron (vercel.json)
+// can only send GETs, so it publishes with GET /api/report?publish=1.
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { parseArgs } = require('util');
+// Quiet, so the report is all that reaches stdout
+require('dotenv').config({ quiet: true });
+
+const { DATA_DIR } = require('./projections');
+const { fetchLeague, parseProvider, resolveLeagueId } = require('./providers');
+const { computeRankings, leagueCacheKeys } = require('./rankings');
+const { setCacheHeaders } = require('./cache');
+const { checkWriteAuth } = require('./auth');
+const { resolveRequestWeek } = require('./weeks');
+const { getHistoryStore } = require('./history');
+const { toCsv } = require('./csv');
+const { round1 } = require('./simulation');
+
+const TEMPLATES_FILE = (process.env.REPORT_TEMPLATES_FILE || '').trim() || path.join(DATA_DIR, 'report_templates.json');
+const FORMATS = ['markdown', 'csv', 'json'];
+const REPORT_TYPES = { markdown: 'text/markdown; charset=utf-8', csv: 'text/csv; charset=utf-8', json: 'application/json; charset=utf-8' };
+const TOP_STARTERS = 3;
+const WEAKNESSES = 2;
+// Discord rejects longer messages; Slack takes the report in one
+const DISCORD_MESSAGE_LIMIT = 2000;
+
+// Placeholders: {team} {rank} {change} {projected} {record} {star} {weakness}
+const DEFAULT_TEMPLATES = {
+  first: '{team} holds the top spot at {projected} projected, with {star} leading the way.',
+  riser: '{team} climbs {change} to #{rank}; {star} is carrying the load, though {weakness} is still a hole.',
+  faller: '{team} slides {change} to #{rank}. Fixing {weakness} would go a long way.',
+  steady: '{team} stays at #{rank} ({record}); {star} is the one to watch and {weakness} the one to fix.',
+  last: '{team} brings up the rear at {projected} projected. {weakness} is the first thing to address.',
+};
+
+let templates = null;
+
+function loadTemplates() {
+  if (templates) return templates;
+  let fromFile = {};
+  try {
+    fromFile = JSON.parse(fs.readFileSync(TEMPLATES_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`report: could not read ${TEMPLATES_FILE}: ${e.message}`);
+  }
+  templates = { ...DEFAULT_TEMPLATES, ...fromFile };
+  return templates;
+}
+
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (values[key] === undefined ? match : String(values[key])));
+}
+
+// rosterId -> rank in the latest snapshot from an earlier week of the same season
+function lastWeekRanks(leagueId, season, week) {
+  const earlier = getHistoryStore().list(leagueId)
+    .filter(s => String(s.season) === String(season) && s.week !== null && week && s.week < week);
+  const last = earlier[earlier.length - 1];
+  return new Map(last ? last.teams.map(t => [String(t.rosterId), t.rank]) : []);
+}
+
+// Median projection of each starting slot across the league, by lineup position
+function slotMedians(rankings) {
+  const count = rankings.length ? rankings[0].optimalLineup.length : 0;
+  const medians = [];
+  for (let i = 0; i < count; i++) {
+    const values = rankings.map(r => (r.optimalLineup[i] || {}).projected || 0).sort((a, b) => a - b);
+    medians.push(values[Math.floor(values.length / 2)]);
+  }
+  return medians;
+}
+
+function formatRecord(record) {
+  if (!record) return null;
+  return `${record.wins}-${record.losses}${record.ties ? `-${record.ties}` : ''}`;
+}
+
+function formatChange(change) {
+  if (change > 0) return ` ▲${change}`;
+  if (change < 0) return ` ▼${-change}`;
+  return '';
+}
+
+function blurbFor(team, teamCount) {
+  const star = team.topStarters[0];
+  const weakness = team.weaknesses[0];
+  const values = {
+    team: team.teamName,
+    rank: team.rank,
+    change: team.change === null ? 0 : Math.abs(team.change),
+    projected: team.projected.toFixed(1),
+    record: team.record || 'no record yet',
+    star: star ? `${star.name} (${star.position})` : 'nobody in particular',
+    weakness: weakness ? weakness.slot : 'nothing obvious',
+  };
+  const t = loadTemplates();
+  let situation = 'steady';
+  if (team.rank === 1) situation = 'first';
+  else if (team.rank === teamCount) situation = 'last';
+  else if (team.change > 0) situation = 'riser';
+  else if (team.change < 0) situation = 'faller';
+  return fillTemplate(t[situation], values);
+}
+
+// The report for a league's power rankings in `week` (null for season-long)
+async function buildReport(leagueId, options = {}) {
+  const week = options.week || null;
+  const [rankings, league] = await Promise.all([
+    computeRankings(leagueId, { week, sort: 'power' }),
+    fetchLeague(leagueId),
+  ]);
+  const previous = lastWeekRanks(leagueId, league.season, week);
+  const medians = slotMedians(rankings);
+
+  const teams = rankings.map((r) => {
+    const before = previous.get(String(r.rosterId));
+    // Without an earlier snapshot, the power ranking's own replay of last week
+    const change = before ? before - r.rank : (r.power ? r.power.rankChange : null);
+    const starters = r.optimalLineup.filter(s => s.id);
+    const team = {
+      rank: r.rank,
+      change: change === undefined ? null : change,
+      rosterId: r.rosterId,
+      teamName: r.teamName,
+      record: formatRecord(r.power && r.power.record),
+      powerScore: round1(r.powerScore),
+      projected: round1(r.totalProjected),
+      topStarters: [...starters]
+        .sort((a, b) => b.projected - a.projected)
+        .slice(0, TOP_STARTERS)
+        .map(s => ({ name: s.name, position: s.position, projected: round1(s.projected) })),
+      // Starting slots furthest below the league's median starter there
+      weaknesses: r.optimalLineup
+        .map((s, i) => ({ slot: s.slot, name: s.name, projected: round1(s.projected), vsLeague: round1(s.projected - medians[i]) }))
+        .filter(s => s.vsLeague < 0)
+        .sort((a, b) => a.vsLeague - b.vsLeague)
+        .slice(0, WEAKNESSES),
+    };
+    return { ...team, blurb: blurbFor(team, rankings.length) };
+  });
+
+  return {
+    leagueId: String(leagueId),
+    league: league.name || String(leagueId),
+    season: league.season || null,
+    week,
+    generatedAt: new Date().toISOString(),
+    teams,
+  };
+}
+
+function reportTitle(report) {
+  return `${report.league} power rankings — ${report.week ? `week ${report.week}` : 'season'}`;
+}
+
+function toMarkdown(report) {
+  const sections = report.teams.map((t) => {
+    const record = t.record ? ` · ${t.record}` : '';
+    const stars = t.topStarters.map(s => `${s.name} (${s.position} ${s.projected.toFixed(1)})`).join(', ') || '–';
+    const holes = t.weaknesses.map(w => `${w.slot}${w.name ? ` ${w.name}` : ' (empty)'} ${w.vsLeague.toFixed(1)}`).join(', ') || 'none';
+    return [
+      `**${t.rank}. ${t.teamName}**${formatChange(t.change)} · ${t.projected.toFixed(1)} projected${record}`,
+      `Top starters: ${stars}`,
+      `Weakest spots vs league: ${holes}`,
+      `> ${t.blurb}`,
+    ].join('\n');
+  });
+  return `# ${reportTitle(report)}\n\n${sections.join('\n\n')}\n`;
+}
+
+const CSV_COLUMNS = ['rank', 'change', 'team', 'record', 'powerScore', 'projected', 'topStarters', 'weaknesses', 'blurb'];
+
+function toReportCsv(report) {
+  return toCsv(report.teams.map(t => ({
+    rank: t.rank,
+    change: t.change,
+    team: t.teamName,
+    record: t.record,
+    powerScore: t.powerScore,
+    projected: t.projected,
+    topStarters: t.topStarters.map(s => `${s.name} (${s.position} ${s.projected})`).join('; '),
+    weaknesses: t.weaknesses.map(w => `${w.slot} ${w.vsLeague}`).join('; '),
+    blurb: t.blurb,
+  })), CSV_COLUMNS);
+}
+
+function formatReport(report, format) {
+  if (format === 'csv') return toReportCsv(report);
+  if (format === 'json') return `${JSON.stringify(report, null, 2)}\n`;
+  return toMarkdown(report);
+}
+
+function webhookType(url) {
+  const type = (process.env.REPORT_WEBHOOK_TYPE || '').trim().toLowerCase();
+  if (type === 'discord' || type === 'slack') return type;
+  return /discord(app)?\.com/.test(url) ? 'discord' : 'slack';
+}
+
+// Splits on team boundaries so no message runs past `limit`
+function chunkMessage(text, limit) {
+  const chunks = [];
+  let current = '';
+  for (const part of text.split('\n\n')) {
+    const next = current ? `${current}\n\n${part}` : part;
+    if (next.length <= limit) {
+      current = next;
+      continue;
+    }
+    if (current) chunks.push(current);
+    current = part.slice(0, limit);
+  }
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Slack's mrkdwn has single-asterisk bold and no headings
+function toSlackMarkdown(text) {
+  return text.replace(/^# (.*)$/gm, '*$1*').replace(/\*\*(.+?)\*\*/g, '*$1*');
+}
+
+// Posts the Markdown report; returns { type, messages }
+async function publishReport(report, options = {}) {
+  const url = (options.webhookUrl || process.env.REPORT_WEBHOOK_URL || '').trim();
+  if (!url) throw new Error('No webhook URL configured (REPORT_WEBHOOK_URL)');
+  const type = options.type || webhookType(url);
+  const text = toMarkdown(report);
+  const messages = type === 'discord' ? chunkMessage(text, DISCORD_MESSAGE_LIMIT) : [toSlackMarkdown(text)];
+  // In order, so the report reads top to bottom in the channel
+  for (const message of messages) {
+    await axios.post(url, type === 'discord' ? { content: message } : { text: message });
+  }
+  return { type, messages: messages.length };
+}
+
+// The /api/report route for both the Express server and the Vercel function
+async function handleReportRequest(req, res) {
+  const publishing = req.method === 'POST' || ['1', 'true'].includes(String(req.query.publish));
+  try {
+    if (publishing) {
+      const denied = checkWriteAuth(req);
+      if (denied) return res.status(denied.status).json({ error: denied.error });
+    }
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+    if (publishing && !(process.env.REPORT_WEBHOOK_URL || '').trim()) return res.status(400).json({ error: 'No webhook configured' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    const format = req.query.format || 'markdown';
+    if (!FORMATS.includes(format)) return res.status(400).json({ error: 'Invalid format' });
+
+    const report = await buildReport(leagueId, { week });
+    if (publishing) {
+      const published = await publishReport(report);
+      return res.status(201).json({ leagueId, week, generatedAt: report.generatedAt, ...published });
+    }
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('Content-Type', REPORT_TYPES[format]);
+    res.status(200).send(formatReport(report, format));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: publishing ? 'Failed to publish report' : 'Failed to build report' });
+  }
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      league: { type: 'string', default: '' },
+      week: { type: 'string' },
+      format: { type: 'string', default: 'markdown' },
+      out: { type: 'string' },
+      publish: { type: 'boolean', default: false },
+      webhook: { type: 'string' },
+    },
+  });
+  if (!FORMATS.includes(values.format)) throw new Error(`Unknown format "${values.format}" (available: ${FORMATS.join(', ')})`);
+  const leagueId = resolveLeagueId({ leagueId: values.league });
+  if (!leagueId) throw new Error('Missing league (--league or LEAGUE_ID)');
+  const week = await resolveRequestWeek({ week: values.week });
+  if (Number.isNaN(week)) throw new Error(`Invalid week "${values.week}"`);
+
+  const report = await buildReport(leagueId, { week });
+  const output = formatReport(report, values.format);
+  if (values.out) fs.writeFileSync(values.out, output);
+  else process.stdout.write(output);
+  if (values.publish) {
+    const result = await publishReport(report, { webhookUrl: values.webhook });
+    console.error(`Published to ${result.type} in ${result.messages} message${result.messages === 1 ? '' : 's'}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((err) => {
+    console.error(`Report failed: ${err.message}`);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = {
+  FORMATS,
+  DEFAULT_TEMPLATES,
+  fillTemplate,
+  buildReport,
+  formatReport,
+  toMarkdown,
+  publishReport,
+  handleReportRequest,
+};
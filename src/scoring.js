@@ -0,0 +1,245 @@
+// Scoring engine: turns the raw stat lines in data/*.csv into fantasy points
+// using a Sleeper league's `scoring_settings`.
+const { getPosition } = require('./positions');
+
+// Season-long CSVs are totals over a full regular season
+const SEASON_GAMES = 17;
+
+// CSV column -> numeric stat key used below
+const STAT_COLUMNS = {
+  passingYards: 'passYds',
+  passingTouchdowns: 'passTd',
+  interceptionsThrown: 'passInt',
+  rushingAttempts: 'rushAtt',
+  rushingYards: 'rushYds',
+  rushingTouchdowns: 'rushTd',
+  receptions: 'rec',
+  targets: 'targets',
+  receivingYards: 'recYds',
+  receivingTouchdowns: 'recTd',
+  extraPointsAttempted: 'xpa',
+  extraPointsMade: 'xpm',
+  fieldGoalsAttempted: 'fga',
+  fieldGoalsMade: 'fgm',
+  fieldGoalsMade0To19: 'fgm0_19',
+  fieldGoalsMade20To29: 'fgm20_29',
+  fieldGoalsMade30To39: 'fgm30_39',
+  fieldGoalsMade40To49: 'fgm40_49',
+  fieldGoalsMade50Plus: 'fgm50p',
+  pointsAllowed: 'ptsAllowed',
+  yardsAllowed: 'ydsAllowed',
+  sacks: 'sacks',
+  interceptions: 'defInt',
+  fumblesRecovered: 'fumRec',
+  touchdowns: 'defTd',
+  // Individual defensive players; sacks, interceptions, fumbles and touchdowns share the DST columns
+  soloTackles: 'tklSolo',
+  assistedTackles: 'tklAst',
+  tacklesForLoss: 'tklLoss',
+  qbHits: 'qbHit',
+  forcedFumbles: 'ff',
+  passesDefended: 'passDef',
+  safeties: 'safety',
+};
+
+// Sleeper points-allowed tiers, per game: [setting, low, high]
+const POINTS_ALLOWED_TIERS = [
+  ['pts_allow_0', -Infinity, 0.5],
+  ['pts_allow_1_6', 0.5, 6.5],
+  ['pts_allow_7_13', 6.5, 13.5],
+  ['pts_allow_14_20', 13.5, 20.5],
+  ['pts_allow_21_27', 20.5, 27.5],
+  ['pts_allow_28_34', 27.5, 34.5],
+  ['pts_allow_35p', 34.5, Infinity],
+];
+
+const YARDS_ALLOWED_TIERS = [
+  ['yds_allow_0_100', -Infinity, 100],
+  ['yds_allow_100_199', 100, 200],
+  ['yds_allow_200_299', 200, 300],
+  ['yds_allow_300_349', 300, 350],
+  ['yds_allow_350_399', 350, 400],
+  ['yds_allow_400_449', 400, 450],
+  ['yds_allow_450_499', 450, 500],
+  ['yds_allow_500_549', 500, 550],
+  ['yds_allow_550p', 550, Infinity],
+];
+
+// Game-to-game spread used to spread a season average across tiers
+const POINTS_ALLOWED_SD = 9;
+const YARDS_ALLOWED_SD = 60;
+
+// Representative kick distance per bucket, for per-yard FG scoring
+const FG_BUCKET_YARDS = { fgm0_19: 18, fgm20_29: 25, fgm30_39: 35, fgm40_49: 45, fgm50p: 53 };
+
+function toNumber(value) {
+  const n = parseFloat(value);
+  return Number.isNaN(n) ? 0 : n;
+}
+
+// Pull the numeric stat line out of a CSV row; null when the row has none
+function extractStats(row) {
+  const stats = {};
+  let found = false;
+  for (const [column, key] of Object.entries(STAT_COLUMNS)) {
+    if (row[column] === undefined || row[column] === '') continue;
+    stats[key] = toNumber(row[column]);
+    found = true;
+  }
+  // "343.18/535.72" -> completions / attempts
+  if (row.completionsAttempts) {
+    const [cmp, att] = String(row.completionsAttempts).split('/');
+    stats.passCmp = toNumber(cmp);
+    stats.passAtt = toNumber(att);
+    found = true;
+  }
+  return found ? stats : null;
+}
+
+function erf(x) {
+  // Abramowitz & Stegun 7.1.26
+  const sign = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-ax * ax);
+  return sign * y;
+}
+
+function normalCdf(x, mean, sd) {
+  if (x === Infinity) return 1;
+  if (x === -Infinity) return 0;
+  return 0.5 * (1 + erf((x - mean) / (sd * Math.SQRT2)));
+}
+
+// Expected per-game tier points when the per-game value is ~N(mean, sd)
+function expectedTierPoints(tiers, settings, mean, sd) {
+  let points = 0;
+  for (const [key, low, high] of tiers) {
+    const value = settings[key];
+    if (!value) continue;
+    points += value * (normalCdf(high, mean, sd) - normalCdf(low, mean, sd));
+  }
+  return points;
+}
+
+function scoreOffense(stats, position, s) {
+  let points = 0;
+  points += (stats.passYds || 0) * (s.pass_yd || 0);
+  points += (stats.passTd || 0) * (s.pass_td || 0);
+  points += (stats.passInt || 0) * (s.pass_int || 0);
+  points += (stats.passCmp || 0) * (s.pass_cmp || 0);
+  points += (stats.passAtt || 0) * (s.pass_att || 0);
+  points += Math.max(0, (stats.passAtt || 0) - (stats.passCmp || 0)) * (s.pass_inc || 0);
+  points += (stats.rushYds || 0) * (s.rush_yd || 0);
+  points += (stats.rushTd || 0) * (s.rush_td || 0);
+  points += (stats.rushAtt || 0) * (s.rush_att || 0);
+  points += (stats.rec || 0) * (s.rec || 0);
+  points += (stats.recYds || 0) * (s.rec_yd || 0);
+  points += (stats.recTd || 0) * (s.rec_td || 0);
+  points += (stats.targets || 0) * (s.rec_tgt || 0);
+  // Position-specific reception bonuses (TE premium and friends)
+  const bonusKey = { TE: 'bonus_rec_te', RB: 'bonus_rec_rb', WR: 'bonus_rec_wr' }[position];
+  if (bonusKey) points += (stats.rec || 0) * (s[bonusKey] || 0);
+  return points;
+}
+
+function scoreKicker(stats, s) {
+  let points = 0;
+  const made = stats.fgm || 0;
+  const missed = Math.max(0, (stats.fga || 0) - made);
+  points += made * (s.fgm || 0);
+  points += missed * (s.fgmiss || 0);
+  points += (stats.xpm || 0) * (s.xpm || 0);
+  points += Math.max(0, (stats.xpa || 0) - (stats.xpm || 0)) * (s.xpmiss || 0);
+  points += (stats.fgm0_19 || 0) * (s.fgm_0_19 || 0);
+  points += (stats.fgm20_29 || 0) * (s.fgm_20_29 || 0);
+  points += (stats.fgm30_39 || 0) * (s.fgm_30_39 || 0);
+  points += (stats.fgm40_49 || 0) * (s.fgm_40_49 || 0);
+  // Leagues either score 50+ as one bucket or split it at 60 yards
+  const fiftyPlus = s.fgm_50p !== undefined ? s.fgm_50p : s.fgm_50_59;
+  points += (stats.fgm50p || 0) * (fiftyPlus || 0);
+  if (s.fgm_yds) {
+    for (const [key, yards] of Object.entries(FG_BUCKET_YARDS)) {
+      points += (stats[key] || 0) * yards * s.fgm_yds;
+    }
+  }
+  return points;
+}
+
+function scoreDefense(stats, s, games) {
+  let points = 0;
+  points += (stats.sacks || 0) * (s.sack || 0);
+  points += (stats.defInt || 0) * (s.int || 0);
+  points += (stats.fumRec || 0) * (s.fum_rec || 0);
+  points += (stats.defTd || 0) * (s.def_td || 0);
+  if (stats.ptsAllowed !== undefined) {
+    const perGame = stats.ptsAllowed / games;
+    points += games * expectedTierPoints(POINTS_ALLOWED_TIERS, s, perGame, POINTS_ALLOWED_SD);
+  }
+  if (stats.ydsAllowed !== undefined) {
+    const perGame = stats.ydsAllowed / games;
+    points += games * expectedTierPoints(YARDS_ALLOWED_TIERS, s, perGame, YARDS_ALLOWED_SD);
+  }
+  return points;
+}
+
+function scoreIdp(stats, s) {
+  let points = 0;
+  points += (stats.tklSolo || 0) * (s.idp_tkl_solo || 0);
+  points += (stats.tklAst || 0) * (s.idp_tkl_ast || 0);
+  points += (stats.tklLoss || 0) * (s.idp_tkl_loss || 0);
+  points += (stats.qbHit || 0) * (s.idp_qb_hit || 0);
+  points += (stats.sacks || 0) * (s.idp_sack || 0);
+  points += (stats.defInt || 0) * (s.idp_int || 0);
+  points += (stats.ff || 0) * (s.idp_ff || 0);
+  points += (stats.fumRec || 0) * (s.idp_fum_rec || 0);
+  points += (stats.passDef || 0) * (s.idp_pass_def || 0);
+  points += (stats.defTd || 0) * (s.idp_def_td || 0);
+  points += (stats.safety || 0) * (s.idp_safe || 0);
+  return points;
+}
+
+// The position registry says which scorer a position's stat line goes through
+function scoreStats(stats, position, scoringSettings, options = {}) {
+  const s = scoringSettings || {};
+  const games = options.games || SEASON_GAMES;
+  const entry = getPosition(position);
+  const scoring = entry ? entry.scoring : 'offense';
+  if (scoring === 'kicker') return scoreKicker(stats, s);
+  if (scoring === 'defense') return scoreDefense(stats, s, games);
+  if (scoring === 'idp') return scoreIdp(stats, s);
+  return scoreOffense(stats, position, s);
+}
+
+function hasScoringSettings(scoringSettings) {
+  return !!scoringSettings && Object.keys(scoringSettings).length > 0;
+}
+
+// Returns a copy of the projection maps with `fantasy` recomputed from each
+// row's stat line. Rows without stats keep the CSV's pre-computed value.
+function rescoreProjections(projections, scoringSettings, options = {}) {
+  if (!hasScoringSettings(scoringSettings)) return projections;
+  const rescored = {};
+  for (const [group, map] of Object.entries(projections)) {
+    const next = new Map();
+    for (const [key, rec] of map.entries()) {
+      if (!rec.stats) {
+        next.set(key, rec);
+        continue;
+      }
+      const fantasy = Math.round(scoreStats(rec.stats, rec.position, scoringSettings, options) * 100) / 100;
+      next.set(key, { ...rec, fantasy });
+    }
+    rescored[group] = next;
+  }
+  return rescored;
+}
+
+module.exports = {
+  SEASON_GAMES,
+  STAT_COLUMNS,
+  extractStats,
+  scoreStats,
+  hasScoringSettings,
+  rescoreProjections,
+};
@@ -1,261 +1,364 @@
 const express = require('express');
-const axios = require('axios');
-const fs = require('fs');
 const path = require('path');
-const { parse } = require('csv-parse');
 const cors = require('cors');
 require('dotenv').config();
 
+const { parseProvider, resolveLeagueId, matchupsCacheKey } = require('./providers');
+const { RANKING_SORTS, AVAILABLE_SORTS, leagueCacheKeys, computeRankings, computeAvailable, computeUnmatched } = require('./rankings');
+const { setCacheHeaders } = require('./cache');
+const { parseWeekQuery, resolveRequestWeek } = require('./weeks');
+const { computeMatchups } = require('./matchups');
+const { parseForcedResults, computePlayoffOdds } = require('./playoffs');
+const { parseIdList, computeTrade } = require('./trade');
+const { findTrades } = require('./trade_finder');
+const { computeWaivers } = require('./waivers');
+const { computeDraft } = require('./draft');
+const { computeDynasty } = require('./dynasty');
+const { parseWeights } = require('./power');
+const { recordSnapshotIfDue, takeSnapshot, getHistory } = require('./history');
+const { userCacheKey } = require('./sleeper');
+const { checkWriteAuth } = require('./auth');
+const { computeDashboard } = require('./dashboard');
+const { streamLiveScores } = require('./live');
+const { handleReportRequest } = require('./report');
+const { computeTransactions } = require('./transactions');
+const { loadPositions } = require('./positions');
+
 const app = express();
 app.use(cors());
 app.use(express.json());
 
-const DATA_DIR = path.join(__dirname, '..', 'data');
-const DEFAULT_LEAGUE_ID = '1257482024906657792';
-// Known name aliases to bridge Sleeper vs projections differences
-// Use lowercase normalized keys
-const NAME_ALIASES = new Map([
-  ['josh palmer', 'joshua palmer'],
-  ['joshua palmer', 'josh palmer'],
-  ['hollywood brown', 'marquise brown'],
-  ['marquise brown', 'hollywood brown'],
-  ['chig okonkwo', 'chigoziem okonkwo'],
-  ['chigoziem okonkwo', 'chig okonkwo'],
-  ['cam ward', 'cameron ward'],
-  ['cameron ward', 'cam ward'],
-]);
-
-function loadCsvProjections(filename, position) {
-  return new Promise((resolve, reject) => {
-    const records = new Map();
-    fs.createReadStream(path.join(DATA_DIR, filename))
-      .pipe(parse({ columns: true, skip_empty_lines: true }))
-      .on('data', (row) => {
-        const player = (row.player || '').trim();
-        const fantasy = parseFloat(row.fantasy || row.FPTS || row.points || '0');
-        if (player && !Number.isNaN(fantasy)) {
-          // Preserve team when available (useful for DST matching)
-          const team = (row.team || '').trim();
-          records.set(player, { player, position, fantasy, team });
-        }
-      })
-      .on('error', reject)
-      .on('end', () => resolve(records));
-  });
-}
-
-async function loadAllProjections() {
-  const [qbs, rbs, wrs, tes, ks, dsts] = await Promise.all([
-    loadCsvProjections('QB.csv', 'QB'),
-    loadCsvProjections('RB.csv', 'RB'),
-    loadCsvProjections('WR.csv', 'WR'),
-    loadCsvProjections('TE.csv', 'TE'),
-    loadCsvProjections('K.csv', 'K'),
-    loadCsvProjections('DST.csv', 'DST'),
-  ]);
-  return { qbs, rbs, wrs, tes, ks, dsts };
-}
-
-function normalizeName(name) {
-  return name
-    .toLowerCase()
-    .replace(/\./g, '')
-    .replace(/'/g, '')
-    .replace(/-/g, ' ')
-    // strip common suffixes
-    .replace(/\b(jr|sr|ii|iii|iv)\b/g, '')
-    .replace(/\s+/g, ' ')
-    .trim();
-}
-
-function buildNameIndex(projectionsMaps) {
-  const index = new Map();
-  for (const map of Object.values(projectionsMaps)) {
-    for (const { player, position, fantasy } of map.values()) {
-      const key = normalizeName(player);
-      const keys = [key];
-      const alias = NAME_ALIASES.get(key);
-      if (alias) keys.push(alias);
-      for (const k of keys) {
-        if (!index.has(k)) index.set(k, []);
-        index.get(k).push({ player, position, fantasy });
-      }
+app.get('/api/rankings', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    // power (default), consensus, floor, ceiling, vor, schedule or playoffs
+    const sort = req.query.sort || 'power';
+    if (!RANKING_SORTS[sort]) return res.status(400).json({ error: 'Invalid sort' });
+
+    // Power-ranking weight overrides: weights=record:1,projected:2
+    const weights = parseWeights(req.query.weights);
+    if (!weights) return res.status(400).json({ error: 'Invalid weights' });
+
+    const data = await computeRankings(leagueId, { week, sort, weights });
+    // Only the default view feeds the ranking history
+    if (sort === 'power' && parseWeekQuery(req.query) === undefined && !Object.keys(weights).length) {
+      await recordSnapshotIfDue(leagueId, data, week);
     }
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute rankings' });
   }
-  return index;
-}
-
-async function fetchSleeperLeagueRosters(leagueId) {
-  // Get users to map user_id -> display_name/team name
-  const [usersRes, rostersRes, playersRes] = await Promise.all([
-    axios.get(`https://api.sleeper.app/v1/league/${leagueId}/users`),
-    axios.get(`https://api.sleeper.app/v1/league/${leagueId}/rosters`),
-    axios.get('https://api.sleeper.app/v1/players/nfl'),
-  ]);
-
-  const usersById = new Map();
-  for (const u of usersRes.data || []) {
-    usersById.set(String(u.user_id), u);
+});
+
+// Available free agents based on projections vs rostered players
+app.get('/api/available', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    // vor (default), projected, schedule or playoffs
+    const sort = req.query.sort || 'vor';
+    if (!AVAILABLE_SORTS[sort]) return res.status(400).json({ error: 'Invalid sort' });
+
+    const data = await computeAvailable(leagueId, { week, sort });
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute available players' });
   }
+});
 
-  const players = playersRes.data || {};
-
-  const rosters = [];
-  for (const r of rostersRes.data || []) {
-    const owner = usersById.get(String(r.owner_id));
-    const teamName = owner?.metadata?.team_name || owner?.display_name || `Team ${r.roster_id}`;
-    const allIds = (r.players || []).map(String);
-    const startersSet = new Set((r.starters || []).map(String));
-
-    const entries = [];
-    for (const pid of allIds) {
-      const p = players[pid];
-      if (!p) continue;
-      // Build display name and position
-      const fullName = [p.first_name, p.last_name].filter(Boolean).join(' ').trim() || p.full_name || p.last_name || pid;
-      const position = (p.position === 'DEF' ? 'DST' : p.position) || 'FLEX';
-      const isStarter = startersSet.has(pid);
-      entries.push({ id: pid, name: fullName, position, isStarter });
-    }
+// Rostered players with no projection or a low-confidence match
+app.get('/api/unmatched', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
 
-    rosters.push({ rosterId: r.roster_id, teamName, entries });
+    const data = await computeUnmatched(leagueId);
+    setCacheHeaders(res, leagueCacheKeys(leagueId));
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute unmatched players' });
   }
+});
 
-  return rosters;
-}
-
-function estimateTeamPoints(roster, nameIndex, dstMap) {
-  let total = 0;
-  const details = [];
-  for (const entry of roster.entries) {
-    const key = normalizeName(entry.name);
-    let match = (nameIndex.get(key) || []).find(m => m.position === entry.position);
-    if (!match) {
-      const alias = NAME_ALIASES.get(key);
-      if (alias) {
-        match = (nameIndex.get(alias) || []).find(m => m.position === entry.position);
-      }
-    }
-    // Fallback: if exact position not found, take any match
-    if (!match) {
-      const candidates = nameIndex.get(key);
-      if (candidates && candidates.length > 0) match = candidates[0];
-    }
-    if (match) {
-      total += match.fantasy;
-      details.push({ name: entry.name, position: entry.position, projected: match.fantasy, isStarter: !!entry.isStarter });
-    } else if (entry.position === 'DEF' || entry.position === 'DST') {
-      // Sleeper uses 'DEF' for team defenses. Try mapping against DST.csv by team code.
-      // Attempt to match like "Denver D/ST" to team.
-      for (const { player, fantasy, team } of dstMap.values()) {
-        if (player.toLowerCase().includes('d/st')) {
-          const teamName = player.split(' D/ST')[0];
-          if (
-            entry.name.toLowerCase().includes(teamName.toLowerCase()) ||
-            (team && entry.name.toLowerCase().includes(team.toLowerCase()))
-          ) {
-            total += fantasy;
-            details.push({ name: entry.name, position: entry.position, projected: fantasy, isStarter: !!entry.isStarter });
-            break;
-          }
-        }
-      }
-    } else {
-      details.push({ name: entry.name, position: entry.position, projected: 0, isStarter: !!entry.isStarter });
-    }
+// The position registry, for pages that list positions
+app.get('/api/positions', (req, res) => {
+  res.json({ positions: loadPositions().map(({ position, slots, match, optional }) => ({ position, slots, match, optional: !!optional })) });
+});
+
+// Head-to-head win probabilities for a week's matchups
+app.get('/api/matchups', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const requested = await resolveRequestWeek(req.query);
+    if (Number.isNaN(requested)) return res.status(400).json({ error: 'Invalid week' });
+    // Matchups are always a single week; outside the season show week 1
+    const week = requested || 1;
+
+    const data = await computeMatchups(leagueId, { week, iterations: req.query.iterations, seed: req.query.seed });
+    setCacheHeaders(res, { ...leagueCacheKeys(leagueId, week), matchups: matchupsCacheKey(leagueId, week) });
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute matchups' });
   }
-  return { total, details };
-}
+});
 
-app.get('/api/rankings', async (req, res) => {
+// Rest-of-season playoff, bye and championship odds
+app.get('/api/playoffs', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    // What-if toggles: force=week:matchupId:winnerRosterId,...
+    const forced = parseForcedResults(req.query.force);
+    if (!forced) return res.status(400).json({ error: 'Invalid force parameter' });
+
+    const data = await computePlayoffOdds(leagueId, { forced, iterations: req.query.iterations, seed: req.query.seed });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId));
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute playoff odds' });
+  }
+});
+
+// Before/after valuation of a proposed trade between two rosters
+app.get('/api/trade', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    const { rosterA, rosterB } = req.query;
+    if (!rosterA || !rosterB) return res.status(400).json({ error: 'Missing rosterA or rosterB' });
+    const trade = { rosterA, rosterB, sendA: parseIdList(req.query.sendA), sendB: parseIdList(req.query.sendB) };
+
+    const data = await computeTrade(leagueId, trade, { week });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to analyze trade' });
+  }
+});
+
+// Trades with other rosters that improve both lineups
+app.get('/api/trades', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    const { rosterId } = req.query;
+    if (!rosterId) return res.status(400).json({ error: 'Missing rosterId' });
+
+    const data = await findTrades(leagueId, rosterId, { week, focus: req.query.focus, limit: req.query.limit });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to find trades' });
+  }
+});
+
+// Add/drop moves that most improve a team's best lineup, with FAAB bids
+app.get('/api/waivers', async (req, res) => {
   try {
-    const leagueId = (String(req.query.leagueId || '').trim()) || (process.env.LEAGUE_ID || '').trim() || DEFAULT_LEAGUE_ID;
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
     if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
 
-    const projections = await loadAllProjections();
-    const nameIndex = buildNameIndex(projections);
-    const rosters = await fetchSleeperLeagueRosters(leagueId);
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+
+    const { rosterId } = req.query;
+    if (!rosterId) return res.status(400).json({ error: 'Missing rosterId' });
+
+    const data = await computeWaivers(leagueId, rosterId, { week, limit: req.query.limit });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute waiver moves' });
+  }
+});
+
+// Pick recommendations for a draft slot in the league's Sleeper draft or a mock draft
+app.get('/api/draft', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
 
-    const results = rosters.map((roster) => {
-      const { total, details } = estimateTeamPoints(roster, nameIndex, projections.dsts);
-      return { teamName: roster.teamName, totalProjected: total, players: details };
+    // Mock drafts replay picks=key,key,... and let the other teams pick with autopick=1
+    const mock = req.query.mock === '1' || req.query.mock === 'true';
+    const data = await computeDraft(leagueId, {
+      slot: req.query.slot,
+      limit: req.query.limit,
+      seed: req.query.seed,
+      draftId: req.query.draftId,
+      mock,
+      teams: req.query.teams,
+      rounds: req.query.rounds,
+      picks: parseIdList(req.query.picks),
+      autopick: req.query.autopick === '1' || req.query.autopick === 'true',
     });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId));
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to compute draft recommendations' });
+  }
+});
+
+// Long-term power ranking with draft picks and keeper suggestions
+app.get('/api/dynasty', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
 
-    results.sort((a, b) => b.totalProjected - a.totalProjected);
-    const withRank = results.map((r, idx) => ({ rank: idx + 1, ...r }));
-    res.json(withRank);
+    const data = await computeDynasty(leagueId, { keepers: req.query.keepers });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, leagueCacheKeys(leagueId));
+    res.json(data);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Failed to compute rankings' });
+    res.status(500).json({ error: 'Failed to compute dynasty rankings' });
   }
 });
 
-// Available free agents based on projections vs rostered players
-app.get('/api/available', async (req, res) => {
+// Ranking snapshots for the league, or one team's series with rosterId
+app.get('/api/history', async (req, res) => {
   try {
-    const leagueId = (String(req.query.leagueId || '').trim()) || (process.env.LEAGUE_ID || '').trim() || DEFAULT_LEAGUE_ID;
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
     if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
 
-    const projections = await loadAllProjections();
-    const rosters = await fetchSleeperLeagueRosters(leagueId);
-
-    // Build position -> Set of normalized rostered names (include alias when exists)
-    const rosteredByPos = new Map();
-    const rosteredDstTeams = []; // strings of defense names from Sleeper (e.g., "Denver Broncos")
-    for (const r of rosters) {
-      for (const entry of r.entries) {
-        const pos = entry.position;
-        if (!rosteredByPos.has(pos)) rosteredByPos.set(pos, new Set());
-        const set = rosteredByPos.get(pos);
-        const key = normalizeName(entry.name);
-        set.add(key);
-        const alias = NAME_ALIASES.get(key);
-        if (alias) set.add(alias);
-        if (pos === 'DST' || pos === 'DEF') {
-          rosteredDstTeams.push(entry.name.toLowerCase());
-        }
-      }
-    }
+    res.json(getHistory(leagueId, req.query.rosterId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load ranking history' });
+  }
+});
 
-    function isDstRostered(dstPlayerName, teamCode) {
-      // dstPlayerName like "Denver D/ST" -> extract team
-      const lower = String(dstPlayerName || '').toLowerCase();
-      let teamName = lower;
-      if (lower.includes(' d/st')) teamName = lower.split(' d/st')[0];
-      for (const rosterName of rosteredDstTeams) {
-        if (rosterName.includes(teamName) || (teamCode && rosterName.includes(String(teamCode).toLowerCase()))) {
-          return true;
-        }
-      }
-      return false;
-    }
+// Record a snapshot of the current power rankings now; needs the write secret
+app.post('/api/history', async (req, res) => {
+  try {
+    const denied = checkWriteAuth(req);
+    if (denied) return res.status(denied.status).json({ error: denied.error });
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    res.status(201).json(await takeSnapshot(leagueId));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to record ranking snapshot' });
+  }
+});
+
+// Weekly power-rankings report as markdown (default), csv or json; POST posts it to REPORT_WEBHOOK_URL
+app.get('/api/report', handleReportRequest);
+app.post('/api/report', handleReportRequest);
 
-    const available = [];
-    const allMaps = [projections.qbs, projections.rbs, projections.wrs, projections.tes, projections.ks, projections.dsts];
-    for (const map of allMaps) {
-      for (const rec of map.values()) {
-        const { player, position, fantasy, team } = rec;
-        if (position === 'DST') {
-          if (!isDstRostered(player, team)) {
-            available.push({ player, position, projected: fantasy, team });
-          }
-          continue;
-        }
-        const set = rosteredByPos.get(position);
-        const key = normalizeName(player);
-        const alias = NAME_ALIASES.get(key);
-        const taken = (set && (set.has(key) || (alias && set.has(alias)))) || false;
-        if (!taken) {
-          available.push({ player, position, projected: fantasy, team });
-        }
-      }
+// A week's waiver claims, free-agent moves and trades with each team's before/after strength
+app.get('/api/transactions', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+    if (!week) return res.status(400).json({ error: 'Transactions need a week' });
+
+    const data = await computeTransactions(leagueId, week);
+    setCacheHeaders(res, leagueCacheKeys(leagueId, week));
+    res.setHeader('X-Projection-Week', String(week));
+    res.json(data);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load transactions' });
+  }
+});
+
+// Live scores for a week as a server-sent event stream
+app.get('/api/live', async (req, res) => {
+  try {
+    if (!parseProvider(req.query)) return res.status(400).json({ error: 'Unknown provider' });
+    const leagueId = resolveLeagueId(req.query);
+    if (!leagueId) return res.status(400).json({ error: 'Missing LEAGUE_ID' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
+    if (!week) return res.status(400).json({ error: 'Live scoring needs a week' });
+
+    streamLiveScores(req, res, leagueId, week);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to start live scoring' });
+  }
+});
+
+// Every league a Sleeper user is in, with their team's standing in each
+app.get('/api/dashboard', async (req, res) => {
+  try {
+    // ?username=a&username=b arrives as an array
+    if (req.query.username !== undefined && typeof req.query.username !== 'string') {
+      return res.status(400).json({ error: 'Invalid username' });
     }
+    const username = (req.query.username || '').trim();
+    if (!username) return res.status(400).json({ error: 'Missing username' });
+
+    const week = await resolveRequestWeek(req.query);
+    if (Number.isNaN(week)) return res.status(400).json({ error: 'Invalid week' });
 
-    available.sort((a, b) => b.projected - a.projected);
-    res.json({ count: available.length, available });
+    const data = await computeDashboard(username, { week });
+    if (data.error) return res.status(400).json({ error: data.error });
+    setCacheHeaders(res, { user: userCacheKey(username), state: 'sleeper:state' });
+    res.setHeader('X-Projection-Week', week ? String(week) : 'season');
+    res.json(data);
   } catch (err) {
     console.error(err);
-    res.status(500).json({ error: 'Failed to compute available players' });
+    res.status(500).json({ error: 'Failed to load dashboard' });
   }
 });
 
@@ -264,6 +367,34 @@ app.get('/fa', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'public', 'fa.html'));
 });
 
+app.get('/matchups', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'matchups.html'));
+});
+
+app.get('/playoffs', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'playoffs.html'));
+});
+
+app.get('/trade', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'trade.html'));
+});
+
+app.get('/draft', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'draft.html'));
+});
+
+app.get('/dynasty', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'dynasty.html'));
+});
+
+app.get('/dashboard', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'dashboard.html'));
+});
+
+app.get('/transactions', (req, res) => {
+  res.sendFile(path.join(__dirname, '..', 'public', 'transactions.html'));
+});
+
 app.use(express.static(path.join(__dirname, '..', 'public')));
 
 const port = Number(process.env.PORT) || 3000;
@@ -0,0 +1,59 @@
+// Shared pieces for Monte Carlo simulations: a seedable RNG, normal draws and
+// per-position scoring variance.
+
+// Weekly standard deviation as a fraction of a player's projection
+const POSITION_CV = {
+  QB: 0.35,
+  RB: 0.5,
+  WR: 0.55,
+  TE: 0.6,
+  K: 0.45,
+  DST: 0.7,
+};
+const DEFAULT_CV = 0.5;
+// Floor so low projections still carry some boom/bust risk
+const MIN_SD = { QB: 4, RB: 3, WR: 3, TE: 2.5, K: 2.5, DST: 3 };
+
+function playerSd(position, projected) {
+  const cv = POSITION_CV[position] || DEFAULT_CV;
+  return Math.max(MIN_SD[position] || 2.5, Math.abs(projected) * cv);
+}
+
+// mulberry32: small, fast and reproducible for a given seed
+function createRng(seed) {
+  let a = (seed === undefined || seed === null ? Math.floor(Math.random() * 2 ** 32) : Number(seed)) >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal draw (Box-Muller)
+function normal(rng) {
+  let u = 0;
+  while (u === 0) u = rng();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng());
+}
+
+// Value at quantile q (0..1) of an ascending-sorted array
+function quantile(sorted, q) {
+  if (!sorted.length) return 0;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.round(q * (sorted.length - 1))));
+  return sorted[idx];
+}
+
+function round1(n) {
+  return Math.round(n * 10) / 10;
+}
+
+module.exports = {
+  POSITION_CV,
+  playerSd,
+  createRng,
+  normal,
+  quantile,
+  round1,
+};
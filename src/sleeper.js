@@ -0,0 +1,222 @@
+// Sleeper adapter: the league provider the app was built on, so its payloads
+// are the shapes every other provider translates into (see providers.js).
+const axios = require('axios');
+const { TTL, getCache } = require('./cache');
+const { playerStatus } = require('./status');
+const { fromSleeperPosition } = require('./positions');
+
+const SLEEPER_API = 'https://api.sleeper.app/v1';
+// The NFL schedule with live game status isn't part of the versioned API
+const SLEEPER_SCHEDULE_API = 'https://api.sleeper.app/schedule/nfl';
+const DEFAULT_LEAGUE_ID = '1257482024906657792';
+
+// Cache keys for each Sleeper payload behind a league's responses
+function sleeperCacheKeys(leagueId) {
+  return {
+    players: 'sleeper:players',
+    league: `sleeper:league:${leagueId}`,
+    users: `sleeper:users:${leagueId}`,
+    rosters: `sleeper:rosters:${leagueId}`,
+  };
+}
+
+async function getCached(key, url, ttl, fallback) {
+  return getCache().getOrLoad(key, async () => {
+    const res = await axios.get(url);
+    return res.data || fallback;
+  }, { ttl });
+}
+
+async function fetchSleeperPlayers() {
+  return getCached('sleeper:players', `${SLEEPER_API}/players/nfl`, TTL.players, {});
+}
+
+// Current NFL season and week
+async function fetchSleeperState() {
+  return getCached('sleeper:state', `${SLEEPER_API}/state/nfl`, TTL.state, {});
+}
+
+async function fetchSleeperLeague(leagueId) {
+  return getCached(sleeperCacheKeys(leagueId).league, `${SLEEPER_API}/league/${leagueId}`, TTL.league, {});
+}
+
+function matchupsCacheKey(leagueId, week) {
+  return `sleeper:matchups:${leagueId}:${week}`;
+}
+
+// Head-to-head pairings and scores for one week
+async function fetchSleeperMatchups(leagueId, week) {
+  return getCached(matchupsCacheKey(leagueId, week), `${SLEEPER_API}/league/${leagueId}/matchups/${week}`, TTL.matchups, []);
+}
+
+function scheduleCacheKey(season) {
+  return `sleeper:schedule:${season}`;
+}
+
+// Regular-season NFL games: [{ week, home, away, status: 'pre_game' | 'in_progress' | 'complete', date }]
+async function fetchSleeperNflSchedule(season) {
+  return getCached(scheduleCacheKey(season), `${SLEEPER_SCHEDULE_API}/regular/${season}`, TTL.matchups, []);
+}
+
+function userCacheKey(username) {
+  return `sleeper:user:${String(username).trim().toLowerCase()}`;
+}
+
+// Account for a username (or user id); null when Sleeper has no such user
+async function fetchSleeperUser(username) {
+  return getCached(userCacheKey(username), `${SLEEPER_API}/user/${encodeURIComponent(String(username).trim())}`, TTL.users, null);
+}
+
+// NFL leagues a user is in for one season
+async function fetchSleeperUserLeagues(userId, season) {
+  return getCached(`sleeper:user:${userId}:leagues:${season}`, `${SLEEPER_API}/user/${userId}/leagues/nfl/${season}`, TTL.league, []);
+}
+
+// Waiver claims, free-agent moves and trades processed for one week
+async function fetchSleeperTransactions(leagueId, week) {
+  return getCached(`sleeper:transactions:${leagueId}:${week}`, `${SLEEPER_API}/league/${leagueId}/transactions/${week}`, TTL.rosters, []);
+}
+
+// Every draft the league has held or scheduled, newest first
+async function fetchSleeperDrafts(leagueId) {
+  return getCached(`sleeper:drafts:${leagueId}`, `${SLEEPER_API}/league/${leagueId}/drafts`, TTL.drafts, []);
+}
+
+// Draft settings, order and status; kept as short as the picks while drafting
+async function fetchSleeperDraft(draftId) {
+  return getCached(`sleeper:draft:${draftId}`, `${SLEEPER_API}/draft/${draftId}`, TTL.draftPicks, {});
+}
+
+async function fetchSleeperDraftPicks(draftId) {
+  return getCached(`sleeper:draft:${draftId}:picks`, `${SLEEPER_API}/draft/${draftId}/picks`, TTL.draftPicks, []);
+}
+
+// A draft's picks that changed hands before being made: { season, round, roster_id, owner_id, previous_owner_id },
+// where roster_id is the pick's original team and owner_id the one holding it now
+async function fetchSleeperDraftTradedPicks(draftId) {
+  return getCached(`sleeper:draft:${draftId}:traded_picks`, `${SLEEPER_API}/draft/${draftId}/traded_picks`, TTL.draftPicks, []);
+}
+
+// Future and current-season picks that changed hands: { season, round, roster_id, owner_id }
+async function fetchSleeperTradedPicks(leagueId) {
+  return getCached(`sleeper:traded_picks:${leagueId}`, `${SLEEPER_API}/league/${leagueId}/traded_picks`, TTL.rosters, []);
+}
+
+async function fetchSleeperUsers(leagueId) {
+  return getCached(sleeperCacheKeys(leagueId).users, `${SLEEPER_API}/league/${leagueId}/users`, TTL.users, []);
+}
+
+function normalizeSleeperUsers(users) {
+  return (users || []).map(u => ({
+    userId: String(u.user_id),
+    displayName: u.display_name || null,
+    teamName: u.metadata?.team_name || u.display_name || null,
+  }));
+}
+
+async function fetchSleeperLeagueRosters(leagueId) {
+  const [users, rawRosters, players] = await Promise.all([
+    fetchSleeperUsers(leagueId),
+    getCached(sleeperCacheKeys(leagueId).rosters, `${SLEEPER_API}/league/${leagueId}/rosters`, TTL.rosters, []),
+    fetchSleeperPlayers(),
+  ]);
+  return normalizeSleeperRosters(users, rawRosters, players);
+}
+
+// Raw users, rosters and the player database -> the app's roster shape.
+// Kept free of requests so recorded payloads can be replayed through it.
+function normalizeSleeperRosters(users, rawRosters, players) {
+  // Map user_id -> display_name/team name
+  const usersById = new Map();
+  for (const u of users || []) {
+    usersById.set(String(u.user_id), u);
+  }
+
+  const rosters = [];
+  for (const r of rawRosters || []) {
+    const owner = usersById.get(String(r.owner_id));
+    const teamName = owner?.metadata?.team_name || owner?.display_name || `Team ${r.roster_id}`;
+    const allIds = (r.players || []).map(String);
+    // Sleeper orders starters by lineup slot and uses '0' for an empty slot
+    const starters = (r.starters || []).map(String);
+    const startersSet = new Set(starters);
+    // Players parked in IR or taxi slots can't be started
+    const rosterSlots = new Map([
+      ...(r.taxi || []).map(id => [String(id), 'TAXI']),
+      ...(r.reserve || []).map(id => [String(id), 'IR']),
+    ]);
+
+    const entries = [];
+    for (const pid of allIds) {
+      const p = (players || {})[pid];
+      if (!p) continue;
+      entries.push(normalizeSleeperPlayer(pid, p, { isStarter: startersSet.has(pid), rosterSlot: rosterSlots.get(pid) || null }));
+    }
+
+    rosters.push({
+      rosterId: r.roster_id,
+      ownerId: r.owner_id ? String(r.owner_id) : null,
+      teamName,
+      starters,
+      entries,
+      record: readRecord(r.settings),
+      waiverBudgetUsed: Number((r.settings || {}).waiver_budget_used) || 0,
+    });
+  }
+
+  return rosters;
+}
+
+// One player from Sleeper's database as a roster entry
+function normalizeSleeperPlayer(pid, p, { isStarter = false, rosterSlot = null } = {}) {
+  // Build display name and position
+  const fullName = [p.first_name, p.last_name].filter(Boolean).join(' ').trim() || p.full_name || p.last_name || pid;
+  const position = fromSleeperPosition(p.position) || p.position || 'FLEX';
+  const team = p.team || null;
+  const fantasyPositions = p.fantasy_positions || [];
+  const status = playerStatus(p);
+  // Ages and experience drive dynasty values; defenses have neither
+  const age = Number(p.age) || null;
+  const yearsExp = p.years_exp == null ? null : Number(p.years_exp);
+  return { id: pid, name: fullName, position, team, fantasyPositions, isStarter, status, rosterSlot, age, yearsExp };
+}
+
+// Standings from a roster's `settings`; Sleeper splits points into whole and hundredths
+function readRecord(settings) {
+  const s = settings || {};
+  const points = (whole, decimal) => (Number(whole) || 0) + (Number(decimal) || 0) / 100;
+  return {
+    wins: Number(s.wins) || 0,
+    losses: Number(s.losses) || 0,
+    ties: Number(s.ties) || 0,
+    pointsFor: points(s.fpts, s.fpts_decimal),
+    pointsAgainst: points(s.fpts_against, s.fpts_against_decimal),
+  };
+}
+
+module.exports = {
+  SLEEPER_API,
+  DEFAULT_LEAGUE_ID,
+  sleeperCacheKeys,
+  matchupsCacheKey,
+  scheduleCacheKey,
+  userCacheKey,
+  fetchSleeperPlayers,
+  fetchSleeperState,
+  fetchSleeperLeague,
+  fetchSleeperMatchups,
+  fetchSleeperNflSchedule,
+  fetchSleeperUser,
+  fetchSleeperUserLeagues,
+  fetchSleeperTransactions,
+  fetchSleeperDrafts,
+  fetchSleeperDraft,
+  fetchSleeperDraftPicks,
+  fetchSleeperDraftTradedPicks,
+  fetchSleeperTradedPicks,
+  fetchSleeperUsers,
+  fetchSleeperLeagueRosters,
+  normalizeSleeperUsers,
+  normalizeSleeperRosters,
+  normalizeSleeperPlayer,
+};
@@ -0,0 +1,230 @@
+// Strength of schedule: adjusts projections for the NFL opponents each player
+// faces and scores how soft the rest of the season and the fantasy playoffs look.
+//
+// data/nfl_schedule.json (or SCHEDULE_FILE): { season: { TEAM: [week 1 opponent, ...] } }
+// with null for the bye; a leading "@" on away games is ignored. Seasons the
+// file leaves out come from Sleeper's NFL schedule.
+// data/defense_ranks.json (or DEFENSE_RANKS_FILE): { season: { QB: { TEAM: rank }, ... } }
+// where 1 is the hardest matchup for the position: the defense that allows it
+// the fewest points, or under DST the offense that scores the most. Seasons the
+// file leaves out are ranked from the projections themselves (see projectedRanks).
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, mapProjections } = require('./projections');
+const { REGULAR_SEASON_WEEKS, firstRemainingWeek } = require('./weeks');
+const { fetchSleeperNflSchedule } = require('./sleeper');
+const { loadPositions, recordTeam } = require('./positions');
+const { toTeamAbbr } = require('./nfl_teams');
+const { round1 } = require('./simulation');
+
+const SCHEDULE_FILE = (process.env.SCHEDULE_FILE || '').trim() || path.join(DATA_DIR, 'nfl_schedule.json');
+const DEFENSE_RANKS_FILE = (process.env.DEFENSE_RANKS_FILE || '').trim() || path.join(DATA_DIR, 'defense_ranks.json');
+
+const NFL_TEAM_COUNT = 32;
+// The softest matchup adds this share to a projection and the hardest takes it off
+const MAX_ADJUSTMENT = 0.1;
+
+let schedule = null;
+let defenseRanks = null;
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`sos: could not read ${file}: ${e.message}`);
+    return {};
+  }
+}
+
+function loadSchedule() {
+  if (!schedule) schedule = readJson(SCHEDULE_FILE);
+  return schedule;
+}
+
+function loadDefenseRanks() {
+  if (!defenseRanks) defenseRanks = readJson(DEFENSE_RANKS_FILE);
+  return defenseRanks;
+}
+
+// Sleeper's games -> the schedule file's shape for one season
+function scheduleFromGames(games) {
+  const teams = {};
+  const add = (team, week, opponent) => {
+    if (!team || !opponent || !(week >= 1 && week <= REGULAR_SEASON_WEEKS)) return;
+    if (!teams[team]) teams[team] = new Array(REGULAR_SEASON_WEEKS).fill(null);
+    teams[team][week - 1] = opponent;
+  };
+  for (const game of games || []) {
+    const home = toTeamAbbr(game.home);
+    const away = toTeamAbbr(game.away);
+    add(home, Number(game.week), away);
+    add(away, Number(game.week), `@${home}`);
+  }
+  return teams;
+}
+
+// Makes sure `season` has a schedule, from Sleeper when the file has none.
+// Without either, every game is unrated and multipliers stay at 1.
+async function loadSeasonSchedule(season) {
+  const all = loadSchedule();
+  const key = String(season);
+  if (all[key]) return all[key];
+  const games = await fetchSleeperNflSchedule(key).catch((err) => {
+    console.warn(`sos: no NFL schedule for ${key}: ${err.message}`);
+    return [];
+  });
+  const teams = scheduleFromGames(games);
+  // An empty answer is retried on the next request
+  if (Object.keys(teams).length) all[key] = teams;
+  return teams;
+}
+
+// TEAM -> 1..32 in `order`, spread over the full range when fewer teams are known
+function rankTable(values, order) {
+  const sorted = [...values.entries()].sort((a, b) => order(a[1], b[1]));
+  if (sorted.length < 2) return {};
+  const step = (NFL_TEAM_COUNT - 1) / (sorted.length - 1);
+  return Object.fromEntries(sorted.map(([team], i) => [team, Math.round(1 + i * step)]));
+}
+
+// Defense ranks read off the projections, for seasons the ranks file doesn't
+// cover. Every offensive position and kickers face defenses ranked by the
+// points their DST row is projected to allow (fewest is hardest); team
+// defenses face offenses ranked by their players' projected points (most is
+// hardest). IDP positions are left unrated.
+function projectedRanks(projections) {
+  const allowed = new Map();
+  const scored = new Map();
+  const scoring = new Map(loadPositions().map(p => [p.position, p.scoring]));
+  for (const map of Object.values(projections)) {
+    for (const rec of map.values()) {
+      const kind = scoring.get(rec.position);
+      if (kind === 'defense') {
+        const team = recordTeam(rec);
+        const points = Number((rec.stats || {}).ptsAllowed);
+        if (team && Number.isFinite(points)) allowed.set(team, points);
+      } else if (kind === 'offense') {
+        const team = toTeamAbbr(rec.team);
+        if (team) scored.set(team, (scored.get(team) || 0) + (Number(rec.fantasy) || 0));
+      }
+    }
+  }
+  const defenses = rankTable(allowed, (a, b) => a - b);
+  const offenses = rankTable(scored, (a, b) => b - a);
+  const ranks = {};
+  for (const { position, scoring: kind } of loadPositions()) {
+    if (kind === 'offense' || kind === 'kicker') ranks[position] = defenses;
+    else if (kind === 'defense') ranks[position] = offenses;
+  }
+  return ranks;
+}
+
+// Opponent's abbreviation for `team` in `week`, or null on a bye or without a schedule
+function opponentFor(team, week, season) {
+  const weeks = (loadSchedule()[String(season)] || {})[team];
+  const raw = weeks ? weeks[week - 1] : null;
+  return raw ? toTeamAbbr(String(raw).replace(/^@/, '')) : null;
+}
+
+// ranks: { POSITION: { TEAM: rank } } for the season
+function opponentRank(position, opponent, ranks) {
+  const table = (ranks || {})[position] || {};
+  const rank = Number(table[opponent]);
+  return Number.isFinite(rank) && rank > 0 ? rank : null;
+}
+
+// 1 (hardest) -> 1 - MAX_ADJUSTMENT, 32 (softest) -> 1 + MAX_ADJUSTMENT
+function rankMultiplier(rank) {
+  const mid = (NFL_TEAM_COUNT + 1) / 2;
+  const clamped = Math.min(NFL_TEAM_COUNT, Math.max(1, rank));
+  return 1 + MAX_ADJUSTMENT * (clamped - mid) / (mid - 1);
+}
+
+function average(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+// Average opponent rank (higher is softer) and projection multiplier over
+// `weeks`; null when none of those games can be rated. defenseRanks defaults
+// to the ranks file's table for the season.
+function scheduleStrength(team, position, weeks, season, defenseRanks = loadDefenseRanks()[String(season)]) {
+  const ranks = [];
+  for (const week of weeks) {
+    const opponent = opponentFor(team, week, season);
+    const rank = opponent ? opponentRank(position, opponent, defenseRanks) : null;
+    if (rank) ranks.push(rank);
+  }
+  if (!ranks.length) return null;
+  return {
+    games: ranks.length,
+    rank: round1(average(ranks)),
+    multiplier: Math.round(average(ranks.map(rankMultiplier)) * 1000) / 1000,
+  };
+}
+
+function weekRange(from, to) {
+  const weeks = [];
+  for (let w = from; w <= to; w++) weeks.push(w);
+  return weeks;
+}
+
+// Fantasy weeks still to play, and the playoff weeks, from the league's settings
+function scheduleWindows(league, state) {
+  const settings = league.settings || {};
+  const playoffStart = Number(settings.playoff_week_start) || 15;
+  const rounds = Math.ceil(Math.log2(Math.max(2, Number(settings.playoff_teams) || 6)));
+  const lastWeek = Math.min(REGULAR_SEASON_WEEKS, playoffStart + rounds - 1);
+  return {
+    restOfSeason: weekRange(firstRemainingWeek(league, state, playoffStart), lastWeek),
+    playoffs: weekRange(playoffStart, lastWeek),
+  };
+}
+
+// Adds `schedule` to every record: { multiplier, restOfSeason, playoffs }. The
+// multiplier is for the view: the week's opponent, or the rest-of-season average.
+async function applySchedule(projections, { league, state, week }) {
+  const season = league.season;
+  const windows = scheduleWindows(league, state);
+  await loadSeasonSchedule(season);
+  const ranks = loadDefenseRanks()[String(season)] || projectedRanks(projections);
+  return mapProjections(projections, (rec) => {
+    const team = toTeamAbbr(rec.team);
+    const restOfSeason = team ? scheduleStrength(team, rec.position, windows.restOfSeason, season, ranks) : null;
+    const playoffs = team ? scheduleStrength(team, rec.position, windows.playoffs, season, ranks) : null;
+    let multiplier = restOfSeason ? restOfSeason.multiplier : 1;
+    if (week) {
+      // A weekly file's own opponent rank wins over the schedule
+      const opponent = team ? opponentFor(team, week, season) : null;
+      const rank = rec.opponentRank || (opponent ? opponentRank(rec.position, opponent, ranks) : null);
+      multiplier = rank ? rankMultiplier(rank) : 1;
+    }
+    return { ...rec, schedule: { multiplier, restOfSeason, playoffs } };
+  });
+}
+
+// A lineup's schedule: its starters' scores averaged
+function lineupSchedule(starters) {
+  const combine = (key) => {
+    const scores = starters.map(p => p.schedule && p.schedule[key]).filter(Boolean);
+    if (!scores.length) return null;
+    return {
+      rank: round1(average(scores.map(s => s.rank))),
+      multiplier: Math.round(average(scores.map(s => s.multiplier)) * 1000) / 1000,
+    };
+  };
+  return { restOfSeason: combine('restOfSeason'), playoffs: combine('playoffs') };
+}
+
+module.exports = {
+  MAX_ADJUSTMENT,
+  loadSchedule,
+  loadSeasonSchedule,
+  loadDefenseRanks,
+  projectedRanks,
+  opponentFor,
+  rankMultiplier,
+  scheduleStrength,
+  scheduleWindows,
+  applySchedule,
+  lineupSchedule,
+};
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getPosition } = require('../positions');
+
+// Header spellings seen on projection sites -> our CSV column names.
+// Keys are lowercased with everything but letters and digits stripped.
+const HEADER_ALIASES = {
+  player: 'player',
+  name: 'player',
+  playername: 'player',
+  team: 'team',
+  tm: 'team',
+  opp: 'gameInfo',
+  opponent: 'gameInfo',
+  game: 'gameInfo',
+  gameinfo: 'gameInfo',
+  salary: 'salary',
+  value: 'value',
+  compatt: 'completionsAttempts',
+  cmpatt: 'completionsAttempts',
+  completionsattempts: 'completionsAttempts',
+  completions: 'completions',
+  cmp: 'completions',
+  passatt: 'passingAttempts',
+  passingattempts: 'passingAttempts',
+  passyds: 'passingYards',
+  passingyards: 'passingYards',
+  passtd: 'passingTouchdowns',
+  passtds: 'passingTouchdowns',
+  passingtouchdowns: 'passingTouchdowns',
+  interceptionsthrown: 'interceptionsThrown',
+  rushatt: 'rushingAttempts',
+  car: 'rushingAttempts',
+  carries: 'rushingAttempts',
+  rushingattempts: 'rushingAttempts',
+  rushyds: 'rushingYards',
+  rushingyards: 'rushingYards',
+  rushtd: 'rushingTouchdowns',
+  rushtds: 'rushingTouchdowns',
+  rushingtouchdowns: 'rushingTouchdowns',
+  rec: 'receptions',
+  receptions: 'receptions',
+  tgt: 'targets',
+  tgts: 'targets',
+  targets: 'targets',
+  recyds: 'receivingYards',
+  receivingyards: 'receivingYards',
+  rectd: 'receivingTouchdowns',
+  rectds: 'receivingTouchdowns',
+  receivingtouchdowns: 'receivingTouchdowns',
+  xpa: 'extraPointsAttempted',
+  extrapointsattempted: 'extraPointsAttempted',
+  xpm: 'extraPointsMade',
+  xp: 'extraPointsMade',
+  extrapointsmade: 'extraPointsMade',
+  fga: 'fieldGoalsAttempted',
+  fieldgoalsattempted: 'fieldGoalsAttempted',
+  fgm: 'fieldGoalsMade',
+  fg: 'fieldGoalsMade',
+  fieldgoalsmade: 'fieldGoalsMade',
+  fg019: 'fieldGoalsMade0To19',
+  fieldgoalsmade0to19: 'fieldGoalsMade0To19',
+  fg2029: 'fieldGoalsMade20To29',
+  fieldgoalsmade20to29: 'fieldGoalsMade20To29',
+  fg3039: 'fieldGoalsMade30To39',
+  fieldgoalsmade30to39: 'fieldGoalsMade30To39',
+  fg4049: 'fieldGoalsMade40To49',
+  fieldgoalsmade40to49: 'fieldGoalsMade40To49',
+  fg50: 'fieldGoalsMade50Plus',
+  fg50plus: 'fieldGoalsMade50Plus',
+  fieldgoalsmade50plus: 'fieldGoalsMade50Plus',
+  pa: 'pointsAllowed',
+  ptsallowed: 'pointsAllowed',
+  pointsallowed: 'pointsAllowed',
+  ya: 'yardsAllowed',
+  ydsallowed: 'yardsAllowed',
+  yardsallowed: 'yardsAllowed',
+  sack: 'sacks',
+  sacks: 'sacks',
+  defint: 'interceptions',
+  interceptions: 'interceptions',
+  fr: 'fumblesRecovered',
+  fumrec: 'fumblesRecovered',
+  fumblesrecovered: 'fumblesRecovered',
+  deftd: 'touchdowns',
+  touchdowns: 'touchdowns',
+  solo: 'soloTackles',
+  tklsolo: 'soloTackles',
+  solotackles: 'soloTackles',
+  ast: 'assistedTackles',
+  tklast: 'assistedTackles',
+  assistedtackles: 'assistedTackles',
+  tfl: 'tacklesForLoss',
+  tacklesforloss: 'tacklesForLoss',
+  qbhit: 'qbHits',
+  qbhits: 'qbHits',
+  ff: 'forcedFumbles',
+  forcedfumbles: 'forcedFumbles',
+  pd: 'passesDefended',
+  passdef: 'passesDefended',
+  passesdefended: 'passesDefended',
+  sfty: 'safeties',
+  safeties: 'safeties',
+  fpts: 'fantasy',
+  fantasy: 'fantasy',
+  fantasypoints: 'fantasy',
+  points: 'fantasy',
+  pts: 'fantasy',
+  rank: 'positionRank',
+  posrank: 'positionRank',
+  positionrank: 'positionRank',
+  ovr: 'overallRank',
+  overallrank: 'overallRank',
+  opponentdefensiverank: 'opponentDefensiveRank',
+  opponentoffensiverank: 'opponentOffensiveRank',
+};
+
+// Short headers whose meaning depends on the stat line, by the position's
+// scoring in the registry; checked before HEADER_ALIASES. null leaves a header
+// unmapped where it could be more than one column.
+const SCORING_HEADER_ALIASES = {
+  offense: {
+    int: 'interceptionsThrown',
+    ints: 'interceptionsThrown',
+    // Passing, rushing or receiving
+    td: null,
+    tds: null,
+  },
+  defense: {
+    int: 'interceptions',
+    ints: 'interceptions',
+    td: 'touchdowns',
+    tds: 'touchdowns',
+    // Team defense tables use it for points allowed as often as for fantasy points
+    pts: null,
+  },
+  idp: {
+    int: 'interceptions',
+    ints: 'interceptions',
+    td: 'touchdowns',
+    tds: 'touchdowns',
+  },
+};
+
+function headerKey(label) {
+  return String(label || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Our column for a source header, read as `position`'s stat line when given
+function mapHeader(label, position) {
+  const key = headerKey(label);
+  const entry = position ? getPosition(position) : null;
+  const overrides = SCORING_HEADER_ALIASES[entry ? entry.scoring : null] || {};
+  if (Object.prototype.hasOwnProperty.call(overrides, key)) return overrides[key];
+  return HEADER_ALIASES[key] || null;
+}
+
+// Rename a source record's keys to our column names, dropping unknown ones
+function mapRecord(record, position) {
+  const out = {};
+  for (const [key, value] of Object.entries(record || {})) {
+    const column = mapHeader(key, position);
+    if (column && out[column] === undefined) out[column] = value;
+  }
+  return out;
+}
+
+// Load one position's raw payload, from a saved fixture when `fixturesDir` is set
+async function readSource(position, options, extension) {
+  if (options.fixturesDir) {
+    const file = path.join(options.fixturesDir, `${position}.${extension}`);
+    return fs.promises.readFile(file, 'utf8');
+  }
+  if (!options.url) throw new Error(`No URL configured for ${position}`);
+  const url = options.url.replace(/\{position\}/g, encodeURIComponent(position.toLowerCase()));
+  const res = await axios.get(url, { responseType: 'text', transformResponse: [(data) => data] });
+  return res.data;
+}
+
+module.exports = {
+  HEADER_ALIASES,
+  SCORING_HEADER_ALIASES,
+  mapHeader,
+  mapRecord,
+  readSource,
+};
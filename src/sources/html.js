@@ -0,0 +1,51 @@
+const cheerio = require('cheerio');
+const { mapHeader, readSource } = require('./common');
+
+// Scrapes a projections table out of an HTML page. The first table matching
+// `selector` is read; header cells are mapped to our columns by name, as
+// `position`'s stat line.
+function parseHtml(html, position, options = {}) {
+  const $ = cheerio.load(html);
+  const table = $(options.selector || 'table').first();
+  if (!table.length) throw new Error('No projections table found');
+
+  let headerCells = table.find('thead tr').last().find('th, td');
+  let bodyRows = table.find('tbody tr');
+  if (!headerCells.length) {
+    // Tables without <thead>: treat the first row as the header
+    const rows = table.find('tr');
+    headerCells = rows.first().find('th, td');
+    bodyRows = rows.slice(1);
+  }
+  // Not cheerio's map, which drops the nulls of unknown headers and shifts every column after them
+  const columns = headerCells.toArray().map(th => mapHeader($(th).text(), position));
+
+  const rows = [];
+  bodyRows.each((_, tr) => {
+    const cells = $(tr).find('td');
+    if (!cells.length) return;
+    const row = {};
+    cells.each((i, td) => {
+      const column = columns[i];
+      if (!column || row[column] !== undefined) return;
+      const cell = $(td);
+      // Player cells often carry team/position badges next to a link
+      const link = column === 'player' ? cell.find('a').first() : null;
+      row[column] = (link && link.length ? link.text() : cell.text()).replace(/\s+/g, ' ').trim();
+    });
+    if (row.player) rows.push(row);
+  });
+  return rows;
+}
+
+async function fetchPosition(position, options = {}) {
+  const html = await readSource(position, options, 'html');
+  return parseHtml(html, position, options);
+}
+
+module.exports = {
+  name: 'html',
+  description: 'HTML projections table (cheerio)',
+  parseHtml,
+  fetchPosition,
+};
@@ -0,0 +1,23 @@
+// Projection source adapters. Each adapter exposes
+// `fetchPosition(position, options) -> Promise<row[]>` where rows are keyed by
+// our CSV column names. Register new sources here.
+const html = require('./html');
+const json = require('./json');
+
+const SOURCES = new Map([
+  [html.name, html],
+  [json.name, json],
+]);
+
+function getSource(name) {
+  const source = SOURCES.get(String(name || '').toLowerCase());
+  if (!source) {
+    throw new Error(`Unknown projections source "${name}" (available: ${[...SOURCES.keys()].join(', ')})`);
+  }
+  return source;
+}
+
+module.exports = {
+  SOURCES,
+  getSource,
+};
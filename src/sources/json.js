@@ -0,0 +1,25 @@
+const { mapRecord, readSource } = require('./common');
+
+// Reads projections from a JSON payload: either an array of player objects or
+// an object holding one under `players`, `projections` or `data`. Keys are
+// read as `position`'s stat line.
+function parseJson(text, position) {
+  const payload = typeof text === 'string' ? JSON.parse(text) : text;
+  const list = Array.isArray(payload)
+    ? payload
+    : payload?.players || payload?.projections || payload?.data || [];
+  if (!Array.isArray(list)) throw new Error('JSON payload has no player list');
+  return list.map(record => mapRecord(record, position)).filter(row => row.player);
+}
+
+async function fetchPosition(position, options = {}) {
+  const text = await readSource(position, options, 'json');
+  return parseJson(text, position);
+}
+
+module.exports = {
+  name: 'json',
+  description: 'JSON projections feed',
+  parseJson,
+  fetchPosition,
+};
@@ -0,0 +1,103 @@
+// Player availability: turns Sleeper's injury and roster status into a
+// projection discount. Discounts live in data/status_discounts.json (or
+// STATUS_DISCOUNTS_FILE), with separate tables for weekly and season-long views;
+// a status the file leaves out isn't discounted.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./projections');
+const { normalizeName, recordKey } = require('./identity');
+const { fromSleeperPosition, matchesByTeam, recordTeam } = require('./positions');
+const { toTeamAbbr } = require('./nfl_teams');
+
+const STATUS_DISCOUNTS_FILE = (process.env.STATUS_DISCOUNTS_FILE || '').trim() || path.join(DATA_DIR, 'status_discounts.json');
+
+// Short labels for badges
+const STATUS_BADGES = { Questionable: 'Q', Doubtful: 'D', Out: 'O', IR: 'IR', PUP: 'PUP', Suspended: 'SUS', 'No Team': 'FA' };
+
+// Sleeper's injury_status codes
+const INJURY_STATUSES = {
+  Questionable: 'Questionable',
+  Doubtful: 'Doubtful',
+  Out: 'Out',
+  COV: 'Out',
+  DNR: 'Out',
+  IR: 'IR',
+  PUP: 'PUP',
+  Sus: 'Suspended',
+};
+
+let discounts = null;
+
+function loadStatusDiscounts() {
+  if (discounts) return discounts;
+  let fromFile = {};
+  try {
+    fromFile = JSON.parse(fs.readFileSync(STATUS_DISCOUNTS_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`status: could not read ${STATUS_DISCOUNTS_FILE}: ${e.message}`);
+  }
+  discounts = { weekly: fromFile.weekly || {}, season: fromFile.season || {} };
+  return discounts;
+}
+
+// One status label for a Sleeper player record, or null when healthy
+function playerStatus(p) {
+  if (!p) return null;
+  const injury = INJURY_STATUSES[p.injury_status];
+  if (injury) return injury;
+  if (p.status === 'Injured Reserve') return 'IR';
+  if (p.status === 'Physically Unable to Perform') return 'PUP';
+  // Team defenses carry their own abbreviation; anyone else without a team is unsigned or retired
+  if (!p.team && !matchesByTeam(fromSleeperPosition(p.position))) return 'No Team';
+  return null;
+}
+
+function statusMultiplier(status, weekly) {
+  if (!status) return 1;
+  const table = loadStatusDiscounts()[weekly ? 'weekly' : 'season'];
+  const value = Number(table[status]);
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 1;
+}
+
+// Same player, position and NFL team; team-matched positions go by team alone
+function statusKey(name, position, team) {
+  return matchesByTeam(position) ? `${position}:${team}` : `${position}:${team}:${normalizeName(name)}`;
+}
+
+// recordKey -> status for projection rows held by unrostered Sleeper players,
+// so free agents get the same discounts as rostered players. A row takes a
+// player's status only through the crosswalk's saved match or an exact name at
+// the same position and NFL team: no fuzzy matching, and nothing is written
+// back to the crosswalk.
+function freeAgentStatuses(players, rosters, projections, resolver) {
+  const rostered = new Set();
+  for (const r of rosters) {
+    for (const entry of r.entries) rostered.add(String(entry.id));
+  }
+  const rows = new Map();
+  for (const map of Object.values(projections)) {
+    for (const rec of map.values()) {
+      const team = recordTeam(rec);
+      if (team) rows.set(statusKey(rec.player, rec.position, team), rec);
+    }
+  }
+  const statuses = new Map();
+  for (const [id, p] of Object.entries(players || {})) {
+    if (rostered.has(id) || !p.team) continue;
+    const status = playerStatus(p);
+    if (!status) continue;
+    const position = fromSleeperPosition(p.position) || p.position;
+    const name = [p.first_name, p.last_name].filter(Boolean).join(' ').trim();
+    const rec = resolver.saved(id) || rows.get(statusKey(name, position, toTeamAbbr(p.team)));
+    if (rec) statuses.set(recordKey(rec), status);
+  }
+  return statuses;
+}
+
+module.exports = {
+  STATUS_BADGES,
+  loadStatusDiscounts,
+  playerStatus,
+  statusMultiplier,
+  freeAgentStatuses,
+};
@@ -0,0 +1,116 @@
+// Trade analyzer: re-values both rosters with the players swapped and reports
+// each side's change in projected points, power-ranking spot and lineup holes.
+const { loadLeagueContext, valueRoster, rankByPower } = require('./rankings');
+const { round1 } = require('./simulation');
+
+// "id1,id2" -> ['id1', 'id2']
+function parseIdList(value) {
+  return String(value || '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// Move players between two rosters. Outgoing starters leave an empty slot;
+// incoming players land on the active bench until the lineup is reset.
+function applyTrade(rosterA, rosterB, sendA, sendB) {
+  const move = (roster, outIds, partner, inIds) => {
+    const out = new Set(outIds.map(String));
+    const inSet = new Set(inIds.map(String));
+    const received = partner.entries
+      .filter(e => inSet.has(String(e.id)))
+      .map(e => ({ ...e, isStarter: false, rosterSlot: null }));
+    return {
+      ...roster,
+      starters: (roster.starters || []).map(id => (out.has(String(id)) ? '0' : id)),
+      entries: [...roster.entries.filter(e => !out.has(String(e.id))), ...received],
+    };
+  };
+  return [move(rosterA, sendA, rosterB, sendB), move(rosterB, sendB, rosterA, sendA)];
+}
+
+// Starting slots the trade leaves empty, plus roster size over the league limit
+function tradeWarnings(before, after, rosterSize, entryCount) {
+  const warnings = [];
+  after.optimalLineup.forEach((slot, idx) => {
+    if (!slot.id && before.optimalLineup[idx] && before.optimalLineup[idx].id) {
+      warnings.push(`No starter left for ${slot.slot}`);
+    }
+  });
+  if (rosterSize && entryCount > rosterSize) {
+    warnings.push(`Roster would hold ${entryCount} players, over the limit of ${rosterSize}; a drop is needed`);
+  }
+  return warnings;
+}
+
+function summarizePlayer(p) {
+  return { id: p.id, name: p.name, position: p.position, projected: round1(p.projected), onBye: p.onBye, status: p.status };
+}
+
+// trade: { rosterA, rosterB, sendA: [playerIds], sendB: [playerIds] }
+// Returns { error } when the trade doesn't match the league's rosters
+async function computeTrade(leagueId, trade, options = {}) {
+  const { league, rosters, resolver, week } = await loadLeagueContext(leagueId, options);
+  const rosterPositions = league.roster_positions;
+  const find = (id) => rosters.find(r => String(r.rosterId) === String(id));
+  const rosterA = find(trade.rosterA);
+  const rosterB = find(trade.rosterB);
+  if (!rosterA || !rosterB) return { error: 'Unknown roster' };
+  if (rosterA === rosterB) return { error: 'A trade needs two different rosters' };
+  if (!trade.sendA.length && !trade.sendB.length) return { error: 'No players in trade' };
+
+  const owns = (roster, ids) => ids.every(id => roster.entries.some(e => String(e.id) === String(id)));
+  if (!owns(rosterA, trade.sendA)) return { error: `Not all players sent by ${rosterA.teamName} are on that roster` };
+  if (!owns(rosterB, trade.sendB)) return { error: `Not all players sent by ${rosterB.teamName} are on that roster` };
+
+  const [afterA, afterB] = applyTrade(rosterA, rosterB, trade.sendA, trade.sendB);
+  const afterRosters = rosters.map((r) => {
+    if (r === rosterA) return afterA;
+    if (r === rosterB) return afterB;
+    return r;
+  });
+  const beforeValues = rosters.map(r => valueRoster(r, rosterPositions, resolver));
+  const afterValues = afterRosters.map((r, idx) => (r === rosters[idx] ? beforeValues[idx] : valueRoster(r, rosterPositions, resolver)));
+  resolver.save();
+
+  // Ranked like the power rankings, on both sides of the trade
+  const season = week ? await loadLeagueContext(leagueId) : null;
+  const [powerBefore, powerAfter] = await Promise.all([
+    rankByPower(leagueId, league, rosters, { valued: beforeValues, season }),
+    rankByPower(leagueId, league, afterRosters, { valued: afterValues, season }),
+  ]);
+  if (season) season.resolver.save();
+
+  const side = (roster, afterRoster, sends, receives) => {
+    const idx = rosters.indexOf(roster);
+    const before = beforeValues[idx];
+    const after = afterValues[idx];
+    const pick = (valued, ids) => valued.players.filter(p => ids.includes(String(p.id))).map(summarizePlayer);
+    const rankBefore = powerBefore.get(String(roster.rosterId)).rank;
+    const rankAfter = powerAfter.get(String(roster.rosterId)).rank;
+    return {
+      rosterId: roster.rosterId,
+      teamName: roster.teamName,
+      sends: pick(before, sends),
+      receives: pick(after, receives),
+      before: { projected: round1(before.totalProjected), rank: rankBefore },
+      after: { projected: round1(after.totalProjected), rank: rankAfter },
+      projectedChange: round1(after.totalProjected - before.totalProjected),
+      // Positive means moving up the rankings
+      rankChange: rankBefore - rankAfter,
+      optimalLineup: after.optimalLineup,
+      warnings: tradeWarnings(before, after, rosterPositions ? rosterPositions.length : 0, afterRoster.entries.filter(e => !e.rosterSlot).length),
+    };
+  };
+
+  return {
+    week,
+    teams: [
+      side(rosterA, afterA, trade.sendA, trade.sendB),
+      side(rosterB, afterB, trade.sendB, trade.sendA),
+    ],
+  };
+}
+
+module.exports = {
+  parseIdList,
+  applyTrade,
+  computeTrade,
+};
@@ -0,0 +1,155 @@
+// Trade finder: searches 1-for-1 and 2-for-1 swaps between one team and every
+// other roster for deals where both optimal lineups improve.
+const { SLOT_ELIGIBILITY, optimizeLineup } = require('./lineup');
+const { loadLeagueContext, estimateTeamPoints } = require('./rankings');
+const { round1 } = require('./simulation');
+
+// Only a team's most valuable players are offered or asked for
+const CANDIDATES_PER_TEAM = 15;
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+// Gains below this are projection noise, not a better lineup
+const MIN_GAIN = 0.1;
+
+// Starter points per dedicated slot (QB, RB, ...), ignoring flex slots
+function slotPoints(lineup) {
+  const points = {};
+  for (const { slot, player } of lineup) {
+    if (SLOT_ELIGIBILITY[slot].length !== 1) continue;
+    points[slot] = (points[slot] || 0) + (player ? player.projected : 0);
+  }
+  return points;
+}
+
+function prepareTeam(roster, rosterPositions, resolver) {
+  const { details } = estimateTeamPoints(roster, resolver);
+  const base = optimizeLineup(details, rosterPositions);
+  // Lineup cost of losing each player alone; losing them alongside others costs at least as much
+  const candidates = details
+    .filter(p => p.projected > 0)
+    .sort((a, b) => b.projected - a.projected)
+    .slice(0, CANDIDATES_PER_TEAM)
+    .map(p => ({ ...p, loss: base.total - optimizeLineup(details.filter(d => d !== p), rosterPositions).total }));
+  return { roster, details, base, slots: slotPoints(base.lineup), candidates, active: details.filter(p => !p.rosterSlot).length };
+}
+
+// The dedicated slot where a team trails the league average by the widest ratio
+function weakestSlot(team, teams) {
+  let weakest = null;
+  for (const [slot, projected] of Object.entries(team.slots)) {
+    const average = teams.reduce((sum, t) => sum + (t.slots[slot] || 0), 0) / teams.length;
+    if (average <= 0) continue;
+    const ratio = projected / average;
+    if (!weakest || ratio < weakest.ratio) weakest = { slot, ratio, projected, average };
+  }
+  if (!weakest) return null;
+  return {
+    slot: weakest.slot,
+    positions: SLOT_ELIGIBILITY[weakest.slot],
+    projected: round1(weakest.projected),
+    leagueAverage: round1(weakest.average),
+  };
+}
+
+// Lineup after swapping players, with the gain over the current best lineup
+function evaluateSide(team, outgoing, incoming, rosterPositions) {
+  const out = new Set(outgoing.map(p => p.id));
+  const players = [...team.details.filter(p => !out.has(p.id)), ...incoming.map(p => ({ ...p, isStarter: false, rosterSlot: null }))];
+  const result = optimizeLineup(players, rosterPositions);
+  return { gain: result.total - team.base.total, lineup: result.lineup, size: players.filter(p => !p.rosterSlot).length };
+}
+
+// Adding a player raises a lineup by at most his projection, so this caps the gain
+// without running the optimizer
+function gainBound(outgoing, incoming) {
+  return incoming.reduce((sum, p) => sum + p.projected, 0) - Math.max(...outgoing.map(p => p.loss));
+}
+
+function packages(candidates) {
+  const singles = candidates.map(p => [p]);
+  const pairs = [];
+  for (let i = 0; i < candidates.length; i++) {
+    for (let j = i + 1; j < candidates.length; j++) pairs.push([candidates[i], candidates[j]]);
+  }
+  return { singles, pairs };
+}
+
+function summarizePlayer(p) {
+  return { id: p.id, name: p.name, position: p.position, projected: round1(p.projected), status: p.status };
+}
+
+// options.focus === 'weakest' puts trades that raise the team's weakest slot first
+async function findTrades(leagueId, rosterId, options = {}) {
+  const { league, rosters, resolver, week } = await loadLeagueContext(leagueId, { week: options.week });
+  const rosterPositions = league.roster_positions;
+  const rosterSize = Array.isArray(rosterPositions) ? rosterPositions.length : 0;
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(options.limit) || DEFAULT_LIMIT));
+
+  const teams = rosters.map(r => prepareTeam(r, rosterPositions, resolver));
+  resolver.save();
+  const mine = teams.find(t => String(t.roster.rosterId) === String(rosterId));
+  if (!mine) return { error: 'Unknown roster' };
+  const weakest = weakestSlot(mine, teams);
+  const myPackages = packages(mine.candidates);
+
+  let evaluated = 0;
+  const trades = [];
+  for (const partner of teams) {
+    if (partner === mine) continue;
+    const theirPackages = packages(partner.candidates);
+    const shapes = [
+      [myPackages.singles, theirPackages.singles],
+      [myPackages.pairs, theirPackages.singles],
+      [myPackages.singles, theirPackages.pairs],
+    ];
+    for (const [sendOptions, receiveOptions] of shapes) {
+      for (const send of sendOptions) {
+        for (const receive of receiveOptions) {
+          if (gainBound(send, receive) <= MIN_GAIN || gainBound(receive, send) <= MIN_GAIN) continue;
+          evaluated++;
+          const me = evaluateSide(mine, send, receive, rosterPositions);
+          if (me.gain <= MIN_GAIN) continue;
+          const them = evaluateSide(partner, receive, send, rosterPositions);
+          if (them.gain <= MIN_GAIN) continue;
+
+          const needsDrop = [];
+          if (rosterSize && me.size > rosterSize && me.size > mine.active) needsDrop.push(mine.roster.rosterId);
+          if (rosterSize && them.size > rosterSize && them.size > partner.active) needsDrop.push(partner.roster.rosterId);
+          const weakGain = weakest ? (slotPoints(me.lineup)[weakest.slot] || 0) - mine.slots[weakest.slot] : 0;
+          trades.push({
+            partner: { rosterId: partner.roster.rosterId, teamName: partner.roster.teamName },
+            send: send.map(summarizePlayer),
+            receive: receive.map(summarizePlayer),
+            myGain: round1(me.gain),
+            theirGain: round1(them.gain),
+            combinedGain: round1(me.gain + them.gain),
+            fixesWeakest: weakGain > MIN_GAIN,
+            needsDrop,
+          });
+        }
+      }
+    }
+  }
+
+  const byGain = (a, b) => b.combinedGain - a.combinedGain || b.myGain - a.myGain;
+  const focused = options.focus === 'weakest';
+  trades.sort(focused ? (a, b) => b.fixesWeakest - a.fixesWeakest || byGain(a, b) : byGain);
+
+  return {
+    week,
+    rosterId: mine.roster.rosterId,
+    teamName: mine.roster.teamName,
+    weakestPosition: weakest,
+    focus: focused ? 'weakest' : null,
+    evaluated,
+    found: trades.length,
+    trades: trades.slice(0, limit),
+  };
+}
+
+module.exports = {
+  weakestSlot,
+  evaluateSide,
+  gainBound,
+  findTrades,
+};
@@ -0,0 +1,151 @@
+// Transactions feed: replays a week's waiver claims, free-agent moves and
+// trades against the projections to show how each one changed the teams involved.
+//
+// Rosters are only available as they stand now, so the feed walks back from
+// them: every completed transaction from the current week down to the one
+// shown is undone in turn, newest first, and each is valued on the rosters
+// just before and just after it with the same valuation as the rankings.
+const { fetchSleeperPlayers, fetchSleeperState, normalizeSleeperPlayer } = require('./sleeper');
+const { fetchTransactions } = require('./providers');
+const { loadLeagueContext, valueRoster, rankByPower } = require('./rankings');
+const { REGULAR_SEASON_WEEKS } = require('./weeks');
+const { round1 } = require('./simulation');
+
+const TOP_PICKUPS = 5;
+// Trades closer than this are called even
+const EVEN_TRADE_MARGIN = 0.5;
+
+function summarizePlayer(p) {
+  return { id: p.id, name: p.name, position: p.position, projected: round1(p.projected), status: p.status };
+}
+
+// Newest first; Sleeper updates status_updated when a move is processed
+function byNewest(a, b) {
+  return (Number(b.status_updated) || Number(b.created) || 0) - (Number(a.status_updated) || Number(a.created) || 0);
+}
+
+// The rosters as they were before `tx`: its adds come off, its drops go back
+function undoTransaction(rosters, tx, players) {
+  const entryFor = (id) => {
+    for (const r of rosters) {
+      const entry = r.entries.find(e => String(e.id) === id);
+      if (entry) return entry;
+    }
+    const p = (players || {})[id];
+    return p ? normalizeSleeperPlayer(id, p) : null;
+  };
+  const restored = Object.entries(tx.drops || {}).map(([id, rosterId]) => ({ rosterId: String(rosterId), entry: entryFor(String(id)) }));
+  const added = new Map(Object.entries(tx.adds || {}).map(([id, rosterId]) => [String(id), String(rosterId)]));
+
+  return rosters.map((r) => {
+    const rosterId = String(r.rosterId);
+    const back = restored.filter(d => d.rosterId === rosterId && d.entry).map(d => ({ ...d.entry, isStarter: false, rosterSlot: null }));
+    const kept = r.entries.filter(e => added.get(String(e.id)) !== rosterId && !back.some(b => String(b.id) === String(e.id)));
+    if (kept.length === r.entries.length && !back.length) return r;
+    return { ...r, entries: [...kept, ...back] };
+  });
+}
+
+function playersIn(map, rosterId, valued) {
+  const ids = Object.entries(map || {}).filter(([, rid]) => String(rid) === String(rosterId)).map(([id]) => String(id));
+  return valued.players.filter(p => ids.includes(String(p.id))).map(summarizePlayer);
+}
+
+// Before/after strength of every team in one transaction, ranked like the
+// power rankings; season is the season-long context for the projection component
+async function replayTransaction(leagueId, tx, before, after, context, season) {
+  const { league, resolver } = context;
+  const beforeValues = before.map(r => valueRoster(r, league.roster_positions, resolver));
+  const afterValues = after.map(r => valueRoster(r, league.roster_positions, resolver));
+  const [powerBefore, powerAfter] = await Promise.all([
+    rankByPower(leagueId, league, before, { valued: beforeValues, season }),
+    rankByPower(leagueId, league, after, { valued: afterValues, season }),
+  ]);
+  const involved = new Set((tx.roster_ids || []).map(String));
+  for (const rid of [...Object.values(tx.adds || {}), ...Object.values(tx.drops || {})]) involved.add(String(rid));
+
+  const teams = [];
+  after.forEach((roster, i) => {
+    if (!involved.has(String(roster.rosterId))) return;
+    const rankBefore = powerBefore.get(String(roster.rosterId)).rank;
+    const rankAfter = powerAfter.get(String(roster.rosterId)).rank;
+    teams.push({
+      rosterId: roster.rosterId,
+      teamName: roster.teamName,
+      adds: playersIn(tx.adds, roster.rosterId, afterValues[i]),
+      drops: playersIn(tx.drops, roster.rosterId, beforeValues[i]),
+      before: { projected: round1(beforeValues[i].totalProjected), rank: rankBefore },
+      after: { projected: round1(afterValues[i].totalProjected), rank: rankAfter },
+      projectedChange: round1(afterValues[i].totalProjected - beforeValues[i].totalProjected),
+      // Positive means moving up the rankings
+      rankChange: rankBefore - rankAfter,
+    });
+  });
+
+  const result = {
+    id: String(tx.transaction_id),
+    type: tx.type,
+    week: Number(tx.leg) || null,
+    processedAt: new Date(Number(tx.status_updated) || Number(tx.created) || 0).toISOString(),
+    bid: tx.settings && tx.settings.waiver_bid !== undefined ? Number(tx.settings.waiver_bid) : null,
+    teams,
+  };
+  if (tx.type === 'trade' && teams.length > 1) {
+    const [best, next] = [...teams].sort((a, b) => b.projectedChange - a.projectedChange);
+    const margin = round1(best.projectedChange - next.projectedChange);
+    result.winner = margin < EVEN_TRADE_MARGIN ? null : { rosterId: best.rosterId, teamName: best.teamName };
+    result.margin = margin;
+  }
+  return result;
+}
+
+// A week's transactions, valued on that week's projections like /api/rankings?week=
+async function computeTransactions(leagueId, week) {
+  const [context, season, state, players] = await Promise.all([
+    loadLeagueContext(leagueId, { week }),
+    loadLeagueContext(leagueId),
+    fetchSleeperState(),
+    fetchSleeperPlayers(),
+  ]);
+  const { rosters, resolver } = context;
+  const currentWeek = Math.min(REGULAR_SEASON_WEEKS, Math.max(1, Number(state.week) || 1));
+
+  // Everything processed since the shown week has to be undone first
+  const weeks = [];
+  for (let w = Math.max(week, currentWeek); w >= week; w--) weeks.push(w);
+  const weekly = await Promise.all(weeks.map(w => fetchTransactions(leagueId, w)));
+  const completed = weekly.flat().filter(tx => tx.status === 'complete').sort(byNewest);
+
+  let after = rosters;
+  const replayed = [];
+  for (const tx of completed) {
+    const before = undoTransaction(after, tx, players);
+    if (Number(tx.leg) === week) replayed.push(await replayTransaction(leagueId, tx, before, after, context, season));
+    after = before;
+  }
+  resolver.save();
+  season.resolver.save();
+
+  // Waiver and free-agent adds ranked by how much they raised the team's best lineup
+  const pickups = [];
+  for (const tx of replayed) {
+    if (tx.type === 'trade') continue;
+    for (const team of tx.teams) {
+      if (!team.adds.length) continue;
+      pickups.push({ transactionId: tx.id, type: tx.type, rosterId: team.rosterId, teamName: team.teamName, adds: team.adds, drops: team.drops, bid: tx.bid, projectedChange: team.projectedChange });
+    }
+  }
+  pickups.sort((a, b) => b.projectedChange - a.projectedChange);
+
+  return {
+    week,
+    count: replayed.length,
+    transactions: replayed,
+    topPickups: pickups.slice(0, TOP_PICKUPS),
+  };
+}
+
+module.exports = {
+  undoTransaction,
+  computeTransactions,
+};
@@ -0,0 +1,44 @@
+// Value over replacement: a player's projection minus that of the best player
+// at his position who wouldn't start anywhere in the league.
+const { SLOT_ELIGIBILITY, getStartingSlots } = require('./lineup');
+
+// Fill every team's starting slots from the whole projection pool, dedicated
+// slots first, then flex slots from the most to the least restrictive, so
+// FLEX spillover and superflex QBs push replacement level deeper.
+// Returns { levels: { QB: points, ... }, starters: { QB: count, ... } }
+function replacementLevels(projections, rosterPositions, teamCount) {
+  const pool = {};
+  for (const map of Object.values(projections)) {
+    for (const rec of map.values()) {
+      if (!pool[rec.position]) pool[rec.position] = [];
+      pool[rec.position].push(rec.fantasy);
+    }
+  }
+  for (const values of Object.values(pool)) values.sort((a, b) => b - a);
+
+  const starters = {};
+  const next = pos => (pool[pos] || [])[starters[pos] || 0];
+  const slots = [...getStartingSlots(rosterPositions)].sort((a, b) => SLOT_ELIGIBILITY[a].length - SLOT_ELIGIBILITY[b].length);
+  for (const slot of slots) {
+    for (let t = 0; t < teamCount; t++) {
+      let best = null;
+      for (const pos of SLOT_ELIGIBILITY[slot]) {
+        if (next(pos) !== undefined && (best === null || next(pos) > next(best))) best = pos;
+      }
+      if (best) starters[best] = (starters[best] || 0) + 1;
+    }
+  }
+
+  const levels = {};
+  for (const pos of Object.keys(pool)) levels[pos] = next(pos) || 0;
+  return { levels, starters };
+}
+
+function valueOverReplacement(projected, position, levels) {
+  return projected - (levels[position] || 0);
+}
+
+module.exports = {
+  replacementLevels,
+  valueOverReplacement,
+};
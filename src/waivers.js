@@ -0,0 +1,163 @@
+// Waiver engine: finds the add/drop moves that raise a team's best lineup the
+// most, using each free agent once, and suggests a FAAB bid for each.
+const { SLOT_ELIGIBILITY, getStartingSlots, optimizeLineup } = require('./lineup');
+const { loadLeagueContext, estimateTeamPoints, listAvailable } = require('./rankings');
+const { fetchSleeperPlayers } = require('./sleeper');
+const { freeAgentStatuses } = require('./status');
+const { round1 } = require('./simulation');
+
+const DEFAULT_LIMIT = 5;
+const MAX_LIMIT = 15;
+// Only the top free agents at each position are worth trying
+const CANDIDATES_PER_POSITION = 12;
+const MIN_GAIN = 0.1;
+// Bid as a share of remaining budget: lineup gain relative to the lineup's
+// total, scaled up, capped at half the budget
+const BID_SCALE = 4;
+const MAX_BID_SHARE = 0.5;
+
+// Players needed at each position to fill the league's single-position slots
+function positionMinimums(rosterPositions) {
+  const minimums = {};
+  for (const slot of getStartingSlots(rosterPositions)) {
+    const eligible = SLOT_ELIGIBILITY[slot];
+    if (eligible.length === 1) minimums[eligible[0]] = (minimums[eligible[0]] || 0) + 1;
+  }
+  return minimums;
+}
+
+function toCandidate(rec) {
+  return { id: `fa:${rec.position}:${rec.player}`, name: rec.player, position: rec.position, team: rec.team, projected: rec.projected, onBye: rec.onBye, status: rec.status, isStarter: false };
+}
+
+function topCandidates(available) {
+  const perPosition = {};
+  return available.filter((rec) => {
+    perPosition[rec.position] = (perPosition[rec.position] || 0) + 1;
+    return rec.projected > 0 && perPosition[rec.position] <= CANDIDATES_PER_POSITION;
+  }).map(toCandidate);
+}
+
+// How many other teams' best lineups would improve by adding the player
+function countInterested(player, teams, rosterPositions) {
+  return teams.filter((t) => {
+    const total = optimizeLineup([...t.details, player], rosterPositions).total;
+    return total - t.base > MIN_GAIN;
+  }).length;
+}
+
+// FAAB leagues only (waiver_type 2)
+function faabBudget(league, roster) {
+  const settings = league.settings || {};
+  if (Number(settings.waiver_type) !== 2) return null;
+  const budget = Number(settings.waiver_budget) || 0;
+  const used = roster.waiverBudgetUsed || 0;
+  return { budget, used, remaining: Math.max(0, budget - used) };
+}
+
+function suggestBid(faab, gain, lineupTotal, interested, otherTeams) {
+  if (!faab || !faab.remaining) return null;
+  // Nobody else would start him: a minimum bid should do
+  if (!interested) return 0;
+  const share = Math.min(MAX_BID_SHARE, (lineupTotal > 0 ? gain / lineupTotal : 0) * BID_SCALE);
+  // From 0.5x with one interested team up to 1.5x when the whole league wants him
+  const competition = 0.5 + interested / Math.max(1, otherTeams);
+  return Math.min(faab.remaining, Math.max(1, Math.round(faab.remaining * share * competition)));
+}
+
+function summarizePlayer(p) {
+  return { id: p.id, name: p.name, position: p.position, projected: round1(p.projected), onBye: !!p.onBye, status: p.status || null };
+}
+
+// Best single move for the current roster: an add into an open spot, or an add/drop pair
+function bestMove(players, candidates, context) {
+  const { rosterPositions, rosterSize, minimums } = context;
+  const base = optimizeLineup(players, rosterPositions).total;
+  const counts = {};
+  for (const p of players) counts[p.position] = (counts[p.position] || 0) + 1;
+  // Dropping a player costs at least his own lineup loss, so pairs that can't beat it are skipped
+  const losses = new Map(players.map(p => [p, base - optimizeLineup(players.filter(d => d !== p), rosterPositions).total]));
+  // IR and taxi slots don't count against the roster limit, so with the active
+  // roster full only dropping an active player makes room
+  const active = players.filter(p => !p.rosterSlot);
+  const openSpot = !rosterSize || active.length < rosterSize;
+
+  let best = null;
+  for (const add of candidates) {
+    const drops = openSpot ? [null, ...players] : active;
+    for (const drop of drops) {
+      // Moves are a plan made in order, so earlier pickups stay put
+      if (drop && drop.added) continue;
+      if (drop && add.projected - losses.get(drop) <= MIN_GAIN) continue;
+      if (drop && drop.position !== add.position && (counts[drop.position] || 0) <= (minimums[drop.position] || 0)) continue;
+      const next = [...players.filter(p => p !== drop), { ...add, added: true }];
+      const result = optimizeLineup(next, rosterPositions);
+      const gain = result.total - base;
+      if (gain > MIN_GAIN && (!best || gain > best.gain)) best = { add, drop, gain, lineup: result.lineup, players: next, total: result.total };
+    }
+  }
+  return best;
+}
+
+async function computeWaivers(leagueId, rosterId, options = {}) {
+  const [{ league, rosters, projections, resolver, week }, sleeperPlayers] = await Promise.all([
+    loadLeagueContext(leagueId, { week: options.week }),
+    fetchSleeperPlayers(),
+  ]);
+  const roster = rosters.find(r => String(r.rosterId) === String(rosterId));
+  if (!roster) return { error: 'Unknown roster' };
+  const limit = Math.min(MAX_LIMIT, Math.max(1, Number(options.limit) || DEFAULT_LIMIT));
+  const rosterPositions = league.roster_positions;
+  const context = {
+    rosterPositions,
+    rosterSize: Array.isArray(rosterPositions) ? rosterPositions.length : 0,
+    minimums: positionMinimums(rosterPositions),
+  };
+
+  const statuses = freeAgentStatuses(sleeperPlayers, rosters, projections, resolver);
+  let candidates = topCandidates(listAvailable(rosters, projections, resolver, { statuses, weekly: !!week }));
+  const others = rosters.filter(r => r !== roster).map((r) => {
+    const { details } = estimateTeamPoints(r, resolver);
+    return { details, base: optimizeLineup(details, rosterPositions).total };
+  });
+  let players = estimateTeamPoints(roster, resolver).details;
+  resolver.save();
+  const startTotal = optimizeLineup(players, rosterPositions).total;
+  const faab = faabBudget(league, roster);
+
+  // Greedy: take the best move, apply it, and search again with that free agent gone
+  const moves = [];
+  while (moves.length < limit) {
+    const move = bestMove(players, candidates, context);
+    if (!move) break;
+    const interested = countInterested(move.add, others, rosterPositions);
+    const slot = move.lineup.find(s => s.player && s.player.id === move.add.id);
+    moves.push({
+      add: { ...summarizePlayer(move.add), team: move.add.team },
+      drop: move.drop ? summarizePlayer(move.drop) : null,
+      slot: slot ? slot.slot : null,
+      gain: round1(move.gain),
+      projectedAfter: round1(move.total),
+      interestedTeams: interested,
+      bid: suggestBid(faab, move.gain, startTotal, interested, others.length),
+    });
+    players = move.players;
+    candidates = candidates.filter(c => c !== move.add);
+  }
+
+  return {
+    week,
+    rosterId: roster.rosterId,
+    teamName: roster.teamName,
+    projected: round1(startTotal),
+    faab,
+    moves,
+  };
+}
+
+module.exports = {
+  positionMinimums,
+  suggestBid,
+  bestMove,
+  computeWaivers,
+};
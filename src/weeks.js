@@ -0,0 +1,114 @@
+// Weekly projections mode: picks the week to project, and zeroes out players
+// whose NFL team is on bye that week. Byes come from the season's NFL schedule
+// (see sos.loadSeasonSchedule), else data/bye_weeks.json.
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR, mapProjections } = require('./projections');
+const { fetchSleeperState } = require('./sleeper');
+const { toTeamAbbr } = require('./nfl_teams');
+const { SEASON_GAMES } = require('./scoring');
+
+const REGULAR_SEASON_WEEKS = 18;
+const BYE_WEEKS_FILE = path.join(DATA_DIR, 'bye_weeks.json');
+
+let byeWeeks = null;
+
+// { season: { TEAM: week } } from data/bye_weeks.json
+function loadByeWeeks() {
+  if (byeWeeks) return byeWeeks;
+  try {
+    byeWeeks = JSON.parse(fs.readFileSync(BYE_WEEKS_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`weeks: could not read ${BYE_WEEKS_FILE}: ${e.message}`);
+    byeWeeks = {};
+  }
+  return byeWeeks;
+}
+
+// undefined when absent, null for "season", NaN when invalid
+function parseWeekQuery(query) {
+  const raw = query && query.week !== undefined ? String(query.week).trim().toLowerCase() : '';
+  if (!raw) return undefined;
+  if (raw === 'season' || raw === 'all') return null;
+  const week = Number(raw);
+  if (!Number.isInteger(week) || week < 1 || week > REGULAR_SEASON_WEEKS) return NaN;
+  return week;
+}
+
+// The week a request should project: the `week` query parameter, else the
+// current regular-season week from Sleeper, else null (season-long).
+async function resolveRequestWeek(query) {
+  const requested = parseWeekQuery(query);
+  if (requested !== undefined) return requested;
+  const state = await fetchSleeperState();
+  const week = Number(state.week);
+  if (state.season_type === 'regular' && Number.isInteger(week) && week >= 1 && week <= REGULAR_SEASON_WEEKS) {
+    return week;
+  }
+  return null;
+}
+
+// NFL season Sleeper's state reports; other providers key their leagues by it
+async function currentSeason() {
+  const state = await fetchSleeperState();
+  return String(state.season || new Date().getFullYear());
+}
+
+// First regular-season week that hasn't been played yet
+function firstRemainingWeek(league, state, playoffStart) {
+  if (league.status === 'complete' || league.status === 'post_season') return playoffStart;
+  if (state.season_type === 'regular' && String(state.season) === String(league.season)) {
+    return Math.max(1, Number(state.week) || 1);
+  }
+  return 1;
+}
+
+// NFL teams (Sleeper abbreviations) on bye in `week`. schedule: the season's
+// { TEAM: [opponent per week] }, where a null opponent is the bye.
+function teamsOnBye(week, season, projections, schedule) {
+  const teams = new Set();
+  const scheduled = Object.entries(schedule || {});
+  if (scheduled.length) {
+    for (const [team, opponents] of scheduled) {
+      if (!opponents[week - 1]) teams.add(team);
+    }
+  } else {
+    const byes = loadByeWeeks()[String(season)] || {};
+    for (const [team, byeWeek] of Object.entries(byes)) {
+      if (Number(byeWeek) === Number(week)) teams.add(team);
+    }
+  }
+  // Weekly projection files may also mark byes in gameInfo
+  for (const map of Object.values(projections || {})) {
+    for (const rec of map.values()) {
+      if (/^bye$/i.test(rec.gameInfo || '')) {
+        const abbr = toTeamAbbr(rec.team);
+        if (abbr) teams.add(abbr);
+      }
+    }
+  }
+  return teams;
+}
+
+// Turn scored projections into a single week's view. Season-long numbers are
+// averaged per game when the week has no projection files of its own.
+function applyWeek(projections, { week, weekly, season, schedule }) {
+  const byeTeams = teamsOnBye(week, season, weekly ? projections : null, schedule);
+  const perGame = weekly ? 1 : 1 / SEASON_GAMES;
+  const result = mapProjections(projections, (rec) => {
+    if (byeTeams.has(toTeamAbbr(rec.team))) return { ...rec, fantasy: 0, onBye: true };
+    return perGame === 1 ? rec : { ...rec, fantasy: Math.round(rec.fantasy * perGame * 100) / 100 };
+  });
+  return { projections: result, byeTeams };
+}
+
+module.exports = {
+  REGULAR_SEASON_WEEKS,
+  loadByeWeeks,
+  parseWeekQuery,
+  resolveRequestWeek,
+  currentSeason,
+  firstRemainingWeek,
+  teamsOnBye,
+  applyWeek,
+};
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const { TTL, createCache, getCache, setCacheHeaders } = require('../src/cache');
+const sleeper = require('../src/sleeper');
+
+const MINUTE = 60 * 1000;
+
+function clock(start = 1_000_000) {
+  const c = { time: start, now: () => c.time };
+  return c;
+}
+
+test('shares one load between concurrent requests for a key', async () => {
+  const cache = createCache();
+  let calls = 0;
+  let finish;
+  const loader = () => {
+    calls++;
+    return new Promise((resolve) => { finish = resolve; });
+  };
+  const first = cache.getOrLoad('k', loader);
+  const second = cache.getOrLoad('k', loader);
+  finish('value');
+  assert.deepEqual(await Promise.all([first, second]), ['value', 'value']);
+  assert.equal(calls, 1);
+  // Settled loads aren't held on to
+  assert.equal(await cache.getOrLoad('k', loader), 'value');
+  assert.equal(calls, 1);
+});
+
+test('keeps an entry for its TTL and reloads after', async () => {
+  const c = clock();
+  const cache = createCache({ now: c.now });
+  let version = 0;
+  const loader = async () => ++version;
+  assert.equal(await cache.getOrLoad('k', loader, { ttl: MINUTE }), 1);
+  c.time += MINUTE - 1;
+  assert.equal(await cache.getOrLoad('k', loader, { ttl: MINUTE }), 1);
+  c.time += 1;
+  assert.equal(await cache.getOrLoad('k', loader, { ttl: MINUTE }), 2);
+});
+
+test('serves the expired entry, marked stale, when a refresh fails', async (t) => {
+  const c = clock();
+  const cache = createCache({ now: c.now });
+  await cache.getOrLoad('k', async () => 'old', { ttl: MINUTE });
+  c.time += 2 * MINUTE;
+  const failing = async () => { throw new Error('down'); };
+  t.mock.method(console, 'warn', () => {});
+  assert.equal(await cache.getOrLoad('k', failing, { ttl: MINUTE }), 'old');
+  assert.deepEqual(cache.describe('k'), { ageMs: 2 * MINUTE, stale: true });
+  // Nothing to fall back on
+  await assert.rejects(cache.getOrLoad('other', failing), /down/);
+  assert.equal(cache.describe('other'), null);
+});
+
+test('drops a group\'s previous key once a newer one loads', async () => {
+  const cache = createCache();
+  await cache.getOrLoad('projections:season:1', async () => 'v1', { ttl: Infinity, group: 'season' });
+  await cache.getOrLoad('projections:week:1', async () => 'w1', { ttl: Infinity, group: 'week' });
+  await cache.getOrLoad('projections:season:2', async () => 'v2', { ttl: Infinity, group: 'season' });
+  assert.equal(cache.describe('projections:season:1'), null);
+  assert.ok(cache.describe('projections:season:2'));
+  assert.ok(cache.describe('projections:week:1'));
+});
+
+test('caches Sleeper data for its type\'s TTL', async (t) => {
+  let now = 5_000_000;
+  t.mock.method(Date, 'now', () => now);
+  getCache().clear();
+  t.after(() => getCache().clear());
+  const urls = [];
+  t.mock.method(axios, 'get', async (url) => {
+    urls.push(url);
+    return { data: url.endsWith('/state/nfl') ? { season: '2025', week: 6 } : { 4034: { last_name: 'Jefferson' } } };
+  });
+
+  await sleeper.fetchSleeperState();
+  await sleeper.fetchSleeperPlayers();
+  now += TTL.state - 1;
+  await sleeper.fetchSleeperState();
+  now += 1;
+  await sleeper.fetchSleeperState();
+  await sleeper.fetchSleeperPlayers();
+  const count = part => urls.filter(u => u.includes(part)).length;
+  assert.deepEqual([count('/state/nfl'), count('/players/nfl')], [2, 1]);
+  assert.ok(TTL.players > TTL.state && TTL.state > TTL.rosters && TTL.rosters > TTL.matchups);
+});
+
+test('reports each input\'s age and the oldest in X-Cache-Age headers', async (t) => {
+  let now = 9_000_000;
+  t.mock.method(Date, 'now', () => now);
+  getCache().clear();
+  t.after(() => getCache().clear());
+  await getCache().getOrLoad('a', async () => 1, { ttl: MINUTE });
+  now += 30 * 1000;
+  await getCache().getOrLoad('b', async () => 2, { ttl: MINUTE });
+  now += 45 * 1000;
+
+  const headers = {};
+  setCacheHeaders({ setHeader: (name, value) => { headers[name] = value; } }, { rosters: 'a', state: 'b', missing: 'c' });
+  assert.deepEqual(headers, {
+    'X-Cache-Age-Rosters': '75',
+    'X-Cache-Age-State': '45',
+    'X-Cache-Age': '75',
+    'X-Cache-Stale': 'rosters',
+  });
+});
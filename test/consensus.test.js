@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { blendSources, projectionRange } = require('../src/consensus');
+
+const qb = (player, fantasy, stats = null) => ({ player, position: 'QB', team: 'Buffalo Bills', fantasy, stats });
+const set = (source, weight, rows) => ({ source, weight, projections: { qbs: new Map(rows.map(r => [r.player, r])) } });
+
+test('weights each source\'s points and flags a wide spread', () => {
+  const { qbs } = blendSources([
+    set('main', 2, [qb('Josh Allen', 300), qb('Jalen Hurts', 300), qb('Bo Nix', 200)]),
+    set('alt', 1, [qb('Josh Allen', 240), qb('Jalen Hurts', 150)]),
+  ]);
+
+  const allen = qbs.get('Josh Allen');
+  assert.equal(allen.fantasy, 280);
+  assert.deepEqual(allen.spread.sources, [{ source: 'main', fantasy: 300 }, { source: 'alt', fantasy: 240 }]);
+  // sd = sqrt((2 * 20^2 + 40^2) / 3)
+  assert.ok(Math.abs(allen.spread.cv - Math.sqrt(800) / 280) < 1e-9);
+  assert.equal(allen.spread.disagreement, false);
+
+  const hurts = qbs.get('Jalen Hurts');
+  assert.equal(hurts.fantasy, 250);
+  assert.equal(hurts.spread.disagreement, true);
+  const range = projectionRange(hurts);
+  assert.ok(range.floor < 250 && range.ceiling > 250);
+  assert.equal(range.sourceCount, 2);
+
+  // One source can't disagree with itself
+  const nix = qbs.get('Bo Nix');
+  assert.deepEqual([nix.fantasy, nix.spread.cv, nix.spread.disagreement], [200, 0, false]);
+});
+
+test('averages a stat only over the sources that have it', () => {
+  const { qbs } = blendSources([
+    set('main', 2, [qb('Josh Allen', 300, { passYd: 4000, fumLost: 3 })]),
+    set('alt', 1, [qb('Josh Allen', 300, { passYd: 3700 })]),
+  ]);
+  assert.deepEqual(qbs.get('Josh Allen').stats, { passYd: 3900, fumLost: 3 });
+});
+
+test('scales the stat line by sources that only give points', () => {
+  const { qbs } = blendSources([
+    set('main', 1, [qb('Josh Allen', 200, { rushYd: 1000 })]),
+    set('points', 1, [qb('Josh Allen', 100)]),
+  ]);
+  const allen = qbs.get('Josh Allen');
+  assert.equal(allen.fantasy, 150);
+  assert.equal(allen.stats.rushYd, 750);
+
+  const none = blendSources([set('points', 1, [qb('Josh Allen', 100)])]);
+  assert.equal(none.qbs.get('Josh Allen').stats, null);
+});
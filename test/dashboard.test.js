@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const handler = require('../api/dashboard');
+
+function mockRes() {
+  return {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    setHeader(name, value) { this.headers[name] = value; },
+  };
+}
+
+test('rejects a missing username', async () => {
+  const res = mockRes();
+  await handler({ query: {} }, res);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, { error: 'Missing username' });
+});
+
+test('rejects a repeated username instead of failing on it', async () => {
+  const res = mockRes();
+  await handler({ query: { username: ['a', 'b'] } }, res);
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, { error: 'Invalid username' });
+});
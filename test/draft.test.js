@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// draft.js takes its data sources at require time, so they're replaced first
+const rankings = require('../src/rankings');
+const sleeper = require('../src/sleeper');
+const providers = require('../src/providers');
+
+const rows = (position, list) => new Map(list.map(([player, team, fantasy]) => [player, { player, position, team, fantasy, stats: null }]));
+const projections = {
+  qbs: rows('QB', [['Josh Allen', 'BUF', 380], ['Lamar Jackson', 'BAL', 370], ['Jalen Hurts', 'PHI', 340]]),
+  rbs: rows('RB', [['Bijan Robinson', 'ATL', 300], ['Saquon Barkley', 'PHI', 290], ['Jahmyr Gibbs', 'DET', 285]]),
+};
+const drafted = { 1: ['Josh', 'Allen', 'QB', 'BUF'], 2: ['Bijan', 'Robinson', 'RB', 'ATL'], 3: ['Saquon', 'Barkley', 'RB', 'PHI'] };
+rankings.loadLeagueContext = async () => ({
+  league: { roster_positions: ['QB', 'RB', 'BN'], total_rosters: 2 },
+  rosters: [{ rosterId: 10, teamName: 'Tens', entries: [] }, { rosterId: 20, teamName: 'Twenties', entries: [] }],
+  projections,
+  resolver: {
+    resolve: entry => ({ record: projections[`${entry.position.toLowerCase()}s`].get(entry.name), confidence: 1 }),
+    saved: () => null,
+    save: () => {},
+  },
+});
+sleeper.fetchSleeperPlayers = async () => ({});
+sleeper.fetchSleeperDraft = async () => ({ status: 'drafting', type: 'snake', settings: { teams: 2, rounds: 3 }, slot_to_roster_id: { 1: 10, 2: 20 } });
+// Twenties took the Tens' second-round pick for their own first-rounder, which the Tens used
+sleeper.fetchSleeperDraftTradedPicks = async () => [
+  { season: '2025', round: 1, roster_id: 20, owner_id: 10, previous_owner_id: 20 },
+  { season: '2025', round: 2, roster_id: 10, owner_id: 20, previous_owner_id: 10 },
+];
+sleeper.fetchSleeperDraftPicks = async () => [
+  { pick_no: 1, round: 1, draft_slot: 1, roster_id: 10, player_id: '1' },
+  { pick_no: 2, round: 1, draft_slot: 2, roster_id: 10, player_id: '2' },
+  { pick_no: 3, round: 2, draft_slot: 2, roster_id: 20, player_id: '3' },
+].map(pick => {
+  const [first_name, last_name, position, team] = drafted[pick.player_id];
+  return { ...pick, metadata: { first_name, last_name, position, team } };
+});
+providers.fetchLeagueDrafts = async () => [{ draft_id: 'd1', status: 'drafting', type: 'snake' }];
+
+const { slotForPick, upcomingPicks, tradedPickSlots, computeDraft } = require('../src/draft');
+
+const round = (r, teams, type, reversalRound) => {
+  const slots = [];
+  for (let n = (r - 1) * teams + 1; n <= r * teams; n++) slots.push(slotForPick(n, teams, type, reversalRound));
+  return slots;
+};
+
+test('snakes every other round', () => {
+  assert.deepEqual(round(1, 4, 'snake'), [1, 2, 3, 4]);
+  assert.deepEqual(round(2, 4, 'snake'), [4, 3, 2, 1]);
+  assert.deepEqual(round(3, 4, 'snake'), [1, 2, 3, 4]);
+});
+
+test('runs every round in the same order in linear drafts', () => {
+  assert.deepEqual(round(2, 4, 'linear'), [1, 2, 3, 4]);
+});
+
+test('repeats the previous direction in a third-round reversal and flips every round after', () => {
+  assert.deepEqual(round(2, 4, 'snake', 3), [4, 3, 2, 1]);
+  assert.deepEqual(round(3, 4, 'snake', 3), [4, 3, 2, 1]);
+  assert.deepEqual(round(4, 4, 'snake', 3), [1, 2, 3, 4]);
+  assert.deepEqual(round(5, 4, 'snake', 3), [4, 3, 2, 1]);
+});
+
+test('lists a slot\'s remaining picks', () => {
+  assert.deepEqual(upcomingPicks(1, 2, { teams: 4, rounds: 4, type: 'snake', reversalRound: 3 }), [8, 12, 13]);
+});
+
+test('moves traded picks to the slot holding them', () => {
+  const draft = { teams: 4, rounds: 3, type: 'snake', reversalRound: null };
+  const slotToRoster = { 1: 11, 2: 12, 3: 13, 4: 14 };
+  // Roster 14 (slot 4) sent its third-rounder to roster 11 (slot 1); the unknown roster is ignored
+  draft.tradedPicks = tradedPickSlots([
+    { round: 3, roster_id: 14, owner_id: 11 },
+    { round: 2, roster_id: 99, owner_id: 11 },
+  ], slotToRoster, draft);
+  assert.deepEqual(draft.tradedPicks, { 12: 1 });
+  assert.deepEqual(upcomingPicks(1, 1, draft), [1, 8, 9, 12]);
+  assert.deepEqual(upcomingPicks(4, 1, draft), [4, 5]);
+});
+
+test('credits live picks to whoever made them and plans the rest around traded picks', async () => {
+  const result = await computeDraft('L1', { seed: 1 });
+  assert.deepEqual(result.picks.map(p => [p.pickNo, p.slot, p.name]), [[1, 1, 'Josh Allen'], [2, 1, 'Bijan Robinson'], [3, 2, 'Saquon Barkley']]);
+  assert.deepEqual(result.teams.map(t => [t.teamName, t.players.length]), [['Tens', 2], ['Twenties', 1]]);
+  // Pick 4 was the Tens' second-rounder
+  assert.deepEqual(result.currentPick, { pickNo: 4, round: 2, slot: 2 });
+  assert.equal(result.teamName, 'Twenties');
+  assert.deepEqual(result.nextPicks, [4, 6]);
+
+  const tens = await computeDraft('L1', { slot: 1, seed: 1 });
+  assert.deepEqual(tens.nextPicks, [5]);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { suggestKeepers } = require('../src/dynasty');
+
+// Round 1 is worth 100, each later round 10 less
+const roundValue = r => 110 - r * 10;
+
+test('keeps the players with the most surplus over their round\'s value', () => {
+  const players = [
+    { id: 'a', name: 'A', keepValue: 95, draftedRound: 2 },
+    { id: 'b', name: 'B', keepValue: 60, draftedRound: 8 },
+    { id: 'c', name: 'C', keepValue: 40, draftedRound: 3 },
+  ];
+  const keepers = suggestKeepers(players, { count: 2, roundPenalty: 0 }, roundValue, 10);
+  assert.deepEqual(keepers.map(k => [k.id, k.round, k.surplus]), [['b', 8, 30], ['a', 2, 5]]);
+});
+
+test('charges the round penalty and puts undrafted players in the configured round', () => {
+  const players = [{ id: 'a', keepValue: 75, draftedRound: 5 }, { id: 'u', keepValue: 50 }];
+  const keepers = suggestKeepers(players, { count: 2, roundPenalty: 1, undraftedRound: 9 }, roundValue, 10);
+  assert.deepEqual(keepers.map(k => [k.id, k.round]), [['u', 9], ['a', 4]]);
+});
+
+test('moves a keeper up a round when uniqueRounds is set and drops him once he has no surplus', () => {
+  const players = [
+    { id: 'a', keepValue: 70, draftedRound: 6 },
+    { id: 'b', keepValue: 62, draftedRound: 6 },
+    { id: 'c', keepValue: 55, draftedRound: 6 },
+  ];
+  const keepers = suggestKeepers(players, { count: 3, roundPenalty: 0, uniqueRounds: true }, roundValue, 10);
+  // b moves to round 5 (worth 60); c would need round 4 (worth 70) and is left out
+  assert.deepEqual(keepers.map(k => [k.id, k.round]), [['a', 6], ['b', 5]]);
+});
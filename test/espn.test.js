@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const espn = require('../src/espn');
+const league = require('./fixtures/espn/league.json');
+const matchups = require('./fixtures/espn/matchups_4.json');
+
+const copy = data => JSON.parse(JSON.stringify(data));
+
+test('translates league settings, lineup slots and scoring', () => {
+  const normalized = espn.normalizeEspnLeague(copy(league));
+  assert.equal(normalized.league_id, '555');
+  assert.equal(normalized.season, '2025');
+  assert.equal(normalized.total_rosters, 2);
+  assert.deepEqual(normalized.roster_positions, ['QB', 'RB', 'WR', 'TE', 'FLEX', 'K', 'DEF', 'BN', 'BN', 'BN', 'BN']);
+  assert.deepEqual(normalized.settings, { playoff_week_start: 15, playoff_teams: 2, waiver_type: 2, waiver_budget: 100 });
+  assert.equal(normalized.scoring_settings.rec, 0.5);
+  assert.equal(normalized.scoring_settings.pass_td, 4);
+  // One ESPN stat covers every field goal under 40 yards
+  assert.deepEqual([normalized.scoring_settings.fgm_0_19, normalized.scoring_settings.fgm_30_39], [3, 3]);
+});
+
+test('reads rosters with provider-qualified player ids, starters in slot order and IR', () => {
+  const [dogs, cats] = espn.normalizeEspnRosters(copy(league));
+  assert.equal(dogs.teamName, 'Big Dogs');
+  assert.equal(dogs.ownerId, '{A}');
+  assert.deepEqual(dogs.record, { wins: 3, losses: 1, ties: 0, pointsFor: 450.5, pointsAgainst: 400 });
+  assert.ok(dogs.entries.every(e => e.id.startsWith('espn:')));
+  // QB RB WR TE FLEX K DEF, with nobody in the flex
+  assert.deepEqual(dogs.starters, ['espn:3918298', 'espn:3929630', 'espn:4362628', 'espn:4432665', '0', 'espn:3124679', 'espn:-16033']);
+
+  const bowers = dogs.entries.find(e => e.name === 'Brock Bowers');
+  assert.deepEqual([bowers.position, bowers.team, bowers.status, bowers.isStarter], ['TE', 'LV', 'Questionable', true]);
+  const defense = dogs.entries.find(e => e.id === 'espn:-16033');
+  assert.deepEqual([defense.position, defense.team], ['DST', 'BAL']);
+  const injured = cats.entries.find(e => e.name === 'Some Guy');
+  assert.deepEqual([injured.rosterSlot, injured.status, injured.isStarter], ['IR', 'IR', false]);
+});
+
+test('names teams for their owners', () => {
+  assert.deepEqual(espn.normalizeEspnUsers(copy(league)), [
+    { userId: '{A}', displayName: 'ann', teamName: 'Big Dogs' },
+    { userId: '{B}', displayName: 'ben', teamName: 'Cats' },
+  ]);
+});
+
+test('reads one week of the schedule as matchups', () => {
+  const week = espn.normalizeEspnMatchups(copy(matchups), 4);
+  assert.equal(week.length, 2);
+  const [home, away] = week;
+  assert.deepEqual([home.roster_id, home.matchup_id, home.points], [1, 40, 114]);
+  assert.deepEqual([away.roster_id, away.matchup_id, away.points], [2, 40, 100]);
+  assert.equal(home.players_points['espn:3918298'], 7);
+  assert.equal(home.starters[0], 'espn:3918298');
+  assert.deepEqual(away.starters, []);
+});
+
+test('requests the league with the private-league cookies', async (t) => {
+  process.env.ESPN_S2 = 's2';
+  process.env.ESPN_SWID = '{swid}';
+  t.after(() => {
+    delete process.env.ESPN_S2;
+    delete process.env.ESPN_SWID;
+  });
+  const requests = [];
+  t.mock.method(axios, 'get', async (url, config) => {
+    requests.push({ url, config });
+    if (url.includes('api.sleeper.app')) return { data: { season: '2025', week: 4, season_type: 'regular' } };
+    return { data: copy(url.includes('mMatchupScore') ? matchups : league) };
+  });
+
+  const rosters = await espn.fetchEspnLeagueRosters('555');
+  assert.equal(rosters.length, 2);
+  const week = await espn.fetchEspnMatchups('555', 4);
+  assert.equal(week[0].points, 114);
+
+  const espnRequests = requests.filter(r => r.url.startsWith(espn.ESPN_API));
+  assert.match(espnRequests[0].url, /\/seasons\/2025\/segments\/0\/leagues\/555\?view=mSettings&view=mStatus&view=mTeam&view=mRoster$/);
+  assert.match(espnRequests[1].url, /scoringPeriodId=4$/);
+  assert.equal(espnRequests[0].config.headers.Cookie, 'espn_s2=s2; SWID={swid}');
+});
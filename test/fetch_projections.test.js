@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { mapHeader } = require('../src/sources/common');
+const { getSource } = require('../src/sources');
+const { refreshProjections, normalizePosition } = require('../src/fetch_projections');
+
+const fixturesDir = path.join(__dirname, 'fixtures', 'projections');
+
+test('reads short headers as the position\'s stat line', () => {
+  assert.equal(mapHeader('Int', 'QB'), 'interceptionsThrown');
+  assert.equal(mapHeader('Int', 'DST'), 'interceptions');
+  assert.equal(mapHeader('INT', 'LB'), 'interceptions');
+  assert.equal(mapHeader('TD', 'DST'), 'touchdowns');
+  assert.equal(mapHeader('TD', 'DB'), 'touchdowns');
+  // Could be passing, rushing or receiving
+  assert.equal(mapHeader('TD', 'WR'), null);
+  assert.equal(mapHeader('Pts', 'RB'), 'fantasy');
+  assert.equal(mapHeader('Pts', 'DST'), null);
+  assert.equal(mapHeader('FPTS', 'DST'), 'fantasy');
+  assert.equal(mapHeader('Pass Yds', 'QB'), 'passingYards');
+});
+
+test('scrapes HTML tables with position-aware headers', async () => {
+  const html = getSource('html');
+  const [allen] = await html.fetchPosition('QB', { fixturesDir });
+  assert.equal(allen.player, 'Josh Allen');
+  assert.equal(allen.interceptionsThrown, '12.2');
+  assert.equal(allen.touchdowns, undefined);
+  assert.equal(allen.fantasy, '390.2');
+
+  const [ravens] = await html.fetchPosition('DST', { fixturesDir });
+  assert.equal(ravens.player, 'Baltimore D/ST');
+  assert.deepEqual(
+    [ravens.interceptions, ravens.touchdowns, ravens.pointsAllowed, ravens.fantasy],
+    ['12.1', '3.0', '363.4', '126.3'],
+  );
+});
+
+test('reads JSON feeds with position-aware keys', async () => {
+  const json = getSource('json');
+  const [allen] = await json.fetchPosition('QB', { fixturesDir });
+  assert.deepEqual([allen.interceptionsThrown, allen.fantasy, allen.touchdowns], [12.2, 390.2, undefined]);
+
+  const linemen = await json.fetchPosition('DL', { fixturesDir });
+  const [garrett] = linemen;
+  assert.deepEqual([garrett.interceptions, garrett.touchdowns, garrett.sacks, garrett.fantasy], [0.2, 0.3, 13.8, 118.6]);
+  const { rows, rejected } = normalizePosition(linemen, 'DL');
+  assert.equal(rejected.length, 0);
+  assert.deepEqual([rows[0].player, rows[0].interceptions, rows[0].touchdowns], ['Myles Garrett', '0.2', '0.3']);
+});
+
+test('dry-run refresh from fixtures validates every row and writes nothing', async (t) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'refresh-test-'));
+  t.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+  const html = await refreshProjections({ source: 'html', fixturesDir, positions: ['QB', 'DST'], dataDir, dryRun: true });
+  assert.equal(html.dryRun, true);
+  assert.equal(html.backupPath, null);
+  assert.deepEqual(html.summary.map(s => [s.file, s.after, s.rejected.length]), [['QB.csv', 10, 0], ['DST.csv', 10, 0]]);
+  assert.deepEqual(html.summary[1].added.slice(0, 2), ['Baltimore D/ST', 'Buffalo D/ST']);
+
+  const json = await refreshProjections({ source: 'json', fixturesDir, positions: ['QB', 'DL'], dataDir, dryRun: true });
+  assert.deepEqual(json.summary.map(s => [s.file, s.after, s.rejected.length]), [['QB.csv', 10, 0], ['DL.csv', 10, 0]]);
+  assert.deepEqual(fs.readdirSync(dataDir), []);
+});
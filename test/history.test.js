@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// history.js reads its backend from the environment and takes its data sources at require time
+process.env.HISTORY_BACKEND = 'memory';
+process.env.SNAPSHOT_CADENCE = 'weekly';
+const providers = require('../src/providers');
+
+providers.fetchLeague = async () => ({ season: '2025' });
+
+const { createMemoryStore, createFileStore, isSnapshotDue, recordSnapshotIfDue, getHistory } = require('../src/history');
+const handleHistoryRequest = require('../api/history');
+
+const DAY = 24 * 60 * 60 * 1000;
+const at = iso => Date.parse(iso);
+
+function rankings(ranks) {
+  return ranks.map(([rosterId, rank]) => ({
+    rosterId,
+    teamName: `Team ${rosterId}`,
+    rank,
+    powerScore: 80 - rank,
+    totalProjected: 120 - rank,
+    floorProjected: 100,
+    ceilingProjected: 140,
+    vorProjected: null,
+    optimalLineup: [{ slot: 'QB', id: `qb${rosterId}`, name: `QB ${rosterId}`, position: 'QB', projected: 20 }],
+  }));
+}
+
+test('takes a snapshot for a new week and otherwise waits out the cadence', () => {
+  const last = [{ takenAt: '2025-10-07T12:00:00.000Z', season: '2025', week: 6 }];
+  const view = { season: '2025', week: 6 };
+  assert.equal(isSnapshotDue([], view, 'weekly'), true);
+  assert.equal(isSnapshotDue(last, { season: '2025', week: 7 }, 'weekly', at('2025-10-07T13:00:00.000Z')), true);
+  assert.equal(isSnapshotDue(last, { season: '2026', week: 6 }, 'weekly', at('2025-10-07T13:00:00.000Z')), true);
+  assert.equal(isSnapshotDue(last, view, 'weekly', at('2025-10-07T12:00:00.000Z') + 6 * DAY), false);
+  assert.equal(isSnapshotDue(last, view, 'weekly', at('2025-10-07T12:00:00.000Z') + 7 * DAY), true);
+  assert.equal(isSnapshotDue(last, view, 'daily', at('2025-10-07T12:00:00.000Z') + DAY), true);
+  // Manual never records on its own, not even the first one
+  assert.equal(isSnapshotDue([], view, 'manual'), false);
+});
+
+test('keeps snapshots per league in memory, handing out copies', () => {
+  const store = createMemoryStore();
+  const snapshots = [{ week: 1 }];
+  store.save('L1', snapshots);
+  snapshots.push({ week: 2 });
+  assert.deepEqual(store.list('L1'), [{ week: 1 }]);
+  store.list('L1').push({ week: 3 });
+  assert.deepEqual(store.list('L1'), [{ week: 1 }]);
+  assert.deepEqual(store.list('L2'), []);
+});
+
+test('keeps one JSON file per league on disk', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'history-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = createFileStore(path.join(dir, 'nested'));
+  assert.deepEqual(store.list('espn:555'), []);
+
+  store.save('espn:555', [{ week: 1 }]);
+  store.save('espn:555', [{ week: 1 }, { week: 2 }]);
+  assert.deepEqual(fs.readdirSync(path.join(dir, 'nested')), ['espn_555.json']);
+  assert.deepEqual(store.list('espn:555'), [{ week: 1 }, { week: 2 }]);
+  // A second store over the same dir sees the same history
+  assert.equal(createFileStore(path.join(dir, 'nested')).list('espn:555').length, 2);
+});
+
+test('records due snapshots and reads the league or one team\'s series', async () => {
+  const first = await recordSnapshotIfDue('L1', rankings([[1, 2], [2, 1]]), 6);
+  assert.deepEqual([first.season, first.week, first.trigger], ['2025', 6, 'scheduled']);
+  // Same week inside the cadence
+  assert.equal(await recordSnapshotIfDue('L1', rankings([[1, 1], [2, 2]]), 6), null);
+  await recordSnapshotIfDue('L1', rankings([[1, 1], [2, 2]]), 7);
+
+  const league = getHistory('L1');
+  assert.equal(league.snapshots.length, 2);
+  assert.deepEqual(league.snapshots.map(s => s.teams.map(team => team.rank)), [[2, 1], [1, 2]]);
+  assert.equal(league.snapshots[0].teams[0].lineup, undefined);
+
+  const team = getHistory('L1', '1');
+  assert.deepEqual([team.rosterId, team.teamName], ['1', 'Team 1']);
+  assert.deepEqual(team.points.map(p => [p.week, p.rank]), [[6, 2], [7, 1]]);
+  assert.equal(team.points[0].lineup[0].name, 'QB 1');
+  assert.deepEqual(getHistory('L1', '9').points, []);
+});
+
+test('records a snapshot on demand only with the shared secret', async (t) => {
+  const saved = { CRON_SECRET: process.env.CRON_SECRET, REPORT_SECRET: process.env.REPORT_SECRET };
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  const send = async (headers) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { this.body = body; return this; },
+    };
+    await handleHistoryRequest({ method: 'POST', headers, query: { leagueId: 'invented' } }, res);
+    return res.statusCode;
+  };
+  delete process.env.CRON_SECRET;
+  delete process.env.REPORT_SECRET;
+  assert.equal(await send({}), 403);
+  process.env.CRON_SECRET = 'shh';
+  assert.equal(await send({}), 401);
+  assert.equal(await send({ authorization: 'Bearer wrong' }), 401);
+  assert.deepEqual(getHistory('invented').snapshots, []);
+});
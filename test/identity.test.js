@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The crosswalk location is read at require time
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'identity-test-'));
+process.env.CROSSWALK_FILE = path.join(dir, 'crosswalk.json');
+// Saved before player ids carried their provider
+fs.writeFileSync(process.env.CROSSWALK_FILE, JSON.stringify({
+  4034: { key: 'WR:Justin Jefferson', name: 'Justin Jefferson', confidence: 1, method: 'exact' },
+}));
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { createResolver, recordKey, crosswalkKey } = require('../src/identity');
+
+function projections(rows) {
+  const byGroup = {};
+  for (const rec of rows) {
+    const group = `${rec.position.toLowerCase()}s`;
+    if (!byGroup[group]) byGroup[group] = new Map();
+    byGroup[group].set(recordKey(rec), { fantasy: 100, ...rec });
+  }
+  return byGroup;
+}
+
+const entry = (name, position, team) => ({ id: name, name, position, team });
+const resolverFor = rows => createResolver(projections(rows), { crosswalk: false, aliases: new Map() });
+
+test('does not match a different first name that shares the initial and last name', () => {
+  const resolver = resolverFor([{ player: 'Javonte Williams', position: 'RB', team: 'DAL' }]);
+  assert.equal(resolver.resolve(entry('Jamaal Williams', 'RB', 'NO')), null);
+  assert.equal(resolver.resolve(entry('Jamaal Williams', 'RB', 'DAL')), null);
+});
+
+test('does not match a bare first initial', () => {
+  const resolver = resolverFor([{ player: 'J. Williams', position: 'RB', team: 'DAL' }]);
+  assert.equal(resolver.resolve(entry('Javonte Williams', 'RB', 'DAL')), null);
+});
+
+test('matches a shortened first name', () => {
+  const resolver = resolverFor([
+    { player: 'Joshua Palmer', position: 'WR', team: 'BUF' },
+    { player: 'Ken Walker', position: 'RB', team: 'SEA' },
+  ]);
+  const palmer = resolver.resolve(entry('Josh Palmer', 'WR', 'BUF'));
+  assert.equal(palmer.record.player, 'Joshua Palmer');
+  assert.equal(palmer.method, 'fuzzy');
+  assert.ok(palmer.confidence >= 0.75);
+  assert.equal(resolver.resolve(entry('Kenneth Walker III', 'RB', 'SEA')).record.player, 'Ken Walker');
+});
+
+test('leaves a player unmatched when two rows fit equally well', () => {
+  const resolver = resolverFor([
+    { player: 'Cameron Johnson', position: 'WR', team: 'FA' },
+    { player: 'Camden Johnson', position: 'WR', team: 'FA' },
+  ]);
+  assert.equal(resolver.resolve(entry('Cam Johnson', 'WR', 'FA')), null);
+});
+
+test('prefers an exact name at the player\'s own NFL team', () => {
+  const resolver = resolverFor([
+    { player: 'Mike Williams', position: 'WR', team: 'NYJ' },
+    { player: 'Mike Williams', position: 'WR', team: 'PIT' },
+  ]);
+  const found = resolver.resolve(entry('Mike Williams', 'WR', 'PIT'));
+  assert.equal(found.record.team, 'PIT');
+  assert.equal(found.confidence, 1);
+});
+
+test('qualifies crosswalk keys with the player\'s provider', () => {
+  assert.equal(crosswalkKey('4034'), 'sleeper:4034');
+  assert.equal(crosswalkKey('BUF'), 'sleeper:BUF');
+  assert.equal(crosswalkKey('espn:4034'), 'espn:4034');
+  assert.equal(crosswalkKey('mfl:4034'), 'mfl:4034');
+});
+
+test('keeps a Sleeper player\'s saved match away from another provider\'s player with the same id', () => {
+  const resolver = createResolver(projections([
+    { player: 'Justin Jefferson', position: 'WR', team: 'MIN' },
+    { player: 'Bijan Robinson', position: 'RB', team: 'ATL' },
+  ]), { aliases: new Map() });
+  const sleeper = resolver.resolve({ id: '4034', name: 'J. Jefferson', position: 'WR', team: 'MIN' });
+  assert.deepEqual([sleeper.record.player, sleeper.method], ['Justin Jefferson', 'crosswalk']);
+  const espn = resolver.resolve({ id: 'espn:4034', name: 'Bijan Robinson', position: 'RB', team: 'ATL' });
+  assert.deepEqual([espn.record.player, espn.method], ['Bijan Robinson', 'exact']);
+
+  resolver.save();
+  const saved = JSON.parse(fs.readFileSync(process.env.CROSSWALK_FILE, 'utf8'));
+  assert.deepEqual(Object.keys(saved).sort(), ['espn:4034', 'sleeper:4034']);
+  assert.equal(saved['sleeper:4034'].key, 'WR:Justin Jefferson');
+  assert.equal(saved['espn:4034'].key, 'RB:Bijan Robinson');
+});
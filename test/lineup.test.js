@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeLineup, getStartingSlots, orderStarters } = require('../src/lineup');
+
+const player = (id, position, projected, extra = {}) => ({ id, name: id, position, projected, ...extra });
+
+test('fills dedicated slots before handing the best leftover to FLEX', () => {
+  const players = [
+    player('rb1', 'RB', 15), player('rb2', 'RB', 12), player('rb3', 'RB', 9),
+    player('wr1', 'WR', 14), player('wr2', 'WR', 8),
+  ];
+  const { lineup, bench, total } = optimizeLineup(players, ['RB', 'WR', 'FLEX', 'BN', 'BN']);
+  assert.deepEqual(lineup.map(s => [s.slot, s.player.id]), [['RB', 'rb1'], ['WR', 'wr1'], ['FLEX', 'rb2']]);
+  assert.deepEqual(bench.map(p => p.id).sort(), ['rb3', 'wr2']);
+  assert.equal(total, 41);
+});
+
+test('puts the second QB in SUPER_FLEX when he outscores the other skill players', () => {
+  const players = [player('qb1', 'QB', 22), player('qb2', 'QB', 18), player('rb1', 'RB', 14), player('wr1', 'WR', 11)];
+  const { lineup } = optimizeLineup(players, ['QB', 'RB', 'SUPER_FLEX']);
+  assert.deepEqual(lineup.map(s => s.player.id), ['qb1', 'rb1', 'qb2']);
+});
+
+test('keeps IR and taxi players out of the lineup and leaves a slot empty when nobody can fill it', () => {
+  const players = [player('rb1', 'RB', 20, { rosterSlot: 'IR' }), player('rb2', 'RB', 5), player('wr1', 'WR', 9, { rosterSlot: 'TAXI' })];
+  const { lineup, bench, total } = optimizeLineup(players, ['RB', 'WR']);
+  assert.equal(lineup[0].player.id, 'rb2');
+  assert.equal(lineup[1].player, null);
+  assert.deepEqual(bench.map(p => p.id).sort(), ['rb1', 'wr1']);
+  assert.equal(total, 5);
+});
+
+test('ignores bench, IR and taxi slots when listing starting slots', () => {
+  assert.deepEqual(getStartingSlots(['QB', 'RB', 'BN', 'IR', 'TAXI', 'DEF']), ['QB', 'RB', 'DEF']);
+});
+
+test('orders starters by slot and fills unassigned ones into the first slot they can take', () => {
+  const starters = orderStarters([{ id: 'w', position: 'WR' }, { id: 'q', slot: 'QB', position: 'QB' }, { id: 'r', position: 'RB' }], ['QB', 'RB', 'FLEX', 'TE']);
+  assert.deepEqual(starters, ['q', 'r', 'w', '0']);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+// live.js takes its data sources at require time, so they're replaced first
+const providers = require('../src/providers');
+const rankings = require('../src/rankings');
+const sleeper = require('../src/sleeper');
+const weeks = require('../src/weeks');
+
+let contextLoads = 0;
+const projections = { kc: 20, dal: 15, sf: 10, nyj: 12 };
+const roster = {
+  rosterId: 1,
+  teamName: 'Alpha',
+  entries: [
+    { id: 'kc', name: 'Mid Game', position: 'WR', team: 'KC' },
+    { id: 'dal', name: 'Done', position: 'RB', team: 'DAL' },
+    { id: 'sf', name: 'Later', position: 'TE', team: 'SF' },
+    { id: 'nyj', name: 'Bye Week', position: 'WR', team: 'NYJ' },
+  ],
+};
+rankings.loadLeagueContext = async () => {
+  contextLoads++;
+  return {
+    rosters: [roster],
+    resolver: { resolve: entry => ({ record: { fantasy: projections[entry.id] } }), save() {} },
+  };
+};
+providers.fetchMatchups = async () => [{
+  roster_id: 1,
+  matchup_id: 1,
+  points: 30,
+  starters: ['kc', 'dal', 'sf', 'nyj'],
+  players_points: { kc: 8, dal: 22 },
+}];
+sleeper.fetchSleeperNflSchedule = async () => [
+  { week: 5, home: 'KC', away: 'BUF', status: 'in_progress' },
+  { week: 5, home: 'DAL', away: 'PHI', status: 'complete' },
+  { week: 5, home: 'SF', away: 'SEA', status: 'pre_game' },
+];
+weeks.currentSeason = async () => '2025';
+
+const { computeLiveScores, streamLiveScores } = require('../src/live');
+
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function client() {
+  const req = new EventEmitter();
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.writeHead = () => {};
+  res.write = (chunk) => { res.chunks.push(chunk); };
+  return { req, res };
+}
+
+test('blends points scored with the projection still to come', async () => {
+  const { teams: [team] } = await computeLiveScores('L1', 5);
+  const byId = Object.fromEntries(team.starters.map(p => [p.id, p]));
+  // Half of what's left of a game in progress
+  assert.deepEqual([byId.kc.gameStatus, byId.kc.remaining, byId.kc.live], ['in_progress', 6, 14]);
+  assert.deepEqual([byId.dal.gameStatus, byId.dal.remaining, byId.dal.live], ['complete', 0, 22]);
+  assert.deepEqual([byId.sf.gameStatus, byId.sf.remaining, byId.sf.live], ['pre_game', 10, 10]);
+  assert.deepEqual([byId.nyj.gameStatus, byId.nyj.remaining], ['bye', 0]);
+  assert.deepEqual([team.points, team.remaining, team.live], [30, 16, 46]);
+  assert.deepEqual([team.playing, team.yetToPlay], [1, 1]);
+});
+
+test('shares one poller per league and week and stops it when the last client leaves', async (t) => {
+  const timers = [];
+  const realSetTimeout = setTimeout;
+  t.mock.method(global, 'setTimeout', (...args) => {
+    const timer = realSetTimeout(...args);
+    timers.push(timer);
+    return timer;
+  });
+  const cleared = t.mock.method(global, 'clearTimeout');
+
+  const before = contextLoads;
+  const first = client();
+  streamLiveScores(first.req, first.res, 'L1', 5);
+  await settle();
+  assert.equal(contextLoads - before, 1);
+  assert.equal(timers.length, 1);
+  assert.match(first.res.chunks.at(-1), /^event: scores\n/);
+
+  // A second tab gets the last scores straight away instead of its own poll
+  const second = client();
+  streamLiveScores(second.req, second.res, 'L1', 5);
+  await settle();
+  assert.equal(contextLoads - before, 1);
+  assert.equal(second.res.chunks.at(-1), first.res.chunks.at(-1));
+
+  first.req.emit('close');
+  assert.equal(cleared.mock.callCount(), 0);
+  // The response closing as well as the request only counts once
+  second.res.emit('close');
+  second.req.emit('close');
+  assert.equal(cleared.mock.callCount(), 1);
+  assert.equal(cleared.mock.calls[0].arguments[0], timers[0]);
+
+  // The channel is gone, so the next client starts a fresh poll
+  const third = client();
+  streamLiveScores(third.req, third.res, 'L1', 5);
+  await settle();
+  assert.equal(contextLoads - before, 2);
+  third.res.emit('close');
+  assert.equal(cleared.mock.calls[1].arguments[0], timers[1]);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { simulateGame } = require('../src/matchups');
+
+const side = (...projections) => projections.map((projected, i) => ({ id: String(i), position: 'RB', projected, sd: projected * 0.5 }));
+
+test('favors the higher-projected side and reproduces results for a seed', () => {
+  const a = simulateGame(side(20, 20, 20), side(15, 15, 15), { seed: 7, iterations: 4000 });
+  const b = simulateGame(side(20, 20, 20), side(15, 15, 15), { seed: 7, iterations: 4000 });
+  assert.deepEqual(a, b);
+  assert.ok(a.homeWinProbability > 0.6 && a.homeWinProbability < 0.95, `got ${a.homeWinProbability}`);
+  assert.ok(Math.abs(a.homeWinProbability + a.awayWinProbability + a.tieProbability - 1) < 1e-9);
+  assert.ok(a.homeRange.low < a.homeRange.median && a.homeRange.median < a.homeRange.high);
+});
+
+test('splits evenly between identical sides', () => {
+  const { homeWinProbability } = simulateGame(side(15, 15), side(15, 15), { seed: 3, iterations: 10000 });
+  assert.ok(Math.abs(homeWinProbability - 0.5) < 0.03, `got ${homeWinProbability}`);
+});
+
+test('treats players without a spread as fixed scores', () => {
+  const fixed = [{ id: 'k', position: 'K', projected: 9, sd: 0 }];
+  const result = simulateGame(fixed, [{ id: 'x', position: 'K', projected: 8, sd: 0 }], { seed: 1, iterations: 100 });
+  assert.equal(result.homeWinProbability, 1);
+  assert.deepEqual(result.homeRange, { low: 9, median: 9, high: 9 });
+});
@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const axios = require('axios');
+const mfl = require('../src/mfl');
+
+const fixture = name => JSON.parse(JSON.stringify(require(`./fixtures/mfl/${name}.json`)));
+
+function exports() {
+  return {
+    season: '2025',
+    league: fixture('league'),
+    rules: fixture('rules'),
+    rosters: fixture('rosters'),
+    standings: fixture('leagueStandings'),
+    players: fixture('players'),
+    injuries: fixture('injuries'),
+    results: fixture('weeklyResults_4'),
+    schedule: fixture('schedule_4'),
+  };
+}
+
+test('translates starter limits into slots and per-unit rules into scoring', () => {
+  const league = mfl.normalizeMflLeague(exports());
+  assert.equal(league.league_id, '44444');
+  assert.equal(league.total_rosters, 2);
+  // Seven starters, six fixed; QB is allowed a second, so the extra is a superflex
+  assert.deepEqual(league.roster_positions, ['QB', 'RB', 'WR', 'TE', 'K', 'DEF', 'SUPER_FLEX', 'BN', 'BN', 'BN']);
+  assert.deepEqual(league.settings, { playoff_week_start: 14, waiver_type: 2, waiver_budget: 200 });
+  const scoring = league.scoring_settings;
+  // The 300-yard bonus rule doesn't replace the per-yard rate
+  assert.equal(scoring.pass_yd, 0.04);
+  assert.equal(scoring.rush_yd, 0.1);
+  assert.equal(scoring.rec, 1);
+  assert.deepEqual([scoring.fgm_30_39, scoring.fgm_40_49, scoring.fgm_50p], [3, 4, 5]);
+  assert.deepEqual([scoring.pts_allow_0, scoring.pts_allow_1_6], [10, 7]);
+});
+
+test('reads rosters with provider-qualified ids, "Last, First" names and this week\'s starters', () => {
+  const [gators, hawks] = mfl.normalizeMflRosters(exports());
+  assert.equal(gators.teamName, 'Gators');
+  assert.deepEqual(gators.record, { wins: 3, losses: 1, ties: 0, pointsFor: 450.5, pointsAgainst: 400 });
+  assert.equal(gators.waiverBudgetUsed, 50);
+  assert.ok(gators.entries.every(e => e.id.startsWith('mfl:')));
+  assert.deepEqual(gators.starters, ['mfl:13604', 'mfl:13130', 'mfl:15281', 'mfl:16000', 'mfl:14000', 'mfl:0501', '0']);
+
+  const byName = Object.fromEntries(gators.entries.map(e => [e.name, e]));
+  assert.deepEqual([byName['Josh Allen'].position, byName['Josh Allen'].yearsExp], ['QB', 7]);
+  assert.deepEqual([byName['Baltimore Ravens'].position, byName['Baltimore Ravens'].team], ['DST', 'BAL']);
+  assert.deepEqual([byName['Cameron Dicker'].position, byName['Brock Bowers'].team], ['K', 'LV']);
+  assert.equal(byName['Brock Bowers'].status, 'Questionable');
+  assert.deepEqual([byName['Bijan Robinson'].rosterSlot, byName['Bijan Robinson'].isStarter], ['IR', false]);
+  assert.equal(hawks.entries.length, 3);
+});
+
+test('numbers scheduled games and reads their results', () => {
+  const [home, away] = mfl.normalizeMflMatchups(exports());
+  assert.deepEqual([home.roster_id, home.matchup_id, home.points], ['0001', 1, 114]);
+  assert.deepEqual([away.roster_id, away.matchup_id, away.points], ['0002', 1, 100]);
+  assert.deepEqual(home.players_points, { 'mfl:13604': 20 });
+});
+
+test('requests each export with the league id, week and API key', async (t) => {
+  process.env.MFL_API_KEY = 'key';
+  t.after(() => { delete process.env.MFL_API_KEY; });
+  const urls = [];
+  t.mock.method(axios, 'get', async (url) => {
+    urls.push(url);
+    if (url.includes('api.sleeper.app')) return { data: { season: '2025', week: 4, season_type: 'regular' } };
+    const query = new URL(url).searchParams;
+    const name = { weeklyResults: 'weeklyResults_4', schedule: 'schedule_4' }[query.get('TYPE')] || query.get('TYPE');
+    return { data: fixture(name) };
+  });
+
+  const rosters = await mfl.fetchMflLeagueRosters('44444');
+  assert.equal(rosters[0].starters[0], 'mfl:13604');
+  const week = await mfl.fetchMflMatchups('44444', 4);
+  assert.equal(week[0].points, 114);
+
+  const results = new URL(urls.find(u => u.includes('TYPE=weeklyResults')));
+  assert.equal(results.origin + results.pathname, `${mfl.MFL_API}/2025/export`);
+  assert.deepEqual(Object.fromEntries(results.searchParams), { TYPE: 'weeklyResults', L: '44444', W: '4', JSON: '1', APIKEY: 'key' });
+});
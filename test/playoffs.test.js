@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// playoffs.js takes its data sources at require time, so they're replaced first
+const sleeper = require('../src/sleeper');
+const providers = require('../src/providers');
+const rankings = require('../src/rankings');
+
+let settings = { playoff_week_start: 15, playoff_teams: 2 };
+const record = (wins, losses) => ({ wins, losses, ties: 0, pointsFor: 100 * wins, pointsAgainst: 0 });
+const rosters = [
+  { rosterId: 1, teamName: 'Alpha', record: record(10, 3) },
+  { rosterId: 2, teamName: 'Bravo', record: record(9, 4) },
+  { rosterId: 3, teamName: 'Charlie', record: record(9, 4) },
+  { rosterId: 4, teamName: 'Delta', record: record(2, 11) },
+];
+const seasonPoints = { 1: 2000, 2: 1900, 3: 1850, 4: 1500 };
+
+sleeper.fetchSleeperState = async () => ({ season: '2025', season_type: 'regular', week: 14 });
+// One week left: Alpha-Delta and Bravo-Charlie
+providers.fetchMatchups = async () => [
+  { roster_id: 1, matchup_id: 1 }, { roster_id: 4, matchup_id: 1 },
+  { roster_id: 2, matchup_id: 2 }, { roster_id: 3, matchup_id: 2 },
+];
+rankings.loadLeagueContext = async () => ({ league: { season: '2025', status: 'in_season', settings, roster_positions: ['QB'] }, rosters, resolver: {} });
+rankings.valueRoster = roster => ({
+  totalProjected: seasonPoints[roster.rosterId],
+  optimalLineup: [{ slot: 'QB', id: `qb${roster.rosterId}`, position: 'QB', projected: seasonPoints[roster.rosterId] }],
+});
+
+const { parseForcedResults, bracketOrder, computePlayoffOdds } = require('../src/playoffs');
+
+const odds = (data, key) => Object.fromEntries(data.teams.map(t => [t.teamName, t[key]]));
+const sum = values => Object.values(values).reduce((a, b) => a + b, 0);
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('reads forced results and rejects malformed ones', () => {
+  assert.deepEqual(parseForcedResults(''), []);
+  assert.deepEqual(parseForcedResults('14:2:3,15:1:1'), [{ week: 14, matchupId: 2, winner: 3 }, { week: 15, matchupId: 1, winner: 1 }]);
+  assert.equal(parseForcedResults('14:2'), null);
+  assert.equal(parseForcedResults('14:x:3'), null);
+});
+
+test('seeds a bracket so the top seeds meet last', () => {
+  assert.deepEqual(bracketOrder(2), [1, 2]);
+  assert.deepEqual(bracketOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+});
+
+test('plays out the season the same way for the same seed', async () => {
+  settings = { playoff_week_start: 15, playoff_teams: 3 };
+  const first = await computePlayoffOdds('L1', { iterations: 2000, seed: 7 });
+  const again = await computePlayoffOdds('L1', { iterations: 2000, seed: 7 });
+  assert.deepEqual(again, first);
+
+  // Three playoff spots in a four-team bracket: the top seed sits out the first round
+  assert.deepEqual([first.playoffTeams, first.byeTeams], [3, 1]);
+  close(sum(odds(first, 'playoffOdds')), 3);
+  close(sum(odds(first, 'byeOdds')), 1);
+  close(sum(odds(first, 'championshipOdds')), 1);
+  assert.equal(odds(first, 'playoffOdds').Delta, 0);
+  assert.ok(odds(first, 'byeOdds').Alpha > 0.5);
+  assert.ok(odds(first, 'championshipOdds').Alpha > odds(first, 'championshipOdds').Charlie);
+  for (const team of first.teams) close(sum(team.seedOdds), 1);
+});
+
+test('hands a forced game to the chosen side', async () => {
+  settings = { playoff_week_start: 15, playoff_teams: 2 };
+  const data = await computePlayoffOdds('L1', { iterations: 1000, seed: 3, forced: [{ week: 14, matchupId: 2, winner: 3 }] });
+  // Charlie reaches ten wins, Bravo stays at nine behind Alpha's ten or more
+  assert.deepEqual(odds(data, 'playoffOdds'), { Alpha: 1, Charlie: 1, Bravo: 0, Delta: 0 });
+  const game = data.remainingGames.find(g => g.matchupId === 2);
+  assert.equal(game.forcedWinner, 3);
+  assert.equal(data.remainingGames.find(g => g.matchupId === 1).forcedWinner, null);
+});
+
+test('rejects a forced result for a game that isn\'t left or a team that isn\'t in it', async () => {
+  settings = { playoff_week_start: 15, playoff_teams: 2 };
+  assert.deepEqual(
+    await computePlayoffOdds('L1', { iterations: 100, forced: [{ week: 13, matchupId: 2, winner: 3 }] }),
+    { error: 'No remaining matchup 2 in week 13' },
+  );
+  assert.deepEqual(
+    await computePlayoffOdds('L1', { iterations: 100, forced: [{ week: 14, matchupId: 2, winner: 1 }] }),
+    { error: 'Roster 1 is not in matchup 2 of week 14' },
+  );
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// positions.js reads its registry file from the environment once, at require time
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'positions-test-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+process.env.POSITIONS_FILE = path.join(dir, 'positions.json');
+fs.writeFileSync(process.env.POSITIONS_FILE, JSON.stringify([
+  // This league always starts linebackers
+  { position: 'LB', optional: false },
+  { position: 'P', sleeper: ['P'], scoring: 'kicker', slots: ['P'], optional: true },
+  { sleeper: ['OL'] },
+  null,
+]));
+
+const { DEFAULT_POSITIONS, loadPositions, getPosition, fromSleeperPosition, matchesByTeam, slotEligibility } = require('../src/positions');
+
+test('overrides the fields a file entry sets and adds new positions', () => {
+  assert.deepEqual(loadPositions().map(p => p.position), [...DEFAULT_POSITIONS.map(p => p.position), 'P']);
+  const lb = getPosition('LB');
+  assert.equal(lb.optional, false);
+  assert.deepEqual(lb.slots, ['LB', 'IDP_FLEX']);
+  assert.deepEqual(getPosition('P'), {
+    position: 'P', sleeper: ['P'], match: 'name', scoring: 'kicker', slots: ['P'], optional: true, file: 'P.csv', group: 'ps',
+  });
+  assert.equal(getPosition('OL'), null);
+});
+
+test('keeps IDP positions optional unless the file says otherwise', () => {
+  assert.deepEqual(loadPositions().filter(p => p.optional).map(p => p.position), ['DL', 'DB', 'P']);
+  assert.deepEqual(getPosition('DB').slots, ['DB', 'IDP_FLEX']);
+  assert.equal(getPosition('DL').scoring, 'idp');
+});
+
+test('maps Sleeper codes onto the position that projects them', () => {
+  assert.equal(fromSleeperPosition('QB'), 'QB');
+  assert.equal(fromSleeperPosition('DEF'), 'DST');
+  assert.equal(fromSleeperPosition('DE'), 'DL');
+  assert.equal(fromSleeperPosition('CB'), 'DB');
+  assert.equal(fromSleeperPosition('S'), 'DB');
+  assert.equal(fromSleeperPosition('P'), 'P');
+  assert.equal(fromSleeperPosition('OL'), null);
+});
+
+test('lists the positions each slot takes, in registry order', () => {
+  const slots = slotEligibility();
+  assert.deepEqual(slots.SUPER_FLEX, ['QB', 'RB', 'WR', 'TE']);
+  assert.deepEqual(slots.IDP_FLEX, ['DL', 'LB', 'DB']);
+  assert.deepEqual(slots.P, ['P']);
+  assert.equal(matchesByTeam('DST'), true);
+  assert.equal(matchesByTeam('P'), false);
+});
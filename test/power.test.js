@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// power.js reads its weights file from the environment and takes its data sources at require time
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'power-test-'));
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+process.env.POWER_WEIGHTS_FILE = path.join(dir, 'power_weights.json');
+// Only the ramp is set; the weights fall back to the defaults
+fs.writeFileSync(process.env.POWER_WEIGHTS_FILE, JSON.stringify({ rampWeeks: 2 }));
+const sleeper = require('../src/sleeper');
+const providers = require('../src/providers');
+
+const game = (roster_id, matchup_id, points) => ({ roster_id, matchup_id, points });
+const weekly = {
+  1: [game(1, 1, 120), game(2, 1, 100), game(3, 2, 90), game(4, 2, 80)],
+  2: [game(1, 1, 130), game(3, 1, 70), game(2, 2, 110), game(4, 2, 60)],
+};
+sleeper.fetchSleeperState = async () => ({ season: '2025', season_type: 'regular', week: 3 });
+providers.fetchMatchups = async (leagueId, week) => weekly[week];
+
+const { loadPowerWeights, parseWeights, resultStats, compositeScores, computePowerScores } = require('../src/power');
+
+const league = { season: '2025', status: 'in_season', settings: { playoff_week_start: 15 } };
+const teams = [1, 2, 3, 4].map(rosterId => ({ rosterId, projected: 90 + 10 * rosterId }));
+
+test('merges the weights file over the defaults and reads per-request weights', () => {
+  assert.deepEqual(loadPowerWeights(), { weights: { record: 0.25, pointsFor: 0.2, allPlay: 0.25, projected: 0.3 }, rampWeeks: 2 });
+  assert.deepEqual(parseWeights('record:1,projected:2'), { record: 1, projected: 2 });
+  assert.equal(parseWeights('luck:1'), null);
+  assert.equal(parseWeights('record:-1'), null);
+});
+
+test('recomputes records, points for and all-play records from the matchups', () => {
+  const stats = resultStats([weekly[1], weekly[2]], [1, 2, 3, 4], false);
+  const get = id => stats.get(String(id));
+  assert.deepEqual(get(1), { record: { wins: 2, losses: 0, ties: 0 }, allPlay: { wins: 6, losses: 0, ties: 0 }, pointsFor: 250 });
+  assert.deepEqual(get(2).record, { wins: 1, losses: 1, ties: 0 });
+  assert.deepEqual(get(3).allPlay, { wins: 2, losses: 4, ties: 0 });
+  assert.equal(get(4).pointsFor, 140);
+
+  // A median game puts the top half of the week one win up
+  const median = resultStats([weekly[1]], [1, 2, 3, 4], true);
+  assert.deepEqual([1, 2, 3, 4].map(id => median.get(String(id)).record.wins), [2, 1, 1, 0]);
+});
+
+test('lets projections carry the ranking until results are ramped in', () => {
+  const stats = resultStats([], [1, 2, 3, 4], false);
+  const preseason = compositeScores(teams, stats, loadPowerWeights().weights, 0, 4);
+  assert.deepEqual(preseason.map(s => Math.round(s.score * 10) / 10), [0, 33.3, 66.7, 100]);
+  assert.deepEqual(preseason[0].components.projected, { value: 100, score: 0, weight: 100 });
+  assert.equal(preseason[0].components.record.weight, 0);
+
+  // One week of four: results count a quarter, so projections keep 0.3 of 0.475
+  const weekOne = compositeScores(teams, resultStats([weekly[1]], [1, 2, 3, 4], false), loadPowerWeights().weights, 1, 4);
+  assert.equal(weekOne[0].components.projected.weight, 63.2);
+  assert.equal(weekOne[0].components.record.weight, 13.2);
+});
+
+test('scores the league and ranks it against the week before', async () => {
+  const scores = await computePowerScores('L1', league, teams);
+  const get = id => scores.get(String(id));
+  assert.deepEqual([1, 2, 3, 4].map(id => get(id).score), [70, 51.9, 44.5, 30]);
+  assert.deepEqual([1, 2, 3, 4].map(id => get(id).rank), [1, 2, 3, 4]);
+  // After week 1 the ramp was only halfway, so projections still lifted Charlie past Alpha
+  assert.deepEqual([1, 2, 3, 4].map(id => get(id).previousRank), [2, 4, 1, 3]);
+  assert.deepEqual([1, 2, 3, 4].map(id => get(id).rankChange), [1, 2, -2, -1]);
+  assert.equal(get(1).weeksPlayed, 2);
+  assert.deepEqual(get(1).components.record, { value: 1, score: 100, weight: 25 });
+
+  const projectedOnly = await computePowerScores('L1', league, teams, { weights: { record: 0, pointsFor: 0, allPlay: 0 } });
+  assert.deepEqual([1, 2, 3, 4].map(id => projectedOnly.get(String(id)).rank), [4, 3, 2, 1]);
+});
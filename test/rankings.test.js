@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// power.js takes its data sources at require time, so they're replaced first
+const providers = require('../src/providers');
+const sleeper = require('../src/sleeper');
+
+let state = { season: '2025', season_type: 'regular', week: 1 };
+// Team 2 wins every week by a distance
+const weekly = [{ roster_id: 1, matchup_id: 1, points: 80 }, { roster_id: 2, matchup_id: 1, points: 140 }];
+sleeper.fetchSleeperState = async () => state;
+providers.fetchMatchups = async () => weekly;
+
+const { rankByPower } = require('../src/rankings');
+
+const league = { season: '2025', status: 'in_season', settings: { playoff_week_start: 15 }, roster_positions: ['QB'] };
+const rosters = [
+  { rosterId: 1, teamName: 'Alpha', entries: [{ id: 'a', name: 'A', position: 'QB' }] },
+  { rosterId: 2, teamName: 'Bravo', entries: [{ id: 'b', name: 'B', position: 'QB' }] },
+];
+// Alpha projects better this week
+const valued = [{ rosterId: 1, totalProjected: 25 }, { rosterId: 2, totalProjected: 20 }];
+const rank = (power, id) => power.get(String(id)).rank;
+
+test('ranks on projections alone before any games are played', async () => {
+  state = { ...state, week: 1 };
+  const power = await rankByPower('L1', league, rosters, { valued });
+  assert.equal(rank(power, 1), 1);
+  assert.equal(rank(power, 2), 2);
+});
+
+test('ranks on the composite score, not the projected total', async () => {
+  state = { ...state, week: 6 };
+  const power = await rankByPower('L1', league, rosters, { valued });
+  assert.equal(rank(power, 2), 1);
+  assert.equal(rank(power, 1), 2);
+  assert.deepEqual(power.get('2').record, { wins: 5, losses: 0, ties: 0 });
+});
+
+test('uses rest-of-season strength for the projection component of a week view', async () => {
+  state = { ...state, week: 1 };
+  const seasonPoints = { a: 200, b: 300 };
+  const season = { resolver: { resolve: entry => ({ record: { fantasy: seasonPoints[entry.id] } }) } };
+  const power = await rankByPower('L1', league, rosters, { valued, season });
+  assert.equal(rank(power, 2), 1);
+  assert.equal(power.get('2').components.projected.value, 300);
+});
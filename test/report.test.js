@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { formatReport, publishReport, handleReportRequest } = require('../src/report');
+
+function team(rank, teamName, extra = {}) {
+  return {
+    rank,
+    change: 0,
+    teamName,
+    record: '3-2',
+    powerScore: 80 - rank,
+    projected: 120 - rank,
+    topStarters: [{ name: 'Star', position: 'RB', projected: 20 }],
+    weaknesses: [{ slot: 'TE', name: 'Backup', vsLeague: -3 }],
+    blurb: `${teamName} blurb`,
+    ...extra,
+  };
+}
+
+const report = {
+  leagueId: 'L1',
+  league: 'Test League',
+  season: '2025',
+  week: 6,
+  generatedAt: '2025-10-14T00:00:00.000Z',
+  teams: [team(1, 'Alpha', { change: 2 }), team(2, 'Bravo, "B"')],
+};
+
+// Collects every JSON body posted to a local webhook
+async function withWebhook(fn) {
+  const posts = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => {
+      posts.push({ method: req.method, path: req.url, contentType: req.headers['content-type'], body: JSON.parse(body) });
+      res.writeHead(204);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}/hook`, posts);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('posts the report to a Slack webhook as one mrkdwn message', async () => {
+  await withWebhook(async (url, posts) => {
+    const result = await publishReport(report, { webhookUrl: url, type: 'slack' });
+    assert.deepEqual(result, { type: 'slack', messages: 1 });
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].method, 'POST');
+    assert.equal(posts[0].path, '/hook');
+    assert.match(posts[0].contentType, /application\/json/);
+    const { text } = posts[0].body;
+    assert.ok(text.startsWith('*Test League power rankings — week 6*'));
+    assert.match(text, /\*1\. Alpha\* ▲2 · 119\.0 projected · 3-2/);
+    assert.ok(!text.includes('**'));
+  });
+});
+
+test('splits a long report into Discord-sized messages on team boundaries', async () => {
+  const long = { ...report, teams: Array.from({ length: 12 }, (_, i) => team(i + 1, `Team ${i + 1}`, { blurb: 'x'.repeat(200) })) };
+  await withWebhook(async (url, posts) => {
+    const result = await publishReport(long, { webhookUrl: url, type: 'discord' });
+    assert.equal(result.type, 'discord');
+    assert.ok(result.messages > 1);
+    assert.equal(posts.length, result.messages);
+    for (const post of posts) {
+      assert.ok(post.body.content.length <= 2000);
+      assert.ok(!post.body.content.startsWith('> '), 'a message starts mid-team');
+    }
+    assert.ok(posts[0].body.content.startsWith('# Test League power rankings'));
+    assert.match(posts.at(-1).body.content, /\*\*12\. Team 12\*\*/);
+  });
+});
+
+test('exports CSV with quoted fields', () => {
+  const lines = formatReport(report, 'csv').trim().split('\n');
+  assert.equal(lines[0], 'rank,change,team,record,powerScore,projected,topStarters,weaknesses,blurb');
+  assert.equal(lines[2], '2,0,"Bravo, ""B""",3-2,78,118,Star (RB 20),TE -3,"Bravo, ""B"" blurb"');
+});
+
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+  };
+}
+
+test('publishes only for requests carrying the shared secret', async (t) => {
+  const saved = { CRON_SECRET: process.env.CRON_SECRET, REPORT_SECRET: process.env.REPORT_SECRET, REPORT_WEBHOOK_URL: process.env.REPORT_WEBHOOK_URL };
+  t.after(() => {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+  delete process.env.CRON_SECRET;
+  delete process.env.REPORT_SECRET;
+  delete process.env.REPORT_WEBHOOK_URL;
+  const send = async (req) => {
+    const res = fakeResponse();
+    await handleReportRequest({ headers: {}, query: { leagueId: 'L1', week: '6' }, ...req }, res);
+    return res;
+  };
+
+  // Nothing publishes until a secret is configured
+  assert.equal((await send({ method: 'POST' })).statusCode, 403);
+
+  process.env.REPORT_SECRET = 'shh';
+  assert.equal((await send({ method: 'POST' })).statusCode, 401);
+  assert.equal((await send({ method: 'POST', headers: { authorization: 'Bearer nope' } })).statusCode, 401);
+  assert.equal((await send({ method: 'GET', query: { leagueId: 'L1', week: '6', publish: '1' } })).statusCode, 401);
+  // Past the check, on to the request itself
+  const allowed = await send({ method: 'POST', headers: { authorization: 'Bearer shh' } });
+  assert.deepEqual([allowed.statusCode, allowed.body], [400, { error: 'No webhook configured' }]);
+
+  // Vercel's cron sends CRON_SECRET, which wins when both are set
+  process.env.CRON_SECRET = 'cron';
+  const cron = await send({ method: 'GET', headers: { authorization: 'Bearer cron' }, query: { leagueId: 'L1', week: '6', publish: '1' } });
+  assert.equal(cron.statusCode, 400);
+
+  // Reading the report needs no secret
+  const read = await send({ method: 'GET', query: { leagueId: 'L1', week: '6', format: 'xml' } });
+  assert.deepEqual([read.statusCode, read.body], [400, { error: 'Invalid format' }]);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rescoreProjections, scoreStats, extractStats } = require('../src/scoring');
+
+const projections = (group, ...recs) => ({ [group]: new Map(recs.map(r => [r.player, r])) });
+
+test('re-scores receptions with the league PPR value', () => {
+  const rec = { player: 'A', position: 'WR', fantasy: 100, stats: { rec: 80, recYds: 1000, recTd: 8 } };
+  const standard = rescoreProjections(projections('wrs', rec), { rec: 0, rec_yd: 0.1, rec_td: 6 });
+  const ppr = rescoreProjections(projections('wrs', rec), { rec: 1, rec_yd: 0.1, rec_td: 6 });
+  assert.equal(standard.wrs.get('A').fantasy, 148);
+  assert.equal(ppr.wrs.get('A').fantasy, 228);
+});
+
+test('adds the TE premium only for tight ends', () => {
+  const settings = { rec: 1, bonus_rec_te: 0.5 };
+  const stats = { rec: 60 };
+  assert.equal(scoreStats(stats, 'TE', settings), 90);
+  assert.equal(scoreStats(stats, 'WR', settings), 60);
+});
+
+test('keeps the CSV value for rows without a stat line, and everything without scoring settings', () => {
+  const rec = { player: 'B', position: 'RB', fantasy: 123.4, stats: null };
+  assert.equal(rescoreProjections(projections('rbs', rec), { rec: 1 }).rbs.get('B').fantasy, 123.4);
+  const input = projections('rbs', { ...rec, stats: { rushYds: 1000 } });
+  assert.equal(rescoreProjections(input, {}), input);
+});
+
+test('spreads DST points allowed across the league tiers', () => {
+  const settings = { pts_allow_0: 10, pts_allow_35p: -4, sack: 1 };
+  // A defense that allows nothing every week lands in the shutout tier
+  assert.ok(Math.abs(scoreStats({ ptsAllowed: -50 }, 'DST', settings, { games: 1 }) - 10) < 0.01);
+  // One that allows 100 a game is always in the 35+ tier
+  assert.ok(Math.abs(scoreStats({ ptsAllowed: 1700 }, 'DST', settings) - -4 * 17) < 0.1);
+  // In between, the tier points are weighted by how likely each tier is: a
+  // 20-point average is a shutout 1.5% of the time and allows 35+ 5.4% of the time
+  const middling = scoreStats({ ptsAllowed: 20, sacks: 3 }, 'DST', settings, { games: 1 });
+  assert.ok(Math.abs(middling - (3 + 10 * 0.015 - 4 * 0.054)) < 0.02, `got ${middling}`);
+});
+
+test('reads stat columns and completions/attempts out of a CSV row', () => {
+  assert.deepEqual(extractStats({ passingYards: '4000', completionsAttempts: '350.5/520', fantasy: '300' }), { passYds: 4000, passCmp: 350.5, passAtt: 520 });
+  assert.equal(extractStats({ player: 'Nobody', fantasy: '10' }), null);
+});
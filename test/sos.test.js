@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// sos.js reads its file locations and data sources at require time
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sos-test-'));
+process.env.SCHEDULE_FILE = path.join(dir, 'nfl_schedule.json');
+process.env.DEFENSE_RANKS_FILE = path.join(dir, 'defense_ranks.json');
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const sleeper = require('../src/sleeper');
+
+const games = [
+  { week: 1, home: 'BAL', away: 'BUF', status: 'complete' },
+  { week: 1, home: 'KC', away: 'CIN', status: 'complete' },
+  { week: 2, home: 'BUF', away: 'KC', status: 'pre_game' },
+  { week: 2, home: 'BAL', away: 'CIN', status: 'pre_game' },
+];
+let requested = 0;
+sleeper.fetchSleeperNflSchedule = async () => {
+  requested++;
+  return games;
+};
+
+const { applySchedule, projectedRanks, opponentFor } = require('../src/sos');
+
+const rows = (position, list) => new Map(list.map(rec => [rec.player, { position, gameInfo: '', opponentRank: null, ...rec }]));
+const projections = {
+  qbs: rows('QB', [
+    { player: 'Josh Allen', team: 'Buffalo Bills', fantasy: 390, stats: {} },
+    { player: 'Patrick Mahomes', team: 'Kansas City Chiefs', fantasy: 330, stats: {} },
+    { player: 'Lamar Jackson', team: 'Baltimore Ravens', fantasy: 380, stats: {} },
+    { player: 'Joe Burrow', team: 'Cincinnati Bengals', fantasy: 300, stats: {} },
+  ]),
+  dsts: rows('DST', [
+    { player: 'Baltimore D/ST', team: 'Baltimore Ravens', fantasy: 126, stats: { ptsAllowed: 300 } },
+    { player: 'Buffalo D/ST', team: 'Buffalo Bills', fantasy: 120, stats: { ptsAllowed: 340 } },
+    { player: 'Kansas City D/ST', team: 'Kansas City Chiefs', fantasy: 110, stats: { ptsAllowed: 380 } },
+    { player: 'Cincinnati D/ST', team: 'Cincinnati Bengals', fantasy: 80, stats: { ptsAllowed: 450 } },
+  ]),
+};
+const league = { season: '2025', status: 'in_season', settings: { playoff_week_start: 15 } };
+const state = { season: '2025', season_type: 'regular', week: 1 };
+const multiplier = (out, group, player) => out[group].get(player).schedule.multiplier;
+
+test('ranks defenses by points allowed and offenses by points scored', () => {
+  const ranks = projectedRanks(projections);
+  // Fewest allowed is the hardest matchup, spread over 1..32
+  assert.deepEqual(ranks.QB, { BAL: 1, BUF: 11, KC: 22, CIN: 32 });
+  assert.deepEqual(ranks.K, ranks.QB);
+  assert.deepEqual(ranks.DST, { BUF: 1, BAL: 11, KC: 22, CIN: 32 });
+  assert.equal(ranks.LB, undefined);
+});
+
+test('adjusts a week\'s projections for the opponent on Sleeper\'s schedule', async () => {
+  const week1 = await applySchedule(projections, { league, state, week: 1 });
+  assert.equal(opponentFor('BUF', 1, '2025'), 'BAL');
+  assert.equal(opponentFor('BAL', 1, '2025'), 'BUF');
+  assert.equal(opponentFor('BUF', 3, '2025'), null);
+  // Allen visits the stingiest defense, Mahomes hosts the most generous
+  assert.equal(multiplier(week1, 'qbs', 'Josh Allen'), 0.9);
+  assert.equal(multiplier(week1, 'qbs', 'Patrick Mahomes'), 1.1);
+  assert.ok(multiplier(week1, 'dsts', 'Baltimore D/ST') < 1);
+  assert.ok(multiplier(week1, 'dsts', 'Kansas City D/ST') > 1);
+
+  const week2 = await applySchedule(projections, { league, state, week: 2 });
+  assert.ok(multiplier(week2, 'qbs', 'Josh Allen') > 1);
+  // The schedule is fetched once per season
+  assert.equal(requested, 1);
+});
+
+test('averages the remaining games for the season view', async () => {
+  const season = await applySchedule(projections, { league, state });
+  const allen = season.qbs.get('Josh Allen').schedule;
+  // Baltimore (1) then Kansas City (22)
+  assert.deepEqual([allen.restOfSeason.games, allen.restOfSeason.rank], [2, 11.5]);
+  assert.equal(allen.multiplier, allen.restOfSeason.multiplier);
+  assert.ok(allen.multiplier < 1);
+  assert.equal(allen.playoffs, null);
+  assert.ok(season.qbs.get('Patrick Mahomes').schedule.multiplier > 1);
+});
+
+test('a weekly file\'s own opponent rank wins over the schedule', async () => {
+  const weekly = { qbs: rows('QB', [{ player: 'Josh Allen', team: 'Buffalo Bills', fantasy: 24, opponentRank: 32, stats: {} }]), dsts: projections.dsts };
+  const out = await applySchedule(weekly, { league, state, week: 1 });
+  assert.equal(multiplier(out, 'qbs', 'Josh Allen'), 1.1);
+});
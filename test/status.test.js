@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The crosswalk location is read at require time
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-test-'));
+process.env.CROSSWALK_FILE = path.join(dir, 'crosswalk.json');
+const savedCrosswalk = JSON.stringify({ 'sleeper:900': { key: 'WR:Joshua Palmer', name: 'Josh Palmer', confidence: 0.8, method: 'fuzzy' } });
+fs.writeFileSync(process.env.CROSSWALK_FILE, savedCrosswalk);
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const { playerStatus, statusMultiplier, freeAgentStatuses } = require('../src/status');
+const { createResolver } = require('../src/identity');
+const { normalizeSleeperRosters } = require('../src/sleeper');
+const { estimateTeamPoints } = require('../src/rankings');
+const { optimizeLineup } = require('../src/lineup');
+
+const sleeperPlayer = (first, last, position, team, extra = {}) => ({ first_name: first, last_name: last, position, team, ...extra });
+
+test('reads one status from Sleeper\'s injury and roster fields', () => {
+  assert.equal(playerStatus(sleeperPlayer('Josh', 'Allen', 'QB', 'BUF')), null);
+  assert.equal(playerStatus(sleeperPlayer('Josh', 'Allen', 'QB', 'BUF', { injury_status: 'Questionable' })), 'Questionable');
+  assert.equal(playerStatus(sleeperPlayer('A', 'B', 'RB', 'NYJ', { injury_status: 'COV' })), 'Out');
+  assert.equal(playerStatus(sleeperPlayer('A', 'B', 'RB', 'NYJ', { injury_status: 'Sus' })), 'Suspended');
+  assert.equal(playerStatus(sleeperPlayer('A', 'B', 'RB', 'NYJ', { status: 'Injured Reserve' })), 'IR');
+  assert.equal(playerStatus(sleeperPlayer('A', 'B', 'RB', 'NYJ', { status: 'Physically Unable to Perform' })), 'PUP');
+  // The injury tag wins over the roster status
+  assert.equal(playerStatus(sleeperPlayer('A', 'B', 'RB', 'NYJ', { injury_status: 'Out', status: 'Injured Reserve' })), 'Out');
+  assert.equal(playerStatus(sleeperPlayer('A', 'B', 'WR', null)), 'No Team');
+  // Defenses are their team
+  assert.equal(playerStatus({ position: 'DEF', team: null }), null);
+  assert.equal(playerStatus(null), null);
+});
+
+test('discounts by status, harder for a single week', () => {
+  assert.equal(statusMultiplier(null, true), 1);
+  assert.equal(statusMultiplier('Questionable', true), 0.85);
+  assert.equal(statusMultiplier('Questionable', false), 0.98);
+  assert.equal(statusMultiplier('IR', true), 0);
+  assert.equal(statusMultiplier('IR', false), 0.6);
+  assert.equal(statusMultiplier('Probable', true), 1);
+});
+
+test('gives free agents statuses only through exact or saved matches, without saving any', () => {
+  const rows = [
+    { player: 'Mike Williams', position: 'WR', team: 'New York Jets' },
+    { player: 'Breece Hall', position: 'RB', team: 'New York Jets' },
+    { player: 'Joshua Palmer', position: 'WR', team: 'Buffalo Bills' },
+    { player: 'Javonte Williams', position: 'RB', team: 'Dallas Cowboys' },
+    { player: 'Saquon Barkley', position: 'RB', team: 'Philadelphia Eagles' },
+  ];
+  const projections = {
+    wrs: new Map(rows.filter(r => r.position === 'WR').map(r => [r.player, { fantasy: 100, ...r }])),
+    rbs: new Map(rows.filter(r => r.position === 'RB').map(r => [r.player, { fantasy: 100, ...r }])),
+  };
+  const players = {
+    // Same name and position as the healthy Jets receiver, on another team
+    100: sleeperPlayer('Mike', 'Williams', 'WR', 'PIT', { status: 'Injured Reserve' }),
+    200: sleeperPlayer('Breece', 'Hall', 'RB', 'NYJ', { injury_status: 'Doubtful' }),
+    // Only the crosswalk ties him to his row
+    900: sleeperPlayer('Josh', 'Palmer', 'WR', 'BUF', { injury_status: 'Out' }),
+    // Would only be a fuzzy match
+    300: sleeperPlayer('Jamaal', 'Williams', 'RB', 'DAL', { injury_status: 'Out' }),
+    // On a roster, so his status comes with the roster
+    400: sleeperPlayer('Saquon', 'Barkley', 'RB', 'PHI', { injury_status: 'Questionable' }),
+  };
+  const rosters = [{ entries: [{ id: '400' }] }];
+  const resolver = createResolver(projections, { aliases: new Map() });
+
+  const statuses = freeAgentStatuses(players, rosters, projections, resolver);
+  assert.deepEqual([...statuses.entries()].sort(), [['RB:Breece Hall', 'Doubtful'], ['WR:Joshua Palmer', 'Out']]);
+
+  resolver.save();
+  assert.equal(fs.readFileSync(process.env.CROSSWALK_FILE, 'utf8'), savedCrosswalk);
+});
+
+test('marks IR and taxi players from Sleeper rosters and keeps them out of the lineup', () => {
+  const players = {
+    1: sleeperPlayer('Bijan', 'Robinson', 'RB', 'ATL', { status: 'Injured Reserve' }),
+    2: sleeperPlayer('Tony', 'Pollard', 'RB', 'TEN'),
+    3: sleeperPlayer('Rome', 'Odunze', 'WR', 'CHI'),
+  };
+  const [roster] = normalizeSleeperRosters([], [{ roster_id: 1, players: ['1', '2', '3'], starters: ['1', '3'], reserve: ['1'], taxi: ['3'] }], players);
+  const slots = Object.fromEntries(roster.entries.map(e => [e.name, e.rosterSlot]));
+  assert.deepEqual(slots, { 'Bijan Robinson': 'IR', 'Tony Pollard': null, 'Rome Odunze': 'TAXI' });
+
+  const fantasy = { 'Bijan Robinson': 300, 'Tony Pollard': 150, 'Rome Odunze': 120 };
+  const resolver = { resolve: entry => ({ record: { fantasy: fantasy[entry.name] }, confidence: 1 }) };
+  const { details } = estimateTeamPoints(roster, resolver);
+  const { lineup, total } = optimizeLineup(details, ['RB', 'WR']);
+  assert.deepEqual(lineup.map(s => s.player && s.player.name), ['Tony Pollard', null]);
+  assert.equal(total, 150);
+});
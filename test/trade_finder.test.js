@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { optimizeLineup } = require('../src/lineup');
+const { weakestSlot, evaluateSide, gainBound } = require('../src/trade_finder');
+
+const player = (id, position, projected) => ({ id, name: id, position, projected });
+const rosterPositions = ['RB', 'WR', 'FLEX', 'BN'];
+
+function team(details, slots = {}) {
+  return { details, base: optimizeLineup(details, rosterPositions), slots };
+}
+
+test('scores a swap by the change in the best lineup', () => {
+  const mine = team([player('rb1', 'RB', 15), player('rb2', 'RB', 12), player('wr1', 'WR', 5)]);
+  const { gain, size } = evaluateSide(mine, [mine.details[1]], [player('wr9', 'WR', 11)], rosterPositions);
+  // 15 + 5 + 12 -> 15 + 11 + 5
+  assert.equal(gain, -1);
+  assert.equal(size, 3);
+});
+
+test('caps the gain by what comes in minus the costliest player going out', () => {
+  const outgoing = [{ ...player('a', 'RB', 10), loss: 4 }, { ...player('b', 'WR', 6), loss: 2 }];
+  assert.equal(gainBound(outgoing, [player('c', 'RB', 9)]), 5);
+});
+
+test('finds the dedicated slot furthest below the league average', () => {
+  const teams = [team([], { RB: 10, WR: 20 }), team([], { RB: 20, WR: 20 }), team([], { RB: 30, WR: 20 })];
+  const weakest = weakestSlot(teams[0], teams);
+  assert.deepEqual(weakest, { slot: 'RB', positions: ['RB'], projected: 10, leagueAverage: 20 });
+});
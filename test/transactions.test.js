@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// transactions.js takes its data sources at require time, so they're replaced first
+const sleeper = require('../src/sleeper');
+const providers = require('../src/providers');
+const rankings = require('../src/rankings');
+
+const points = { 101: 20, 102: 5, 103: 15, 104: 10, 105: 8, 106: 6 };
+const entry = (id, extra = {}) => ({ id, name: `Player ${id}`, position: 'WR', team: 'KC', isStarter: true, rosterSlot: null, ...extra });
+// Week 2 opened with Ones on 101, 102 and Twos on 103, 104
+const rosters = [
+  { rosterId: 1, teamName: 'Ones', entries: [entry('105'), entry('103')] },
+  { rosterId: 2, teamName: 'Twos', entries: [entry('104'), entry('106'), entry('101')] },
+];
+const transactions = {
+  2: [
+    { transaction_id: 'w1', type: 'waiver', status: 'complete', leg: 2, status_updated: 100, roster_ids: [1], adds: { 105: 1 }, drops: { 102: 1 }, settings: { waiver_bid: 12 } },
+    { transaction_id: 'f1', type: 'free_agent', status: 'complete', leg: 2, status_updated: 200, roster_ids: [2], adds: { 106: 2 }, drops: null },
+    { transaction_id: 'x1', type: 'waiver', status: 'failed', leg: 2, status_updated: 250, roster_ids: [2], adds: { 102: 2 }, drops: null },
+  ],
+  3: [
+    { transaction_id: 't1', type: 'trade', status: 'complete', leg: 3, status_updated: 300, roster_ids: [1, 2], adds: { 103: 1, 101: 2 }, drops: { 101: 1, 103: 2 } },
+  ],
+};
+
+sleeper.fetchSleeperState = async () => ({ season: '2025', season_type: 'regular', week: 3 });
+// 102 was dropped and is on no roster now
+sleeper.fetchSleeperPlayers = async () => ({ 102: { first_name: 'Player', last_name: '102', position: 'WR', team: 'KC' } });
+providers.fetchTransactions = async (leagueId, week) => transactions[week] || [];
+rankings.loadLeagueContext = async () => ({ league: { roster_positions: ['WR', 'WR', 'WR'] }, rosters, resolver: { save: () => {} } });
+rankings.valueRoster = (roster) => {
+  const players = roster.entries.map(e => ({ id: e.id, name: e.name, position: e.position, projected: points[e.id], status: null }));
+  return { players, totalProjected: players.reduce((sum, p) => sum + p.projected, 0) };
+};
+rankings.rankByPower = async (leagueId, league, list, { valued }) => {
+  const order = list.map((r, i) => [String(r.rosterId), valued[i].totalProjected]).sort((a, b) => b[1] - a[1]);
+  return new Map(order.map(([id], i) => [id, { rank: i + 1 }]));
+};
+
+const { undoTransaction, computeTransactions } = require('../src/transactions');
+
+const ids = roster => roster.entries.map(e => e.id).sort();
+
+test('undoes an add/drop by taking the add off and putting the drop back on the bench', () => {
+  const before = undoTransaction([
+    { rosterId: 1, entries: [entry('101'), entry('105')] },
+    { rosterId: 2, entries: [entry('103')] },
+  ], { adds: { 105: 1 }, drops: { 102: 1 } }, { 102: { first_name: 'Player', last_name: '102', position: 'WR', team: 'KC' } });
+  assert.deepEqual(ids(before[0]), ['101', '102']);
+  assert.deepEqual(before[0].entries.find(e => e.id === '102'), {
+    id: '102', name: 'Player 102', position: 'WR', team: 'KC', fantasyPositions: [], isStarter: false, status: null, rosterSlot: null, age: null, yearsExp: null,
+  });
+  // Teams the move didn't touch are handed back as they were
+  assert.equal(before[1].entries.length, 1);
+});
+
+test('undoes a trade by sending each player back to the team that dealt him', () => {
+  const after = [
+    { rosterId: 1, entries: [entry('103'), entry('105', { rosterSlot: 'IR' })] },
+    { rosterId: 2, entries: [entry('101')] },
+    { rosterId: 3, entries: [entry('104')] },
+  ];
+  const before = undoTransaction(after, transactions[3][0], {});
+  assert.deepEqual(before.map(ids), [['101', '105'], ['103'], ['104']]);
+  assert.equal(before[0].entries.find(e => e.id === '101').isStarter, false);
+  assert.equal(before[0].entries.find(e => e.id === '105').rosterSlot, 'IR');
+  assert.equal(before[2], after[2]);
+});
+
+test('walks back from today\'s rosters through later weeks to value a week\'s moves', async () => {
+  const feed = await computeTransactions('L1', 2);
+  // The week 3 trade is undone first but not shown; the failed claim is skipped
+  assert.equal(feed.count, 2);
+  assert.deepEqual(feed.transactions.map(tx => tx.id), ['f1', 'w1']);
+
+  const [pickup, claim] = feed.transactions;
+  assert.deepEqual(pickup.teams.map(t => [t.teamName, t.before.projected, t.after.projected, t.projectedChange]), [['Twos', 25, 31, 6]]);
+  assert.deepEqual(claim.teams[0].adds.map(p => p.id), ['105']);
+  assert.deepEqual(claim.teams[0].drops, [{ id: '102', name: 'Player 102', position: 'WR', projected: 5, status: null }]);
+  assert.deepEqual([claim.week, claim.bid, claim.processedAt], [2, 12, new Date(100).toISOString()]);
+  assert.deepEqual(claim.teams[0].before, { projected: 25, rank: 1 });
+  assert.deepEqual(claim.teams[0].after, { projected: 28, rank: 1 });
+
+  assert.deepEqual(feed.topPickups.map(p => [p.transactionId, p.projectedChange]), [['f1', 6], ['w1', 3]]);
+});
+
+test('scores a trade for the side that gained more', async () => {
+  const feed = await computeTransactions('L1', 3);
+  const [trade] = feed.transactions;
+  assert.deepEqual(trade.teams.map(t => [t.teamName, t.projectedChange, t.rankChange]), [['Ones', -5, 0], ['Twos', 5, 0]]);
+  assert.deepEqual([trade.winner, trade.margin], [{ rosterId: 2, teamName: 'Twos' }, 10]);
+  assert.deepEqual(feed.topPickups, []);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { replacementLevels, valueOverReplacement } = require('../src/vor');
+
+const rows = (position, points) => new Map(points.map((fantasy, i) => [`${position}${i + 1}`, { player: `${position}${i + 1}`, position, fantasy }]));
+const projections = {
+  qbs: rows('QB', [400, 380, 360, 340, 320, 300]),
+  rbs: rows('RB', [300, 280, 260, 240, 220, 200]),
+  wrs: rows('WR', [250, 230, 210, 190]),
+};
+
+test('sets replacement level at the first player past every team\'s starters', () => {
+  assert.deepEqual(replacementLevels(projections, ['QB', 'RB', 'BN'], 2), { levels: { QB: 360, RB: 260, WR: 250 }, starters: { QB: 2, RB: 2 } });
+  // Twice the teams, twice as deep
+  assert.deepEqual(replacementLevels(projections, ['QB', 'RB', 'BN'], 4).levels, { QB: 320, RB: 220, WR: 250 });
+  // Deeper than the pool means anyone is an upgrade
+  assert.equal(replacementLevels(projections, ['WR', 'WR', 'WR'], 2).levels.WR, 0);
+});
+
+test('gives FLEX spots to whichever position has the better player left', () => {
+  const { levels, starters } = replacementLevels(projections, ['RB', 'WR', 'FLEX'], 2);
+  // RB3 and RB4 beat WR3, so both FLEX spots go to running backs
+  assert.deepEqual(starters, { RB: 4, WR: 2 });
+  assert.deepEqual([levels.RB, levels.WR], [220, 210]);
+});
+
+test('lets superflex QBs push quarterback replacement level deeper', () => {
+  const oneQb = replacementLevels(projections, ['QB', 'RB', 'BN'], 2);
+  const superflex = replacementLevels(projections, ['QB', 'RB', 'SUPER_FLEX'], 2);
+    // QB3 and QB4 outscore every running back left
+  assert.deepEqual(superflex.starters, { QB: 4, RB: 2 });
+  assert.deepEqual([superflex.levels.QB, superflex.levels.RB], [320, 260]);
+  assert.equal(valueOverReplacement(400, 'QB', superflex.levels), 80);
+  assert.ok(valueOverReplacement(400, 'QB', superflex.levels) > valueOverReplacement(400, 'QB', oneQb.levels));
+});
+
+test('measures positions without a level from zero', () => {
+  assert.equal(valueOverReplacement(120, 'K', { QB: 300 }), 120);
+});
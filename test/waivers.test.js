@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bestMove, suggestBid, positionMinimums } = require('../src/waivers');
+
+const player = (id, position, projected, extra = {}) => ({ id, name: id, position, projected, ...extra });
+const rosterPositions = ['QB', 'RB', 'WR', 'BN'];
+
+test('counts the single-position slots a roster has to keep filled', () => {
+  assert.deepEqual(positionMinimums(['QB', 'RB', 'RB', 'FLEX', 'BN']), { QB: 1, RB: 2 });
+});
+
+test('adds into an open roster spot when there is one', () => {
+  const players = [player('qb', 'QB', 20), player('rb', 'RB', 10), player('wr', 'WR', 8)];
+  const move = bestMove(players, [player('fa-wr', 'WR', 12)], { rosterPositions, rosterSize: 4, minimums: positionMinimums(rosterPositions) });
+  assert.equal(move.add.id, 'fa-wr');
+  assert.equal(move.drop, null);
+  assert.equal(move.gain, 4);
+});
+
+test('drops the player whose loss hurts least and never leaves a required position empty', () => {
+  const flexPositions = ['QB', 'RB', 'WR', 'FLEX'];
+  const players = [player('qb', 'QB', 20), player('rb', 'RB', 10), player('wr', 'WR', 8), player('rb2', 'RB', 5)];
+  const context = { rosterPositions: flexPositions, rosterSize: 4, minimums: positionMinimums(flexPositions) };
+  // Dropping rb2 lets wr move to FLEX: 20 + 10 + 12 + 8 against 43 now
+  const move = bestMove(players, [player('fa-wr', 'WR', 12)], context);
+  assert.equal(move.drop.id, 'rb2');
+  assert.equal(move.gain, 7);
+  // The only QB can't go for a better receiver
+  assert.equal(bestMove([player('qb', 'QB', 1), player('wr', 'WR', 8)], [player('fa-wr', 'WR', 30)], { ...context, rosterSize: 2 }).drop.id, 'wr');
+});
+
+test('makes room on a full roster only by dropping an active player', () => {
+  const players = [player('ir', 'RB', 0, { rosterSlot: 'IR' }), player('qb', 'QB', 20), player('rb', 'RB', 10), player('wr', 'WR', 8), player('wr2', 'WR', 7)];
+  const context = { rosterPositions, rosterSize: 4, minimums: positionMinimums(rosterPositions) };
+  const move = bestMove(players, [player('fa-wr', 'WR', 12)], context);
+  assert.equal(move.gain, 4);
+  assert.notEqual(move.drop.id, 'ir');
+  assert.equal(move.players.filter(p => !p.rosterSlot).length, 4);
+  // With an active spot free, the reserve player doesn't take it
+  assert.equal(bestMove(players.filter(p => p.id !== 'wr2'), [player('fa-wr', 'WR', 12)], context).drop, null);
+});
+
+test('returns nothing when no candidate beats the current lineup', () => {
+  const players = [player('qb', 'QB', 20), player('rb', 'RB', 10), player('wr', 'WR', 8), player('wr2', 'WR', 7)];
+  assert.equal(bestMove(players, [player('fa-wr', 'WR', 6)], { rosterPositions, rosterSize: 4, minimums: {} }), null);
+});
+
+test('bids more when more teams want the player, within the remaining budget', () => {
+  const faab = { budget: 100, used: 40, remaining: 60 };
+  assert.equal(suggestBid(null, 5, 100, 3, 9), null);
+  assert.equal(suggestBid(faab, 5, 100, 0, 9), 0);
+  const one = suggestBid(faab, 5, 100, 1, 9);
+  const all = suggestBid(faab, 5, 100, 9, 9);
+  assert.ok(one >= 1 && one < all, `${one} vs ${all}`);
+  assert.ok(suggestBid(faab, 500, 100, 9, 9) <= 60);
+});
@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+// weeks.js takes Sleeper's state at require time, so it's replaced first
+const sleeper = require('../src/sleeper');
+
+let state = { season: '2026', season_type: 'regular', week: 7 };
+sleeper.fetchSleeperState = async () => state;
+
+const { parseWeekQuery, resolveRequestWeek, applyWeek } = require('../src/weeks');
+
+const rows = list => new Map(list.map(rec => [rec.player, { position: 'QB', gameInfo: '', ...rec }]));
+const projections = () => ({
+  qbs: rows([
+    { player: 'Josh Allen', team: 'Buffalo Bills', fantasy: 340 },
+    { player: 'Patrick Mahomes', team: 'Kansas City Chiefs', fantasy: 306 },
+  ]),
+});
+
+test('reads the week query parameter', () => {
+  assert.equal(parseWeekQuery({}), undefined);
+  assert.equal(parseWeekQuery({ week: '' }), undefined);
+  assert.equal(parseWeekQuery({ week: ' 7 ' }), 7);
+  assert.equal(parseWeekQuery({ week: 'season' }), null);
+  assert.equal(parseWeekQuery({ week: 'ALL' }), null);
+  assert.ok(Number.isNaN(parseWeekQuery({ week: '19' })));
+  assert.ok(Number.isNaN(parseWeekQuery({ week: '0' })));
+  assert.ok(Number.isNaN(parseWeekQuery({ week: '2.5' })));
+  assert.ok(Number.isNaN(parseWeekQuery({ week: 'next' })));
+});
+
+test('projects the current regular-season week unless the request picks one', async () => {
+  state = { season: '2026', season_type: 'regular', week: 7 };
+  assert.equal(await resolveRequestWeek({}), 7);
+  assert.equal(await resolveRequestWeek({ week: '3' }), 3);
+  assert.equal(await resolveRequestWeek({ week: 'season' }), null);
+
+  state = { season: '2026', season_type: 'pre', week: 0 };
+  assert.equal(await resolveRequestWeek({}), null);
+  state = { season: '2026', season_type: 'post', week: 19 };
+  assert.equal(await resolveRequestWeek({}), null);
+});
+
+test('zeroes teams the season\'s schedule has on bye and averages everyone else per game', () => {
+  const schedule = { BUF: [null, 'KC'], KC: ['@BAL', '@BUF'] };
+  const { projections: week1, byeTeams } = applyWeek(projections(), { week: 1, weekly: false, season: '2026', schedule });
+  assert.deepEqual([...byeTeams], ['BUF']);
+  assert.deepEqual([week1.qbs.get('Josh Allen').fantasy, week1.qbs.get('Josh Allen').onBye], [0, true]);
+  assert.equal(week1.qbs.get('Patrick Mahomes').fantasy, 18);
+
+  const week2 = applyWeek(projections(), { week: 2, weekly: false, season: '2026', schedule });
+  assert.equal(week2.byeTeams.size, 0);
+  assert.equal(week2.projections.qbs.get('Josh Allen').fantasy, 20);
+});
+
+test('falls back to the bye-week file, and a weekly file can mark a bye itself', () => {
+  // data/bye_weeks.json has Buffalo off in week 7 of 2025
+  const { projections: fromFile } = applyWeek(projections(), { week: 7, weekly: false, season: '2025', schedule: {} });
+  assert.equal(fromFile.qbs.get('Josh Allen').onBye, true);
+  assert.equal(fromFile.qbs.get('Patrick Mahomes').onBye, undefined);
+
+  const weekly = projections();
+  weekly.qbs.get('Patrick Mahomes').gameInfo = 'BYE';
+  const { projections: marked } = applyWeek(weekly, { week: 3, weekly: true, season: '2026', schedule: {} });
+  assert.equal(marked.qbs.get('Patrick Mahomes').fantasy, 0);
+  assert.equal(marked.qbs.get('Josh Allen').fantasy, 340);
+});